@@ -9,101 +9,18 @@
  * JavaScript without external dependencies.
  */
 
-// Constants for water activity correlation (Hu–Lee–Sum coefficients)
-// Updated (Table 2: Salts, Avg.)
-const B1 = -1.06152;
-const B2 = 3.25726;
-const B3 = -37.2263;
-
-// Molar mass of pure water (g/mol)
-const WATER_MOLAR_MASS = 18.01528;
+// Physics and reference data live in hls-core.js (loaded before this script)
+const {
+  ALPHA_SII, gasData, CalculationError,
+  computeLnawFromX, computeDeltaT, computeLnawFromDelta,
+  median
+} = window.HLSCore;
+// Saved-library decisions live in hls-state.js (loaded after the core)
+const { newSavedResultId, assignSavedResultIds } = window.HLSState;
 
 // Local storage key for saved results
 const STORAGE_KEY = 'hls_saved_results';
 
-// Salt properties: molar mass and stoichiometry for calculating X and salinity
-const saltProps = {
-  NaCl: {
-    molarMass: 58.44,
-    // number of ionic species (Na+ and Cl‑)
-    ionCount: 2
-  },
-  KCl: {
-    molarMass: 74.55,
-    ionCount: 2
-  },
-  MgCl2: {
-    molarMass: 95.21,
-    // MgCl₂ dissociates into 1 Mg²⁺ and 2 Cl⁻, i.e. 3 ionic species
-    ionCount: 3
-  }
-};
-
-// Gas properties: structure (sI or sII), base β coefficient (×10³) and PT data
-const gasData = {
-  CH4: {
-    structure: 'sI',
-    betaX: -0.9115,
-    data: [
-      [273.4, 2.68], [274.6, 3.05], [276.7, 3.72], [278.3, 4.39],
-      [279.6, 5.02], [280.9, 5.77], [282.3, 6.65], [283.6, 7.59],
-      [284.7, 8.55], [285.7, 9.17], [286.4, 10.5]
-    ]
-  },
-  C2H6: {
-    structure: 'sI',
-    betaX: -0.8657,
-    data: [
-      [273.7055556,0.51021204],
-      [274.8166667,0.579159613],
-      [275.9277778,0.661896701],
-      [277.5944444,0.813581361],
-      [278.7055556,0.930792236],
-      [279.2611111,1.006634566],
-      [279.8166667,1.082476896],
-      [280.3722222,1.165213984],
-      [280.9277778,1.254845829],
-      [281.4833333,1.344477674],
-      [282.0388889,1.447899033],
-      [282.5944444,1.55821515],
-      [283.15,1.689215539],
-      [284.2611111,1.985690102],
-      [285.3722222,2.302848938],
-      [286.4833333,2.730323891]
-    ]
-  },
-  C3H8: {
-    structure: 'sII',
-    betaX: -1.0582,
-    data: [
-      [273.6, 0.207], [274.6, 0.248], [276.2, 0.338], [277.2, 0.417], [278.0, 0.51]
-    ]
-  },
-  CO2: {
-    structure: 'sI',
-    betaX: -0.9143,
-    data: [
-      [274.3, 1.42], [275.5, 1.63], [276.8, 1.9], [277.6, 2.11], [279.1, 2.55],
-      [280.6, 3.12], [281.5, 3.51], [282.1, 3.81], [282.9, 4.37]
-    ]
-  },
-  CP: {
-    structure: 'sII',
-    // From ΔH_d ≈ 113.7 kJ/mol-guest and n ≈ 17 → nR/ΔH_d ≈ 0.0012426
-    betaX: -1.2426,
-    t0_atm: 280.15, // K at ~0 wt% NaCl (measured)
-    // Measured T(K) vs NaCl(wt%) pairs for overlay
-    ts_data: [
-      [0,280.15],[1,279.45],[2,278.85],[3.5,278.05],[5,277.15],[6,276.55],
-      [7,275.75],[8,274.95],[9,274.45],[10,273.55],[11,272.85],[12,272.05],
-      [13,271.35],[14,270.45],[15,269.75],[16,268.85],[17,267.75],[18,266.65],[19,265.25]
-    ]
-  }
-};
-
-// Structure II correction coefficient (Hu–Lee–Sum correlation adjustment)
-const ALPHA_SII = 0.927;
-
 // DOM elements
 // Tabs
 const tabInput = document.getElementById('tab-input');
@@ -112,6 +29,10 @@ const tabCharts = document.getElementById('tab-charts');
 const tabInfo = document.getElementById('tab-info');
 const tabParam = document.getElementById('tab-param');
 const tabSaved = document.getElementById('tab-saved');
+const tabCascade = document.getElementById('tab-cascade');
+const tabSweep = document.getElementById('tab-sweep');
+const tabReactor = document.getElementById('tab-reactor');
+const tabCompare = document.getElementById('tab-compare');
 
 const sectionInput = document.getElementById('section-input');
 const sectionResults = document.getElementById('section-results');
@@ -119,6 +40,10 @@ const sectionCharts = document.getElementById('section-charts');
 const sectionInfo = document.getElementById('section-info');
 const sectionParam = document.getElementById('section-param');
 const sectionSaved = document.getElementById('section-saved');
+const sectionCascade = document.getElementById('section-cascade');
+const sectionSweep = document.getElementById('section-sweep');
+const sectionReactor = document.getElementById('section-reactor');
+const sectionCompare = document.getElementById('section-compare');
 
 // Input elements
 const gasSelect = document.getElementById('gas');
@@ -130,6 +55,30 @@ const customPanel = document.getElementById('customGasPanel');
 const customStructure = document.getElementById('customStructure');
 const customBetaX = document.getElementById('customBetaX');
 const customTPData = document.getElementById('customTPData');
+const customHydrationNumber = document.getElementById('customHydrationNumber');
+const customMolarMass = document.getElementById('customMolarMass');
+const customZ = document.getElementById('customZ');
+const customBetaEstimateBtn = document.getElementById('customBetaEstimateBtn');
+const customBetaApplyBtn = document.getElementById('customBetaApplyBtn');
+const customBetaEstimate = document.getElementById('customBetaEstimate');
+// Gas mixture inputs
+const gasMixPanel = document.getElementById('gasMixPanel');
+const gasMixComponentsEl = document.getElementById('gasMixComponents');
+const gasMixStructure = document.getElementById('gasMixStructure');
+const gasMixBetaX = document.getElementById('gasMixBetaX');
+const gasMixTPData = document.getElementById('gasMixTPData');
+const gasMixSummary = document.getElementById('gasMixSummary');
+// Mixed brine inputs
+const mixedBrinePanel = document.getElementById('mixedBrinePanel');
+const brineModeSelect = document.getElementById('brineMode');
+const brineComponentsEl = document.getElementById('brineComponents');
+const brineSummaryEl = document.getElementById('brineSummary');
+const brineSeawaterBtn = document.getElementById('brineSeawaterBtn');
+// Organic inhibitor inputs
+const inhibitorSelect = document.getElementById('inhibitor');
+const inhibitorWtInput = document.getElementById('inhibitorWt');
+const inhibitorClassSelect = document.getElementById('inhibitorClass');
+const inhibitorCoeffInputs = ['inhC1', 'inhC2', 'inhC3'].map((id) => document.getElementById(id));
 const dTminInput = document.getElementById('dTmin');
 const dTmaxInput = document.getElementById('dTmax');
 const calculateBtn = document.getElementById('calculateBtn');
@@ -137,6 +86,20 @@ const resetBtn = document.getElementById('resetBtn');
 const preset1Btn = document.getElementById('preset1Btn');
 const preset2Btn = document.getElementById('preset2Btn');
 const siiAlphaToggle = document.getElementById('siiAlphaToggle');
+const freezeCompareToggle = document.getElementById('freezeCompareToggle');
+const feedInletTemperatureInput = document.getElementById('feedInletTemperature');
+const chillerCopInput = document.getElementById('chillerCop');
+const hydrationNumberInput = document.getElementById('hydrationNumberInput');
+// Monte Carlo uncertainty inputs
+const uncertaintyEnabled = document.getElementById('uncertaintyEnabled');
+const uncertaintySamples = document.getElementById('uncertaintySamples');
+const uncBetaInput = document.getElementById('uncBeta');
+const uncBetaUnit = document.getElementById('uncBetaUnit');
+const uncBInput = document.getElementById('uncB');
+const uncT0Input = document.getElementById('uncT0');
+const uncSalinityInput = document.getElementById('uncSalinity');
+const uncSalinityUnit = document.getElementById('uncSalinityUnit');
+const restoreWarning = document.getElementById('restoreWarning');
 
 // Capture initial defaults (to keep reset consistent with initial UI)
 const initialDefaults = {
@@ -151,6 +114,10 @@ const initialDefaults = {
 // Result elements
 const masValueElem = document.getElementById('masValue');
 const mwyValueElem = document.getElementById('mwyValue');
+const masCompositionElem = document.getElementById('masComposition');
+const inhibitorInfoElem = document.getElementById('inhibitorInfo');
+const masUncertaintyElem = document.getElementById('masUncertainty');
+const mwyUncertaintyElem = document.getElementById('mwyUncertainty');
 
 // KPI readouts at operating pressure
 const tPureVal = document.getElementById('tPureVal');
@@ -184,9 +151,17 @@ let mwyChart;
 let heatmapMwyChart;
 let heatmapMasChart;
 let cpTsChart;
+let cascadeChart;
+let sweepChart;
+let sweepT0Chart;
+let reactorChart;
+let tornadoChart;
+let fitResidualChart;
 
 // Current calculation result data
 let currentCalculationData = null;
+// Inputs behind currentCalculationData (for follow-up analyses)
+let currentCalculationInputs = null;
 
 // Tab handling
 function switchTab(tabId) {
@@ -197,6 +172,10 @@ function switchTab(tabId) {
   sectionInfo.classList.add('hidden');
   sectionSaved.classList.add('hidden');
   if (sectionParam) sectionParam.classList.add('hidden');
+  if (sectionCascade) sectionCascade.classList.add('hidden');
+  if (sectionSweep) sectionSweep.classList.add('hidden');
+  if (sectionReactor) sectionReactor.classList.add('hidden');
+  if (sectionCompare) sectionCompare.classList.add('hidden');
   
   // Remove active class from all tabs
   tabInput.classList.remove('active');
@@ -205,6 +184,10 @@ function switchTab(tabId) {
   tabInfo.classList.remove('active');
   tabSaved.classList.remove('active');
   if (tabParam) tabParam.classList.remove('active');
+  if (tabCascade) tabCascade.classList.remove('active');
+  if (tabSweep) tabSweep.classList.remove('active');
+  if (tabReactor) tabReactor.classList.remove('active');
+  if (tabCompare) tabCompare.classList.remove('active');
   
   // Show selected section and activate tab
   switch(tabId) {
@@ -228,6 +211,24 @@ function switchTab(tabId) {
       if (sectionParam) sectionParam.classList.remove('hidden');
       if (tabParam) tabParam.classList.add('active');
       break;
+    case 'cascade':
+      if (sectionCascade) sectionCascade.classList.remove('hidden');
+      if (tabCascade) tabCascade.classList.add('active');
+      syncCascadeFeedSummary();
+      break;
+    case 'sweep':
+      if (sectionSweep) sectionSweep.classList.remove('hidden');
+      if (tabSweep) tabSweep.classList.add('active');
+      break;
+    case 'reactor':
+      if (sectionReactor) sectionReactor.classList.remove('hidden');
+      if (tabReactor) tabReactor.classList.add('active');
+      break;
+    case 'compare':
+      if (sectionCompare) sectionCompare.classList.remove('hidden');
+      if (tabCompare) tabCompare.classList.add('active');
+      renderCompareGasList();
+      break;
     case 'saved':
       sectionSaved.classList.remove('hidden');
       tabSaved.classList.add('active');
@@ -242,6 +243,10 @@ tabResults.addEventListener('click', () => switchTab('results'));
 tabCharts.addEventListener('click', () => switchTab('charts'));
 tabInfo.addEventListener('click', () => switchTab('info'));
 if (tabParam) tabParam.addEventListener('click', () => switchTab('param'));
+if (tabCascade) tabCascade.addEventListener('click', () => switchTab('cascade'));
+if (tabSweep) tabSweep.addEventListener('click', () => switchTab('sweep'));
+if (tabReactor) tabReactor.addEventListener('click', () => switchTab('reactor'));
+if (tabCompare) tabCompare.addEventListener('click', () => switchTab('compare'));
 tabSaved.addEventListener('click', () => switchTab('saved'));
 
 // Initialize with input tab active
@@ -282,42 +287,99 @@ switchTab('input');
   window.addEventListener('pointerdown', onPointerDown, { capture: true, passive: true });
 })();
 
+// Display names for gas keys
+const GAS_LABELS = { CH4: 'CH₄', C2H6: 'C₂H₆', C3H8: 'C₃H₈', CO2: 'CO₂', CP: 'CP', Mix: '혼합 기체', Custom: 'Custom' };
+const GAS_MIXTURE_KEY = HLSCore.GAS_MIXTURE_KEY;
+
 // CP gas: fix pressure input to ~0.1 MPa and disable when selected
-function median(arr) {
-  const a = arr.slice().sort((x,y)=>x-y);
-  const n = a.length; if (n === 0) return NaN;
-  return n % 2 ? a[(n-1)/2] : (a[n/2-1]+a[n/2])/2;
-}
 function getCustomDataPoints() {
-  const lines = (customTPData?.value || '').split(/\n+/).map(s=>s.trim()).filter(Boolean);
-  const pts = [];
-  for (const line of lines) {
-    const m = line.split(/[,\s]+/);
-    if (m.length >= 2) {
-      const T = parseFloat(m[0]);
-      const P = parseFloat(m[1]);
-      if (isFinite(T) && isFinite(P)) pts.push([T,P]);
-    }
-  }
-  return pts;
+  return parseTPText(customTPData?.value);
+}
+// Parse "T,P" lines into [[T, P], ...] sorted by pressure (see HLSCore.parseTPData)
+function parseTPText(text) {
+  return HLSCore.parseTPData(text).points;
 }
 function syncPressureForGas() {
   if (!gasSelect || !pressureInput) return;
   const gasKey = gasSelect.value;
   if (customPanel) customPanel.classList.toggle('hidden', gasKey !== 'Custom');
+  if (gasMixPanel) gasMixPanel.classList.toggle('hidden', gasKey !== GAS_MIXTURE_KEY);
+  if (gasKey === GAS_MIXTURE_KEY) syncGasMixSummary();
   if (gasKey === 'CP') {
     pressureInput.value = '0.10';
     pressureInput.disabled = true;
   } else {
     pressureInput.disabled = false;
-    let pts = [];
-    if (gasKey === 'Custom') pts = getCustomDataPoints();
-    else if (gasData[gasKey]?.data) pts = gasData[gasKey].data;
+    const pts = getGasDataPoints(gasKey);
     const pList = pts.map(p=>p[1]).filter(v=>isFinite(v));
     const pMed = pList.length ? median(pList) : (gasKey==='CP'?0.1:1.0);
     if (isFinite(pMed)) pressureInput.value = String(parseFloat(pMed.toFixed(3)));
   }
 }
+// P–T points behind a gas key (Custom and Mix are built from their panels)
+function getGasDataPoints(gasKey) {
+  if (gasKey === 'Custom') return getCustomDataPoints();
+  if (gasKey === GAS_MIXTURE_KEY) {
+    try { return HLSCore.buildGasMixture(readGasMixture()).data; } catch (_) { return []; }
+  }
+  return gasData[gasKey]?.data || [];
+}
+
+// Gas mixture: one mole-fraction input per built-in gas that has P–T data
+const gasMixState = { CH4: 0.95, C3H8: 0.05 };
+function renderGasMixInputs() {
+  if (!gasMixComponentsEl) return;
+  const keys = Object.keys(gasData).filter((k) => gasData[k].data);
+  gasMixComponentsEl.innerHTML = keys.map((k) => `<div>
+      <label class="block text-sm mb-1" for="gasMix_${k}">${GAS_LABELS[k] || k}</label>
+      <input id="gasMix_${k}" data-gas-mix-key="${k}" type="number" step="0.001" min="0" max="1" value="${gasMixState[k] ?? 0}" class="w-full border rounded p-2" />
+    </div>`).join('');
+}
+function readGasMixture() {
+  const components = {};
+  for (const [k, y] of Object.entries(gasMixState)) if (y > 0) components[k] = y;
+  const betaText = (gasMixBetaX?.value || '').trim();
+  const data = parseTPText(gasMixTPData?.value);
+  return {
+    components,
+    structure: gasMixStructure ? gasMixStructure.value : 'auto',
+    betaX: betaText === '' ? undefined : parseFloat(betaText),
+    data: data.length >= 2 ? data : undefined
+  };
+}
+function syncGasMixSummary() {
+  if (!gasMixSummary) return;
+  let mix;
+  try { mix = HLSCore.buildGasMixture(readGasMixture()); } catch (_) {
+    gasMixSummary.textContent = '조성을 입력해 주세요. (0보다 큰 몰분율이 하나 이상 필요)';
+    return;
+  }
+  const parts = Object.entries(mix.fractions).map(([k, y]) => `${GAS_LABELS[k] || k} ${(y * 100).toFixed(1)}%`).join(' + ');
+  gasMixSummary.textContent = `정규화 조성: ${parts} · 구조: ${mix.structure} · nR/ΔH_d: ${Math.abs(mix.betaX).toFixed(4)} ×10⁻³ 1/K · 평형 곡선: ${mix.estimated ? '성분 곡선으로 추정' : '입력 데이터'}`;
+}
+// Restore a mixture spec (as returned by readGasMixture) into the panel
+function applyGasMixture(spec) {
+  if (!spec) return;
+  Object.keys(gasMixState).forEach((k) => { delete gasMixState[k]; });
+  Object.assign(gasMixState, spec.components || {});
+  if (gasMixStructure) gasMixStructure.value = spec.structure || 'auto';
+  if (gasMixBetaX) gasMixBetaX.value = spec.betaX !== undefined && spec.betaX !== null ? String(spec.betaX) : '';
+  if (gasMixTPData) gasMixTPData.value = spec.data ? spec.data.map(([T, P]) => `${T},${P}`).join('\n') : '';
+  renderGasMixInputs();
+}
+renderGasMixInputs();
+if (gasMixComponentsEl) {
+  gasMixComponentsEl.addEventListener('input', (e) => {
+    const key = e.target?.dataset?.gasMixKey;
+    if (!key) return;
+    const v = parseFloat(e.target.value);
+    gasMixState[key] = isFinite(v) && v > 0 ? v : 0;
+    syncPressureForGas();
+  });
+}
+[gasMixStructure, gasMixBetaX].forEach((el) => { if (el) el.addEventListener('change', syncGasMixSummary); });
+if (gasMixTPData) gasMixTPData.addEventListener('input', syncPressureForGas);
+
 if (gasSelect) {
   gasSelect.addEventListener('change', syncPressureForGas);
   syncPressureForGas();
@@ -325,6 +387,226 @@ if (gasSelect) {
 if (customTPData) {
   customTPData.addEventListener('input', () => {
     if (gasSelect && gasSelect.value === 'Custom') syncPressureForGas();
+    renderCustomTPCheck();
+  });
+}
+
+// Mixed brine composition: values are kept per mode so switching back and
+// forth between salt wt% and ion g/kg does not lose what was typed
+const MIXED_SALT_KEY = HLSCore.MIXED_SALT_KEY;
+const ION_LABELS = { Li: 'Li⁺', Na: 'Na⁺', K: 'K⁺', Mg: 'Mg²⁺', Ca: 'Ca²⁺', Cl: 'Cl⁻', Br: 'Br⁻', SO4: 'SO₄²⁻' };
+const brineState = {
+  mode: 'salts',
+  salts: { NaCl: 3.0, KCl: 0.1, MgCl2: 0.4 },
+  ions: { ...HLSCore.SEAWATER_IONS }
+};
+function renderBrineInputs() {
+  if (!brineComponentsEl) return;
+  const mode = brineState.mode;
+  const keys = mode === 'ions' ? Object.keys(HLSCore.ionProps) : Object.keys(HLSCore.saltProps);
+  const values = brineState[mode];
+  const unit = mode === 'ions' ? 'g/kg' : 'wt%';
+  brineComponentsEl.innerHTML = keys.map((k) => {
+    const label = mode === 'ions' ? (ION_LABELS[k] || k) : getSaltLabel(k);
+    return `<div>
+      <label class="block text-sm mb-1" for="brine_${k}">${label} (${unit})</label>
+      <input id="brine_${k}" data-brine-key="${k}" type="number" step="0.001" min="0" value="${values[k] ?? 0}" class="w-full border rounded p-2" />
+    </div>`;
+  }).join('');
+  syncBrineSummary();
+}
+function readBrineComposition() {
+  const components = {};
+  for (const [k, v] of Object.entries(brineState[brineState.mode])) {
+    if (v > 0) components[k] = v;
+  }
+  return { mode: brineState.mode, components };
+}
+function syncBrineSummary() {
+  if (!saltSelect || saltSelect.value !== MIXED_SALT_KEY) return;
+  let coeffs = null;
+  try { coeffs = HLSCore.brineCoefficients(readBrineComposition()); } catch (_) { coeffs = null; }
+  if (!coeffs) {
+    if (brineSummaryEl) brineSummaryEl.textContent = '조성을 입력해 주세요. (0보다 큰 값이 하나 이상 필요)';
+    return;
+  }
+  if (salinityInput) salinityInput.value = String(parseFloat(coeffs.salinity.toFixed(4)));
+  if (brineSummaryEl) {
+    let text = `총 용존 염(TDS): ${coeffs.salinity.toFixed(3)} wt%`;
+    if (coeffs.mode === 'ions') {
+      const imbalance = coeffs.chargeBalance * 100;
+      text += ` · 전하 균형 오차: ${imbalance.toFixed(2)} %`;
+      if (Math.abs(imbalance) > 5) text += ' (⚠ 전기적 중성에서 크게 벗어남)';
+    }
+    brineSummaryEl.textContent = text;
+  }
+}
+function syncSaltMode() {
+  const isMixed = !!saltSelect && saltSelect.value === MIXED_SALT_KEY;
+  if (mixedBrinePanel) mixedBrinePanel.classList.toggle('hidden', !isMixed);
+  if (salinityInput) salinityInput.disabled = isMixed;
+  if (isMixed) syncBrineSummary();
+}
+if (brineComponentsEl) {
+  brineComponentsEl.addEventListener('input', (e) => {
+    const key = e.target?.dataset?.brineKey;
+    if (!key) return;
+    const v = parseFloat(e.target.value);
+    brineState[brineState.mode][key] = isFinite(v) && v > 0 ? v : 0;
+    syncBrineSummary();
+  });
+}
+if (brineModeSelect) {
+  brineModeSelect.addEventListener('change', () => {
+    brineState.mode = brineModeSelect.value === 'ions' ? 'ions' : 'salts';
+    renderBrineInputs();
+  });
+}
+if (brineSeawaterBtn) {
+  brineSeawaterBtn.addEventListener('click', () => {
+    brineState.mode = 'ions';
+    brineState.ions = { ...HLSCore.SEAWATER_IONS };
+    if (brineModeSelect) brineModeSelect.value = 'ions';
+    renderBrineInputs();
+  });
+}
+// Restore a stored composition (saved results) into the panel
+function applyBrineComposition(brine) {
+  if (!brine || !brine.components) return;
+  const mode = brine.mode === 'ions' ? 'ions' : 'salts';
+  brineState.mode = mode;
+  const values = {};
+  Object.keys(mode === 'ions' ? HLSCore.ionProps : HLSCore.saltProps).forEach((k) => { values[k] = 0; });
+  brineState[mode] = { ...values, ...brine.components };
+  if (brineModeSelect) brineModeSelect.value = mode;
+  renderBrineInputs();
+}
+if (saltSelect) {
+  saltSelect.addEventListener('change', syncSaltMode);
+  renderBrineInputs();
+  syncSaltMode();
+}
+
+// Organic inhibitor: the class select swaps the coefficient set, which stays
+// editable so literature values can be typed in
+const INHIBITOR_LABELS = { MeOH: 'MeOH', EtOH: 'EtOH', MEG: 'MEG' };
+const INHIBITOR_CLASS_LABELS = { alcohols: '알코올류', glycols: '글리콜류' };
+function fillInhibitorCoeffs(cls) {
+  const set = HLSCore.activityCoefficientSets[cls];
+  if (!set) return;
+  inhibitorCoeffInputs.forEach((el, i) => { if (el) el.value = String(parseFloat(set[i].toFixed(4))); });
+}
+function syncInhibitorInputs() {
+  const active = !!(inhibitorSelect && inhibitorSelect.value);
+  [inhibitorWtInput, inhibitorClassSelect, ...inhibitorCoeffInputs].forEach((el) => { if (el) el.disabled = !active; });
+}
+function readInhibitor() {
+  if (!inhibitorSelect || !inhibitorSelect.value) return undefined;
+  return {
+    key: inhibitorSelect.value,
+    wt: parseFloat(inhibitorWtInput?.value),
+    cls: inhibitorClassSelect?.value,
+    coeffs: inhibitorCoeffInputs.map((el) => parseFloat(el?.value))
+  };
+}
+function applyInhibitor(inhibitor) {
+  if (!inhibitorSelect) return;
+  inhibitorSelect.value = inhibitor?.key || '';
+  if (inhibitor) {
+    if (inhibitorWtInput) inhibitorWtInput.value = inhibitor.wt;
+    if (inhibitorClassSelect) inhibitorClassSelect.value = inhibitor.cls;
+    inhibitorCoeffInputs.forEach((el, i) => { if (el && inhibitor.coeffs) el.value = inhibitor.coeffs[i]; });
+  }
+  syncInhibitorInputs();
+}
+if (inhibitorSelect) {
+  inhibitorSelect.addEventListener('change', () => {
+    const props = HLSCore.inhibitorProps[inhibitorSelect.value];
+    if (props && inhibitorClassSelect) {
+      inhibitorClassSelect.value = props.cls;
+      fillInhibitorCoeffs(props.cls);
+    }
+    syncInhibitorInputs();
+  });
+}
+if (inhibitorClassSelect) {
+  inhibitorClassSelect.addEventListener('change', () => fillInhibitorCoeffs(inhibitorClassSelect.value));
+  fillInhibitorCoeffs(inhibitorClassSelect.value);
+}
+syncInhibitorInputs();
+
+// =====================
+// Energy balance (formation heat, sensible cooling, chiller duty)
+// =====================
+function readEnergyOptions() {
+  return {
+    feedTemperature: parseFloat(feedInletTemperatureInput?.value ?? '293.15'),
+    cop: parseFloat(chillerCopInput?.value ?? '3')
+  };
+}
+
+function renderEnergy(energy) {
+  const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+  if (!energy) {
+    ['energyFormation', 'energySensible', 'energyChiller', 'energyElectric', 'energyNote'].forEach((id) => set(id, ''));
+    return;
+  }
+  const fmt = (v, digits, unit) => (isFinite(v) ? `${v.toFixed(digits)} ${unit}` : '–');
+  const m = energy.atMax;
+  set('energyFormation', fmt(m.formationHeat, 0, 'kJ/kg'));
+  set('energySensible', fmt(m.sensible, 0, 'kJ/kg'));
+  set('energyChiller', fmt(m.chiller, 0, 'kJ/kg'));
+  set('energyElectric', fmt(m.electric, 1, 'kWh/m³'));
+  set('energyNote', `ΔH_d/n = ${(energy.formationEnthalpy / 1000).toFixed(2)} kJ/mol 물, 원료 ${energy.feedTemperature} K → 형성 온도, c_p = ${energy.cp.toFixed(3)} J/(g·K), COP = ${energy.cop}. 냉동 부하(열)는 원료 기준 ${fmt(m.chillerPerFeed, 0, 'kJ/kg')}, 생산수 기준 ${fmt(m.chiller / 3.6, 1, 'kWh/m³')}입니다.`);
+}
+
+function renderGasUptake(uptake, gasKey) {
+  const set = (id, text) => { const el = document.getElementById(id); if (el) el.textContent = text; };
+  const co2El = document.getElementById('uptakeCo2');
+  if (!uptake) {
+    ['uptakeHydration', 'uptakePerFeed', 'uptakePerM3', 'uptakeRatio'].forEach((id) => set(id, ''));
+    if (co2El) co2El.classList.add('hidden');
+    return;
+  }
+  const hasMass = isFinite(uptake.molarMass);
+  set('uptakeHydration', `${uptake.hydrationNumber.toFixed(2)}${uptake.hydrationNumberOverride !== undefined ? ' (입력)' : ''}`);
+  set('uptakePerFeed', `${uptake.atMax.mol.toFixed(3)} mol${hasMass ? ` · ${uptake.atMax.g.toFixed(2)} g` : ''}`);
+  // CP is a liquid guest, so a standard gas volume means nothing there
+  set('uptakePerM3', hasMass ? `${uptake.perM3.kg.toFixed(1)} kg${gasKey === 'CP' ? '' : ` · ${uptake.perM3.standardM3.toFixed(0)} Sm³`}` : `${(uptake.perM3.mol / 1000).toFixed(2)} kmol`);
+  set('uptakeRatio', `1 : ${uptake.hydrationNumber.toFixed(2)} (mol)${hasMass ? ` · ${uptake.gasToWaterMass.toFixed(3)} g/g` : ''}`);
+  if (co2El) {
+    co2El.classList.toggle('hidden', !uptake.co2);
+    if (uptake.co2) {
+      co2El.textContent = `CO₂ 격리: 원료 100 g당 ${uptake.co2.g.toFixed(2)} g (원료 1 t당 ${(uptake.co2.g * 10).toFixed(1)} kg), 생산수 1 m³당 ${uptake.co2.kgPerM3.toFixed(1)} kg${uptake.co2.fraction < 1 ? ` (기체 중 CO₂ ${(uptake.co2.fraction * 100).toFixed(1)}% 가정)` : ''}`;
+    }
+  }
+}
+
+// Feed temperature and COP only change the energy balance, no recalculation
+[feedInletTemperatureInput, chillerCopInput].forEach((el) => {
+  if (!el) return;
+  el.addEventListener('change', () => {
+    if (!currentCalculationData) return;
+    try {
+      currentCalculationData.energy = HLSCore.energyBalance(currentCalculationData, readEnergyOptions());
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert('원료 온도와 COP는 0보다 커야 합니다.');
+      return;
+    }
+    if (currentCalculationData.scenario) currentCalculationData.scenario.energy = readEnergyOptions();
+    renderEnergy(currentCalculationData.energy);
+  });
+});
+
+// Freeze-desalination comparison only toggles the dataset, no recalculation
+if (freezeCompareToggle) {
+  freezeCompareToggle.addEventListener('change', () => {
+    const ds = mwyChart && mwyChart.data.datasets.find((d) => d.label === '동결 담수화 (같은 온도)');
+    if (!ds) return;
+    ds.hidden = !freezeCompareToggle.checked;
+    if (freezeCompareToggle.checked) mwyChart.options.plugins.legend.display = true;
+    mwyChart.update();
   });
 }
 
@@ -347,17 +629,38 @@ exportCsvBtn.addEventListener('click', function() {
     dTRange, masValues, mwyValues, gasKey, saltKey, initialSalinity, pressure, 
     salinityMolValues, xValues, lnawValues, dtT0TValues, thlsValues, 
     tmaxValues, naclGValues, waterGValues, waterSolutionGValues, 
-    waterHydrateGValues, maxPureWaterYieldValues 
+    waterHydrateGValues, maxPureWaterYieldValues, inhibitorValues,
+    brineFreezingValues, iceFlags, freezeMwyValues,
+    solubilityValues, saturatedFlags, masUncappedValues, precipitatedSaltValues, extraMwyValues,
+    energy, gasUptake
   } = currentCalculationData;
   
   let csvContent = "data:text/csv;charset=utf-8,";
-  csvContent += "과냉각도 (K),최대 달성 염도 (wt%),최대 물 전환율 (%),염도 (mol %),X_NaCl,ln(aw),dT/T0T,T_HLS,T_Max (supercooling),NaCl (g),Water (g),최종 염도 (wt%),용액 내 물 (g),하이드레이트 내 물 (g),최대 물 전환율 (%)\n";
+  if (currentCalculationData.t0Warning) csvContent += `# 경고: ${describeT0Warning(currentCalculationData.t0Warning, gasKey)}\n`;
+  if (gasUptake) csvContent += `# 수화수 n = ${gasUptake.hydrationNumber}, 기체 몰질량 ${isFinite(gasUptake.molarMass) ? gasUptake.molarMass : '-'} g/mol (원료 100 g 기준)\n`;
+  if (energy) csvContent += `# 에너지: 원료 유입 ${energy.feedTemperature} K, COP ${energy.cop}, c_p ${energy.cp.toFixed(3)} J/(g·K)\n`;
+  csvContent += "과냉각도 (K),최대 달성 염도 (wt%),최대 물 전환율 (%),염도 (mol %),X_NaCl,ln(aw),dT/T0T,T_HLS,T_Max (supercooling),NaCl (g),Water (g),최종 염도 (wt%),용액 내 물 (g),하이드레이트 내 물 (g),최대 물 전환율 (%)";
+  if (inhibitorValues) csvContent += `,${currentCalculationData.inhibitor.key} 최종 농도 (wt%)`;
+  const band = currentCalculationData.uncertainty;
+  if (band) csvContent += ",MAS P5 (wt%),MAS P50 (wt%),MAS P95 (wt%),MWY P5 (%),MWY P50 (%),MWY P95 (%)";
+  if (iceFlags) csvContent += ",잔류 염수 어는점 (K),얼음 형성,동결 담수화 MWY (%)";
+  if (saturatedFlags) csvContent += ",용해도 (wt%),염 포화,제한 전 MAS (wt%),석출 염 (g),포화 이후 추가 MWY (%p)";
+  if (gasUptake) csvContent += `,포집 기체 (mol),포집 기체 (g)${gasUptake.co2 ? ',CO₂ 격리 (g)' : ''}`;
+  if (energy) csvContent += ",형성열 (kJ/kg 생산수),현열 냉각 (kJ/kg 생산수),냉동 부하 (kJ/kg 생산수),냉동기 전력 (kWh/m³ 생산수)";
+  csvContent += "\n";
   
   for (let i = 0; i < dTRange.length; i++) {
-    csvContent += `${dTRange[i]},${masValues[i]},${mwyValues[i]},${salinityMolValues[i]},${xValues[i]},${lnawValues[i]},${dtT0TValues[i]},${thlsValues[i]},${tmaxValues[i]},${naclGValues[i]},${waterGValues[i]},${masValues[i]},${waterSolutionGValues[i]},${waterHydrateGValues[i]},${maxPureWaterYieldValues[i]}\n`;
+    csvContent += `${dTRange[i]},${masValues[i]},${mwyValues[i]},${salinityMolValues[i]},${xValues[i]},${lnawValues[i]},${dtT0TValues[i]},${thlsValues[i]},${tmaxValues[i]},${naclGValues[i]},${waterGValues[i]},${masValues[i]},${waterSolutionGValues[i]},${waterHydrateGValues[i]},${maxPureWaterYieldValues[i]}`;
+    if (inhibitorValues) csvContent += `,${inhibitorValues[i]}`;
+    if (band) csvContent += `,${band.mas.p5[i]},${band.mas.p50[i]},${band.mas.p95[i]},${band.mwy.p5[i]},${band.mwy.p50[i]},${band.mwy.p95[i]}`;
+    if (iceFlags) csvContent += `,${brineFreezingValues[i]},${iceFlags[i] ? 1 : 0},${freezeMwyValues[i]}`;
+    if (saturatedFlags) csvContent += `,${solubilityValues[i]},${saturatedFlags[i] ? 1 : 0},${masUncappedValues[i]},${precipitatedSaltValues[i]},${extraMwyValues[i]}`;
+    if (gasUptake) csvContent += `,${gasUptake.molValues[i]},${isFinite(gasUptake.massValues[i]) ? gasUptake.massValues[i] : ''}${gasUptake.co2 ? `,${gasUptake.molValues[i] * gasUptake.co2.fraction * gasData.CO2.molarMass}` : ''}`;
+    if (energy) csvContent += `,${energy.formationHeat},${energy.sensibleValues[i]},${energy.chillerValues[i]},${energy.electricValues[i]}`;
+    csvContent += "\n";
   }
   
-  const encodedUri = encodeURI(csvContent);
+  const encodedUri = encodeURI(csvContent).replace(/#/g, "%23");
   const link = document.createElement("a");
   link.setAttribute("href", encodedUri);
   link.setAttribute("download", `HLS_결과_${gasKey}_${saltKey}_${initialSalinity}wt_${pressure}MPa.csv`);
@@ -392,20 +695,197 @@ saveResultBtn.addEventListener('click', function() {
   
   const savedResults = getSavedResults();
   const timestamp = new Date().toISOString();
-  const resultWithTimestamp = { ...currentCalculationData, timestamp };
+  const id = newSavedResultId(new Set(savedResults.map((r) => r.id)));
+  const resultWithTimestamp = { ...currentCalculationData, id, timestamp };
   
   savedResults.push(resultWithTimestamp);
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(savedResults));
-  
-  alert('결과가 저장되었습니다.');
+  // Confirm only once the write has landed; setSavedResults reports failures
+  setSavedResults(savedResults).then((ok) => {
+    if (ok) alert('결과가 저장되었습니다.');
+  });
 });
 
-// Get saved results from localStorage
+// Saved results live in IndexedDB (a localStorage string runs out of quota
+// with full detail arrays) and are mirrored in memory so readers stay
+// synchronous. Without IndexedDB the library stays in localStorage.
+const SAVED_DB_NAME = 'hls-calculator';
+// One record per result keyed by its id, and the list order as one id array
+const SAVED_DB_STORE = 'savedResults';
+const SAVED_DB_ORDER_STORE = 'savedResultOrder';
+const SAVED_DB_ORDER_KEY = 'ids';
+let savedResultsDb = null;
+// Until IndexedDB is open this holds (and writes go to) the localStorage library
+let savedResultsCache = readLocalSavedResults();
+let savedResultsWrite = Promise.resolve(true);
+// IndexedDB contents as last written (id → JSON of the entry, and the JSON of
+// the id order), so a write only touches what changed
+const savedResultsStored = new Map();
+let savedResultsOrder = '[]';
+
+function readLocalSavedResults() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+    assignSavedResultIds(stored);
+    return stored;
+  } catch (_) {
+    return [];
+  }
+}
+
+// Get saved results (in list order)
 function getSavedResults() {
-  const savedResults = localStorage.getItem(STORAGE_KEY);
-  return savedResults ? JSON.parse(savedResults) : [];
+  return savedResultsCache.slice();
+}
+
+// Replace the saved library. Resolves to whether the write succeeded.
+function setSavedResults(savedResults) {
+  savedResultsCache = savedResults.slice();
+  assignSavedResultIds(savedResultsCache);
+  if (!savedResultsDb) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(savedResultsCache));
+    } catch (_) {
+      alert('브라우저 저장 공간이 부족해 결과를 저장하지 못했습니다.');
+      return Promise.resolve(false);
+    }
+    return Promise.resolve(true);
+  }
+  const snapshot = savedResultsCache;
+  // Queued so an earlier write can never land after a later one. Only added
+  // or edited records are put and only removed ones deleted; a move rewrites
+  // just the order. A failed write leaves the rest of the library as it was.
+  savedResultsWrite = savedResultsWrite.then(() => new Promise((resolve) => {
+    const next = new Map(snapshot.map((entry) => [entry.id, { entry, json: JSON.stringify(entry) }]));
+    const ids = snapshot.map((entry) => entry.id);
+    const order = JSON.stringify(ids);
+    const tx = savedResultsDb.transaction([SAVED_DB_STORE, SAVED_DB_ORDER_STORE], 'readwrite');
+    const store = tx.objectStore(SAVED_DB_STORE);
+    savedResultsStored.forEach((_, id) => { if (!next.has(id)) store.delete(id); });
+    next.forEach(({ entry, json }, id) => {
+      if (savedResultsStored.get(id) !== json) store.put(entry, id);
+    });
+    if (order !== savedResultsOrder) tx.objectStore(SAVED_DB_ORDER_STORE).put(ids, SAVED_DB_ORDER_KEY);
+    tx.oncomplete = () => {
+      savedResultsStored.clear();
+      next.forEach(({ json }, id) => savedResultsStored.set(id, json));
+      savedResultsOrder = order;
+      resolve(true);
+    };
+    tx.onerror = tx.onabort = () => {
+      alert('결과를 브라우저 저장소에 쓰지 못했습니다.');
+      resolve(false);
+    };
+  }));
+  return savedResultsWrite;
+}
+
+function openSavedResultsDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SAVED_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SAVED_DB_STORE);
+      request.result.createObjectStore(SAVED_DB_ORDER_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Opens IndexedDB and moves any localStorage library (older versions, or
+// saves made before the database opened) into it
+function initSavedResults() {
+  if (typeof indexedDB === 'undefined' || !indexedDB) {
+    migrateSavedResults();
+    return Promise.resolve();
+  }
+  return openSavedResultsDb()
+    .then((db) => new Promise((resolve, reject) => {
+      const tx = db.transaction([SAVED_DB_STORE, SAVED_DB_ORDER_STORE], 'readonly');
+      const entries = tx.objectStore(SAVED_DB_STORE).getAll();
+      const ids = tx.objectStore(SAVED_DB_ORDER_STORE).get(SAVED_DB_ORDER_KEY);
+      tx.oncomplete = () => {
+        const legacy = readLocalSavedResults();
+        savedResultsDb = db;
+        savedResultsCache = HLSState.orderSavedResults(entries.result || [], ids.result || []);
+        savedResultsCache.forEach((entry) => savedResultsStored.set(entry.id, JSON.stringify(entry)));
+        savedResultsOrder = JSON.stringify(ids.result || []);
+        if (legacy.length) {
+          setSavedResults(savedResultsCache.concat(legacy)).then((ok) => {
+            if (ok) localStorage.removeItem(STORAGE_KEY);
+          });
+        }
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    }))
+    .catch(() => { savedResultsDb = null; })
+    .then(() => {
+      migrateSavedResults();
+      if (!sectionSaved.classList.contains('hidden')) loadSavedResults();
+    });
+}
+
+// Results saved before scenarios existed get one, once, so they restore like
+// new saves. Runs after the user gases and salts are loaded.
+function migrateSavedResults() {
+  const savedResults = getSavedResults();
+  let changed = false;
+  savedResults.forEach((entry) => {
+    if (entry.scenario && entry.scenario.format === HLSCore.SCENARIO_FORMAT) return;
+    try {
+      entry.scenario = HLSCore.migrateScenario(entry).scenario;
+      changed = true;
+    } catch (_) { /* leave unreadable entries as they are */ }
+  });
+  if (changed) setSavedResults(savedResults);
+}
+
+// =====================
+// Saved results: names, notes, tags, search and sort
+// =====================
+const savedSearchInput = document.getElementById('savedSearch');
+const savedFilterGas = document.getElementById('savedFilterGas');
+const savedFilterSalt = document.getElementById('savedFilterSalt');
+const savedFilterTag = document.getElementById('savedFilterTag');
+const savedSortSelect = document.getElementById('savedSort');
+const savedFilterCount = document.getElementById('savedFilterCount');
+
+function savedResultTitle(result, index) {
+  return result.name || `결과 #${index + 1}`;
+}
+
+// "a, b ,a" → ['a', 'b']
+function parseTags(text) {
+  return Array.from(new Set(String(text || '').split(/[,，]/).map((t) => t.trim()).filter(Boolean)));
+}
+
+// Keep each filter's choice while the values present in the library change
+function fillSavedFilter(select, values, allLabel, labelOf) {
+  if (!select) return;
+  const current = select.value;
+  const sorted = Array.from(new Set(values)).sort((a, b) => String(a).localeCompare(String(b), 'ko'));
+  select.innerHTML = `<option value="">${allLabel}</option>`
+    + sorted.map((v) => `<option value="${escapeHtml(v)}">${escapeHtml(labelOf ? labelOf(v) : v)}</option>`).join('');
+  select.value = sorted.includes(current) ? current : '';
 }
 
+// Saved results that pass the search box and filters, in the chosen order
+function filterSavedResults(savedResults) {
+  const criteria = {
+    query: savedSearchInput?.value || '',
+    gas: savedFilterGas?.value || '',
+    salt: savedFilterSalt?.value || '',
+    tag: savedFilterTag?.value || '',
+    sort: savedSortSelect?.value || 'saved'
+  };
+  return HLSState.filterSavedResults(savedResults, criteria, { titleOf: savedResultTitle, labelOf: (k) => GAS_LABELS[k] });
+}
+
+[savedSearchInput, savedFilterGas, savedFilterSalt, savedFilterTag, savedSortSelect].forEach((el) => {
+  if (el) el.addEventListener(el === savedSearchInput ? 'input' : 'change', () => loadSavedResults());
+});
+
 // Load and display saved results
 function loadSavedResults() {
   const savedResults = getSavedResults();
@@ -413,80 +893,285 @@ function loadSavedResults() {
   if (savedResults.length === 0) {
     noSavedResults.classList.remove('hidden');
     savedResultsContainer.innerHTML = '<p id="noSavedResults" class="text-gray-500 italic">저장된 결과가 없습니다.</p>';
+    if (savedFilterCount) savedFilterCount.classList.add('hidden');
+    savedSelection.clear();
+    syncSavedSelection();
     return;
   }
   
   noSavedResults.classList.add('hidden');
   
+  // Drop selections whose result no longer exists
+  const keys = savedResults.map(savedResultKey);
+  Array.from(savedSelection).forEach((k) => { if (!keys.includes(k)) savedSelection.delete(k); });
+
+  fillSavedFilter(savedFilterGas, savedResults.map((r) => r.gasKey), '모든 기체', (k) => GAS_LABELS[k] || k);
+  fillSavedFilter(savedFilterSalt, savedResults.map((r) => r.saltKey), '모든 염');
+  fillSavedFilter(savedFilterTag, savedResults.flatMap((r) => r.tags || []), '모든 태그');
+  const shown = filterSavedResults(savedResults);
+  if (savedFilterCount) {
+    savedFilterCount.textContent = `${savedResults.length}개 중 ${shown.length}개 표시`;
+    savedFilterCount.classList.toggle('hidden', shown.length === savedResults.length);
+  }
+
   let html = '';
-  savedResults.forEach((result, index) => {
-    const date = new Date(result.timestamp).toLocaleString('ko-KR');
+  shown.forEach(({ result, index }) => {
+    const date = escapeHtml(new Date(result.timestamp).toLocaleString('ko-KR'));
+    const selected = savedSelection.has(savedResultKey(result, index));
+    const tags = result.tags || [];
     html += `
-      <div class="glass-card p-4 relative">
-        <button class="absolute top-2 right-2 text-red-500" onclick="deleteResult(${index})">×</button>
-        <h3 class="font-semibold text-lg mb-2">결과 #${index + 1} (${date})</h3>
+      <div class="glass-card p-4 relative${selected ? ' ring-2 ring-blue-400' : ''}">
+        <button class="absolute top-2 right-2 text-red-500" onclick="deleteResult(${index})" title="삭제">×</button>
+        <label class="flex items-center gap-2 mb-1">
+          <input type="checkbox" data-saved-select="${index}"${selected ? ' checked' : ''} />
+          <span class="font-semibold text-lg">${escapeHtml(savedResultTitle(result, index))}</span>
+          <span class="text-sm text-gray-500">${result.name ? `#${index + 1} · ` : ''}${date}</span>
+        </label>
+        ${tags.length ? `<div class="flex flex-wrap gap-1 mb-2">${tags.map((t) => `<span class="bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded">${escapeHtml(t)}</span>`).join('')}</div>` : ''}
+        ${result.notes ? `<p class="text-sm text-gray-700 mb-2 whitespace-pre-line">${escapeHtml(result.notes)}</p>` : ''}
         <div class="grid grid-cols-2 gap-4 mb-2">
           <div class="bg-gray-100 p-2 rounded">
             <p class="text-xs text-gray-600">기체 / 염</p>
-            <p class="font-semibold">${result.gasKey} / ${result.saltKey}</p>
+            <p class="font-semibold">${escapeHtml(result.gasKey)} / ${escapeHtml(result.saltKey)}</p>
           </div>
           <div class="bg-gray-100 p-2 rounded">
             <p class="text-xs text-gray-600">초기 염도 / 압력</p>
-            <p class="font-semibold">${result.initialSalinity} wt% / ${result.pressure} MPa</p>
+            <p class="font-semibold">${escapeHtml(result.initialSalinity)} wt% / ${escapeHtml(result.pressure)} MPa</p>
           </div>
         </div>
         <div class="grid grid-cols-2 gap-4">
           <div class="bg-gray-100 p-2 rounded">
             <p class="text-xs text-gray-600">최대 달성 염도 (MAS)</p>
-            <p class="font-semibold">${result.masMax.toFixed(2)} wt%</p>
+            <p class="font-semibold">${fmtFixed(result.masMax, 2)} wt%</p>
           </div>
           <div class="bg-gray-100 p-2 rounded">
             <p class="text-xs text-gray-600">최대 물 전환율 (MWY)</p>
-            <p class="font-semibold">${result.mwyMax.toFixed(2)} %</p>
+            <p class="font-semibold">${fmtFixed(result.mwyMax, 2)} %</p>
           </div>
         </div>
         <div class="mt-2 flex gap-2">
           <button class="bg-blue-600 hover:bg-blue-700 text-white text-xs py-1 px-2 rounded" onclick="loadResult(${index})">불러오기</button>
           <button class="bg-green-600 hover:bg-green-700 text-white text-xs py-1 px-2 rounded" onclick="exportResult(${index})">내보내기</button>
+          <button class="bg-gray-200 hover:bg-gray-300 text-gray-800 text-xs py-1 px-2 rounded" data-saved-edit="${index}">이름·메모·태그</button>
+        </div>
+        <div class="hidden mt-3 space-y-2 text-sm" data-saved-editor="${index}">
+          <input type="text" data-saved-field="name" class="w-full border rounded p-2" placeholder="이름 (예: 2차 CO₂ 회분 실험)" value="${escapeHtml(result.name || '')}" />
+          <input type="text" data-saved-field="tags" class="w-full border rounded p-2" placeholder="태그, 쉼표로 구분 (예: 프로젝트A, S-12, 반응기2)" value="${escapeHtml(tags.join(', '))}" />
+          <textarea data-saved-field="notes" rows="3" class="w-full border rounded p-2" placeholder="메모">${escapeHtml(result.notes || '')}</textarea>
+          <div class="flex gap-2">
+            <button class="bg-blue-600 hover:bg-blue-700 text-white text-xs py-1 px-2 rounded" data-saved-meta-save="${index}">저장</button>
+            <button class="bg-gray-200 hover:bg-gray-300 text-gray-800 text-xs py-1 px-2 rounded" data-saved-edit="${index}">취소</button>
+          </div>
         </div>
       </div>
     `;
   });
   
-  savedResultsContainer.innerHTML = html;
+  savedResultsContainer.innerHTML = html || '<p class="text-gray-500 italic">조건에 맞는 결과가 없습니다.</p>';
+  syncSavedSelection();
 }
 
-// Delete saved result
-window.deleteResult = function(index) {
-  if (confirm('저장된 결과를 삭제하시겠습니까?')) {
-    const savedResults = getSavedResults();
-    savedResults.splice(index, 1);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(savedResults));
-    loadSavedResults();
+if (savedResultsContainer) {
+  savedResultsContainer.addEventListener('click', (e) => {
+    const editIndex = e.target.dataset?.savedEdit;
+    const saveIndex = e.target.dataset?.savedMetaSave;
+    if (editIndex !== undefined) {
+      savedResultsContainer.querySelector(`[data-saved-editor="${editIndex}"]`)?.classList.toggle('hidden');
+    } else if (saveIndex !== undefined) {
+      const editor = savedResultsContainer.querySelector(`[data-saved-editor="${saveIndex}"]`);
+      const savedResults = getSavedResults();
+      const result = savedResults[Number(saveIndex)];
+      if (!editor || !result) return;
+      const field = (name) => editor.querySelector(`[data-saved-field="${name}"]`).value.trim();
+      const updated = { ...result, name: field('name'), notes: field('notes'), tags: parseTags(field('tags')) };
+      if (!updated.name) delete updated.name;
+      if (!updated.notes) delete updated.notes;
+      if (!updated.tags.length) delete updated.tags;
+      savedResults[Number(saveIndex)] = updated;
+      setSavedResults(savedResults);
+      loadSavedResults();
+    }
+  });
+}
+
+// Delete saved result; the deletion can be undone from the toast
+const savedUndoToast = document.getElementById('savedUndoToast');
+const savedUndoText = document.getElementById('savedUndoText');
+// Deleted results, most recent last, until the toast times out
+const savedUndoStack = [];
+let savedUndoTimer = null;
+
+function hideSavedUndo() {
+  clearTimeout(savedUndoTimer);
+  savedUndoStack.length = 0;
+  if (savedUndoToast) savedUndoToast.classList.add('hidden');
+}
+
+function showSavedUndo() {
+  if (!savedUndoToast || !savedUndoStack.length) {
+    hideSavedUndo();
+    return;
   }
+  const last = savedUndoStack[savedUndoStack.length - 1];
+  const extra = savedUndoStack.length > 1 ? ` 외 ${savedUndoStack.length - 1}개` : '';
+  savedUndoText.textContent = `'${savedResultTitle(last.entry, last.index)}'${extra} 삭제됨`;
+  savedUndoToast.classList.remove('hidden');
+  clearTimeout(savedUndoTimer);
+  savedUndoTimer = setTimeout(hideSavedUndo, 10000);
+}
+
+window.deleteResult = function(index) {
+  const { results, removed } = HLSState.removeSavedResult(getSavedResults(), index);
+  if (!removed) return;
+  setSavedResults(results);
+  savedUndoStack.push(removed);
+  showSavedUndo();
+  loadSavedResults();
 };
 
-// Load saved result
+// Restores the most recent deletion at its old position
+function undoDeleteResult() {
+  const last = savedUndoStack.pop();
+  if (!last) return;
+  setSavedResults(HLSState.restoreSavedResult(getSavedResults(), last));
+  showSavedUndo();
+  loadSavedResults();
+}
+document.getElementById('savedUndoBtn')?.addEventListener('click', undoDeleteResult);
+
+// Load saved result: restore every stored input, recalculate and check the
+// numbers against the saved ones
 window.loadResult = function(index) {
-  const savedResults = getSavedResults();
-  const result = savedResults[index];
-  
-  if (!result) return;
-  
-  // Set inputs
-  gasSelect.value = result.gasKey;
-  saltSelect.value = result.saltKey;
-  salinityInput.value = result.initialSalinity;
-  pressureInput.value = result.pressure;
-  dTminInput.value = result.dTRange[0];
-  dTmaxInput.value = result.dTRange[result.dTRange.length - 1];
-  
+  const saved = getSavedResults()[index];
+  if (!saved) return;
+  let migrated;
+  try {
+    migrated = HLSCore.migrateScenario(saved);
+  } catch (err) {
+    if (!(err instanceof CalculationError)) throw err;
+    alert('더 새로운 버전에서 저장된 결과라 불러올 수 없습니다.');
+    return;
+  }
+  const { inputs } = migrated.scenario;
+  if (inputs.gas !== 'Custom' && inputs.gas !== GAS_MIXTURE_KEY && !gasData[inputs.gas]) {
+    alert(`기체 '${inputs.gas}'이(가) 기체 라이브러리에 없어 다시 계산할 수 없습니다.`);
+    return;
+  }
+  if (inputs.salt !== MIXED_SALT_KEY && !HLSCore.saltProps[inputs.salt]) {
+    alert(`염 '${inputs.salt}'이(가) 전해질 라이브러리에 없어 다시 계산할 수 없습니다.`);
+    return;
+  }
+  applyScenario(migrated.scenario);
+
   // Trigger calculation
+  const previous = currentCalculationData;
   calculateBtn.click();
-  
+
   // Switch to results tab
   switchTab('results');
+  reportRestore(saved, migrated, currentCalculationData !== previous ? currentCalculationData : null);
+};
+
+// Fill the Custom panel with a gas definition, values exactly as stored
+function loadCustomPanel(def) {
+  customStructure.value = def.structure;
+  customBetaX.value = def.betaX;
+  if (customMolarMass) customMolarMass.value = def.molarMass ?? '';
+  if (customHydrationNumber) customHydrationNumber.value = def.hydrationNumber ?? '';
+  customTPData.value = (def.data || []).map(([T, P]) => `${T},${P}`).join('\n');
+  renderCustomTPCheck();
+}
+
+function applyScenario(scenario) {
+  const { inputs } = scenario;
+  if (inputs.gas === GAS_MIXTURE_KEY && inputs.gasMixture) applyGasMixture(inputs.gasMixture);
+  gasSelect.value = inputs.gas;
+  if (customPanel) customPanel.classList.toggle('hidden', inputs.gas !== 'Custom');
+  if (gasMixPanel) gasMixPanel.classList.toggle('hidden', inputs.gas !== GAS_MIXTURE_KEY);
+  if (inputs.gas === 'Custom' && inputs.customGas) loadCustomPanel(inputs.customGas);
+  saltSelect.value = inputs.salt;
+  if (inputs.salt === MIXED_SALT_KEY) applyBrineComposition(inputs.brine);
+  syncSaltMode();
+  applyInhibitor(inputs.inhibitor);
+  salinityInput.value = inputs.salinity;
+  pressureInput.value = inputs.pressure;
+  dTminInput.value = inputs.dTmin;
+  dTmaxInput.value = inputs.dTmax;
+  if (t0FitMethodSelect) t0FitMethodSelect.value = inputs.fitMethod || 'poly';
+  if (siiAlphaToggle) siiAlphaToggle.checked = inputs.useAlpha !== false;
+  if (hydrationNumberInput) hydrationNumberInput.value = inputs.hydrationNumber ?? '';
+  if (scenario.energy) {
+    feedInletTemperatureInput.value = scenario.energy.feedTemperature;
+    chillerCopInput.value = scenario.energy.cop;
+  }
+  applyUncertainty(scenario.uncertainty);
+}
+
+// Inverse of readUncertainty(); percentages are rounded back to what was typed
+function applyUncertainty(u) {
+  if (!uncertaintyEnabled) return;
+  uncertaintyEnabled.checked = !!u;
+  if (!u) return;
+  const pct = (v) => Number((v * 100).toPrecision(12));
+  const { spec } = u;
+  if (uncertaintySamples) uncertaintySamples.value = u.samples;
+  if (uncBetaUnit) uncBetaUnit.value = spec.betaX.relative ? 'relative' : 'absolute';
+  if (uncBetaInput) uncBetaInput.value = spec.betaX.relative ? pct(spec.betaX.sd) : spec.betaX.sd;
+  if (uncBInput) uncBInput.value = pct(spec.B.sd);
+  if (uncT0Input) uncT0Input.value = spec.t0.sd;
+  if (uncSalinityUnit) uncSalinityUnit.value = spec.salinity.relative ? 'relative' : 'absolute';
+  if (uncSalinityInput) uncSalinityInput.value = spec.salinity.relative ? pct(spec.salinity.sd) : spec.salinity.sd;
+}
+
+const SCENARIO_ASSUMED_LABELS = {
+  customGas: 'Custom 기체 정의 (현재 입력값 사용)',
+  useAlpha: 'α_sII 적용 여부',
+  fitMethod: 'T₀ 피팅 방법'
 };
+const SCENARIO_COEFFICIENT_LABELS = {
+  B: '염 활동도 계수 B1–B3',
+  alphaSII: 'α_sII',
+  betaX: 'nR/ΔH_d',
+  structure: '하이드레이트 구조',
+  gasData: '기체 P–T 데이터',
+  t0Atm: 'CP 대기압 T₀',
+  salt: '염 정의',
+  brine: '혼합 염수 계수',
+  inhibitor: '억제제 활동도 계수'
+};
+
+// Warn when the recalculated result is not identical to the saved one
+function reportRestore(saved, migrated, fresh) {
+  if (!restoreWarning) return;
+  const same = (a, b) => Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+  const identical = fresh
+    && fresh.T0_op === saved.T0_op
+    && same(fresh.dTRange, saved.dTRange)
+    && same(fresh.masValues, saved.masValues)
+    && same(fresh.mwyValues, saved.mwyValues);
+  if (identical) {
+    restoreWarning.classList.add('hidden');
+    return;
+  }
+  const notes = [];
+  if (!fresh) {
+    notes.push('저장된 입력으로 다시 계산하지 못했습니다.');
+  } else {
+    const maxDiff = (a, b) => (a || []).reduce((m, v, i) => Math.max(m, Math.abs(v - (b || [])[i]) || 0), 0);
+    notes.push(`다시 계산한 값이 저장된 값과 다릅니다 (MAS 최대 차이 ${maxDiff(fresh.masValues, saved.masValues).toPrecision(3)} wt%, MWY 최대 차이 ${maxDiff(fresh.mwyValues, saved.mwyValues).toPrecision(3)} %).`);
+  }
+  if (migrated.fromVersion < HLSCore.SCENARIO_VERSION) notes.push(`이전 형식(v${migrated.fromVersion})으로 저장된 결과입니다.`);
+  if (migrated.assumed.length) {
+    notes.push(`저장되지 않아 가정한 설정: ${migrated.assumed.map((k) => SCENARIO_ASSUMED_LABELS[k] || k).join(', ')}.`);
+  }
+  let changes = [];
+  try { changes = HLSCore.scenarioChanges(migrated.scenario); } catch (_) { changes = []; }
+  if (changes.length) {
+    notes.push(`저장 이후 바뀐 계수: ${changes.map((c) => SCENARIO_COEFFICIENT_LABELS[c.field] || c.field).join(', ')}.`);
+  }
+  restoreWarning.textContent = `⚠ ${notes.join(' ')}`;
+  restoreWarning.classList.remove('hidden');
+}
 
 // Export saved result
 window.exportResult = function(index) {
@@ -512,214 +1197,400 @@ window.exportResult = function(index) {
   URL.revokeObjectURL(url);
 };
 
-// Legacy linear interpolation function (no longer used after cubic fit)
-function interpolateT0() { return NaN; }
-
-// Cubic polynomial fit for T0(P): fit once per gas and evaluate for target pressure
-const t0FitCache = {};
-function fitPolynomial(xs, ys, degree) {
-  const n = xs.length;
-  const d = Math.min(degree, n - 1);
-  const S = new Array(2 * d + 1).fill(0);
-  for (let k = 0; k < n; k++) {
-    let xp = 1;
-    for (let i = 0; i <= 2 * d; i++) { S[i] += xp; xp *= xs[k]; }
-  }
-  const A = Array.from({ length: d + 1 }, () => new Array(d + 1).fill(0));
-  for (let i = 0; i <= d; i++) {
-    for (let j = 0; j <= d; j++) A[i][j] = S[i + j];
-  }
-  const b = new Array(d + 1).fill(0);
-  for (let i = 0; i <= d; i++) {
-    for (let k = 0; k < n; k++) b[i] += ys[k] * Math.pow(xs[k], i);
-  }
-  // Solve via Gaussian elimination
-  const c = b.slice();
-  for (let i = 0; i <= d; i++) {
-    let maxRow = i;
-    for (let r = i + 1; r <= d; r++) if (Math.abs(A[r][i]) > Math.abs(A[maxRow][i])) maxRow = r;
-    if (maxRow !== i) { [A[i], A[maxRow]] = [A[maxRow], A[i]]; [c[i], c[maxRow]] = [c[maxRow], c[i]]; }
-    const pivot = A[i][i] || 1e-12;
-    for (let j = i; j <= d; j++) A[i][j] /= pivot;
-    c[i] /= pivot;
-    for (let r = 0; r <= d; r++) {
-      if (r === i) continue;
-      const f = A[r][i];
-      for (let j = i; j <= d; j++) A[r][j] -= f * A[i][j];
-      c[r] -= f * c[i];
+// =====================
+// Saved results: multi-select overlay comparison
+// =====================
+const savedCompareBtn = document.getElementById('savedCompareBtn');
+const savedClearSelectionBtn = document.getElementById('savedClearSelectionBtn');
+const savedSelectionCount = document.getElementById('savedSelectionCount');
+const savedCompare = document.getElementById('savedCompare');
+let savedCompareMwyChart;
+let savedCompareTempChart;
+// Selected saved results, keyed by their id so deletions do not shift them
+const savedSelection = new Set();
+let savedComparison = null;
+
+function savedResultKey(result, index) {
+  return result.id || result.timestamp || `#${index}`;
+}
+
+function syncSavedSelection() {
+  const n = savedSelection.size;
+  if (savedCompareBtn) savedCompareBtn.disabled = n < 2;
+  if (savedClearSelectionBtn) savedClearSelectionBtn.disabled = n === 0;
+  if (savedSelectionCount) {
+    savedSelectionCount.textContent = n ? `${n}개 선택됨` : '비교할 결과를 두 개 이상 선택하세요.';
+  }
+  // An open comparison follows deletions; it closes when fewer than two remain
+  if (savedComparison && !savedCompare.classList.contains('hidden')) {
+    const items = collectSavedSelection();
+    if (items.length !== savedComparison.length) {
+      if (items.length < 2) closeSavedComparison(); else renderSavedComparison(items);
     }
   }
-  return c;
 }
-function evalPolynomial(coeffs, x) {
-  let y = 0, xp = 1;
-  for (let i = 0; i < coeffs.length; i++) { y += coeffs[i] * xp; xp *= x; }
-  return y;
+
+// Selected saved results in list order, labelled by their current card number
+function collectSavedSelection() {
+  return getSavedResults()
+    .map((result, index) => ({ result, index, key: savedResultKey(result, index) }))
+    .filter((item) => savedSelection.has(item.key))
+    .map((item) => ({ ...item, label: `#${item.index + 1} ${item.result.name || GAS_LABELS[item.result.gasKey] || item.result.gasKey}` }));
 }
-function getGasObject(gasKey) {
-  if (gasKey === 'Custom') {
-    return {
-      structure: (customStructure?.value || 'sI'),
-      betaX: parseFloat(customBetaX?.value || '-1.0'),
-      data: getCustomDataPoints()
-    };
-  }
-  return gasData[gasKey];
+
+function closeSavedComparison() {
+  savedComparison = null;
+  savedCompare.classList.add('hidden');
+  destroyIfExists(savedCompareMwyChart);
+  destroyIfExists(savedCompareTempChart);
 }
-function getT0AtPressure(gasKey, P, method) {
-  const gas = getGasObject(gasKey);
-  if (!gas) return NaN;
-  if (gasKey === 'CP') return gas.t0_atm;
-  const pts = gas.data || [];
-  if (!pts.length) return NaN;
-  const methodSel = method || (t0FitMethodSelect ? t0FitMethodSelect.value : 'poly');
-  const xs = pts.map(p => p[1]); // pressure
-  const ys = pts.map(p => p[0]); // T0
-  if (methodSel === 'spline') {
-    if (!getT0AtPressure._splineCache) getT0AtPressure._splineCache = {};
-    const cache = getT0AtPressure._splineCache;
-    if (!cache[gasKey]) cache[gasKey] = buildMonotoneSpline(xs, ys);
-    return evalMonotoneSpline(cache[gasKey], P);
-  } else {
-    if (!t0FitCache[gasKey]) {
-      const deg = Math.min(3, xs.length - 1);
-      t0FitCache[gasKey] = fitPolynomial(xs, ys, deg);
-    }
-    return evalPolynomial(t0FitCache[gasKey], P);
-  }
-}
-
-// Monotone cubic (PCHIP-like) spline utilities
-function buildMonotoneSpline(x, y) {
-  const n = x.length;
-  const h = new Array(n - 1);
-  const delta = new Array(n - 1);
-  for (let i = 0; i < n - 1; i++) { h[i] = x[i + 1] - x[i]; delta[i] = (y[i + 1] - y[i]) / h[i]; }
-  const d = new Array(n);
-  if (n === 2) { d[0] = delta[0]; d[1] = delta[0]; }
-  else {
-    d[0] = ((2 * h[0] + h[1]) * delta[0] - h[0] * delta[1]) / (h[0] + h[1]);
-    if (d[0] * delta[0] <= 0) d[0] = 0; else if (Math.abs(d[0]) > 3 * Math.abs(delta[0])) d[0] = 3 * delta[0];
-    d[n - 1] = ((2 * h[n - 2] + h[n - 3]) * delta[n - 2] - h[n - 2] * delta[n - 3]) / (h[n - 2] + h[n - 3]);
-    if (d[n - 1] * delta[n - 2] <= 0) d[n - 1] = 0; else if (Math.abs(d[n - 1]) > 3 * Math.abs(delta[n - 2])) d[n - 1] = 3 * delta[n - 2];
-    for (let i = 1; i < n - 1; i++) {
-      if (delta[i - 1] * delta[i] <= 0) d[i] = 0;
-      else {
-        const w1 = 2 * h[i] + h[i - 1];
-        const w2 = h[i] + 2 * h[i - 1];
-        d[i] = (w1 + w2) / (w1 / delta[i - 1] + w2 / delta[i]);
-      }
+
+if (savedResultsContainer) {
+  savedResultsContainer.addEventListener('change', (e) => {
+    const index = e.target.dataset?.savedSelect;
+    if (index === undefined) return;
+    const result = getSavedResults()[Number(index)];
+    if (!result) return;
+    const key = savedResultKey(result, Number(index));
+    if (e.target.checked) savedSelection.add(key); else savedSelection.delete(key);
+    e.target.closest('.glass-card')?.classList.toggle('ring-2', e.target.checked);
+    e.target.closest('.glass-card')?.classList.toggle('ring-blue-400', e.target.checked);
+    syncSavedSelection();
+  });
+}
+
+const fmtFixed = (v, d) => (typeof v === 'number' && isFinite(v) ? v.toFixed(d) : '–');
+
+// Rows of the diff table; values are compared as displayed
+const SAVED_COMPARE_ROWS = [
+  { group: '입력', label: '기체', get: (r) => GAS_LABELS[r.gasKey] || r.gasKey },
+  { label: '염', get: (r) => (r.saltKey === MIXED_SALT_KEY ? '혼합 염수' : getSaltLabel(r.saltKey)) },
+  { label: '초기 염도 (wt%)', get: (r) => String(r.initialSalinity) },
+  { label: '억제제', get: (r) => (r.inhibitor ? `${INHIBITOR_LABELS[r.inhibitor.key] || r.inhibitor.key} ${r.inhibitor.wt} wt%` : '없음') },
+  {
+    label: '억제제 활동도 계수 (C₁, C₂, C₃)',
+    get: (r) => (r.inhibitor
+      ? `${INHIBITOR_CLASS_LABELS[r.inhibitor.cls] || r.inhibitor.cls || ''} ${(r.inhibitor.coeffs || []).map((c) => fmtFixed(c, 4)).join(', ')}${r.inhibitor.estimated ? ' (추정)' : ''}`.trim()
+      : '–')
+  },
+  { label: '압력 (MPa)', get: (r) => String(r.pressure) },
+  { label: '추가 과냉각도 (K)', get: (r) => `${fmtFixed(r.dTRange[0], 2)}–${fmtFixed(r.dTRange[r.dTRange.length - 1], 2)}` },
+  { label: '수화수 n', get: (r) => fmtFixed(r.gasUptake?.hydrationNumber, 2) },
+  // Settings that only the scenario records (migrated results carry inferred values)
+  { label: 'T₀ 피팅', get: (r) => FIT_METHOD_LABELS[r.scenario?.inputs?.fitMethod] || '–' },
+  {
+    label: 'sII α 보정',
+    get: (r) => {
+      const useAlpha = r.scenario?.inputs?.useAlpha;
+      return useAlpha === undefined ? '–' : (useAlpha ? '적용' : '미적용');
     }
+  },
+  { label: '유입 온도 (K) / COP', get: (r) => (r.energy ? `${r.energy.feedTemperature} / ${r.energy.cop}` : '–') },
+  { group: '결과', label: 'β (×10⁻³ 1/K)', get: (r) => fmtFixed(r.beta * 1e3, 4) },
+  { label: 'T₀ (K)', get: (r) => fmtFixed(r.T0_op, 2) },
+  { label: '공급수 평형 온도 (K)', get: (r) => fmtFixed(r.tInitOp, 2) },
+  { label: 'MAS 염수 평형 온도 (K)', get: (r) => fmtFixed(r.tMasOp, 2) },
+  { label: 'MAS (wt%)', get: (r) => fmtFixed(r.masMax, 2) },
+  { label: 'MWY (%)', get: (r) => fmtFixed(r.mwyMax, 2) },
+  { label: '최종 억제제 농도 (wt%)', get: (r) => fmtFixed(r.inhibitorMax, 2) },
+  { label: '염 포화', get: (r) => (r.saturation ? `추가 과냉각도 ${r.saturation.dT.toFixed(2)} K부터` : '없음') },
+  { label: '포집 기체 (mol / 원료 100 g)', get: (r) => fmtFixed(r.gasUptake?.atMax?.mol, 4) },
+  { label: '전력 (kWh/m³)', get: (r) => fmtFixed(r.energy?.atMax?.electric, 2) }
+];
+
+function renderSavedComparison(items) {
+  savedComparison = items;
+  savedCompare.classList.remove('hidden');
+  const colorOf = (i) => SERIES_COLORS[i % SERIES_COLORS.length];
+  const head = document.getElementById('savedCompareHead');
+  const body = document.getElementById('savedCompareBody');
+  head.innerHTML = `<tr class="bg-gray-100"><th class="p-2 text-left">항목</th>${items.map((item, i) =>
+    `<th class="p-2 text-right"><span class="inline-block w-3 h-3 rounded-full align-middle mr-1" style="background:${colorOf(i)}"></span>${escapeHtml(item.label)}</th>`).join('')}</tr>`;
+  body.innerHTML = SAVED_COMPARE_ROWS.map((row) => {
+    const values = items.map((item) => row.get(item.result));
+    const differs = values.some((v) => v !== values[0]);
+    const group = row.group ? `<tr><td class="p-2 pt-3 font-semibold text-gray-700" colspan="${items.length + 1}">${row.group}</td></tr>` : '';
+    return `${group}<tr class="border-b${differs ? ' bg-yellow-50 font-semibold' : ''}">
+      <td class="p-2">${row.label}</td>${values.map((v) => `<td class="p-2 text-right">${escapeHtml(v)}</td>`).join('')}
+    </tr>`;
+  }).join('');
+
+  const ChartLib = window.Chart;
+  destroyIfExists(savedCompareMwyChart);
+  destroyIfExists(savedCompareTempChart);
+  if (!ChartLib) return;
+  const baseOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: { duration: 0 },
+    elements: { point: { radius: 0, hoverRadius: 2, hitRadius: 6 } },
+    plugins: { tooltip: { mode: 'nearest', intersect: false } }
+  };
+  const xAxis = { type: 'linear', title: { display: true, text: '추가 과냉각도 (K)' } };
+  const c1 = document.getElementById('savedCompareMwyChart');
+  if (c1) {
+    savedCompareMwyChart = new ChartLib(c1.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: items.map((item, i) => ({
+          label: item.label,
+          data: item.result.dTRange.map((dT, j) => ({ x: dT, y: item.result.mwyValues[j] })),
+          borderColor: colorOf(i),
+          tension: 0.2
+        }))
+      },
+      options: { ...baseOptions, scales: { x: xAxis, y: { type: 'linear', min: 0, max: 100, title: { display: true, text: 'MWY (%)' } } } }
+    });
   }
-  return { x, y, h, d };
+  const c2 = document.getElementById('savedCompareTempChart');
+  if (c2) {
+    const datasets = [];
+    items.forEach((item, i) => {
+      const r = item.result;
+      datasets.push({ label: `${item.label} MAS 염수`, data: r.dTRange.map((dT, j) => ({ x: dT, y: r.tmaxValues[j] })), borderColor: colorOf(i), tension: 0.2 });
+      datasets.push({ label: `${item.label} 공급수`, data: r.dTRange.map((dT) => ({ x: dT, y: r.tInitOp })), borderColor: colorOf(i), borderDash: [6, 4] });
+    });
+    savedCompareTempChart = new ChartLib(c2.getContext('2d'), {
+      type: 'line',
+      data: { datasets },
+      options: { ...baseOptions, scales: { x: xAxis, y: { type: 'linear', title: { display: true, text: '평형 온도 (K)' } } } }
+    });
+  }
+}
+
+if (savedCompareBtn) {
+  savedCompareBtn.addEventListener('click', () => {
+    const items = collectSavedSelection();
+    if (items.length < 2) return;
+    renderSavedComparison(items);
+  });
 }
-function evalMonotoneSpline(s, xp) {
-  const { x, y, h, d } = s; const n = x.length;
-  if (xp <= x[0]) return y[0]; if (xp >= x[n - 1]) return y[n - 1];
-  let i = 0; while (i < n - 1 && xp > x[i + 1]) i++;
-  const t = (xp - x[i]) / h[i];
-  const h00 = (1 + 2 * t) * (1 - t) * (1 - t);
-  const h10 = t * (1 - t) * (1 - t);
-  const h01 = t * t * (3 - 2 * t);
-  const h11 = t * t * (t - 1);
-  return h00 * y[i] + h10 * h[i] * d[i] + h01 * y[i + 1] + h11 * h[i] * d[i + 1];
+if (savedClearSelectionBtn) {
+  savedClearSelectionBtn.addEventListener('click', () => {
+    savedSelection.clear();
+    closeSavedComparison();
+    loadSavedResults();
+  });
 }
+document.getElementById('savedCompareCloseBtn')?.addEventListener('click', closeSavedComparison);
+document.getElementById('savedCompareCsvBtn')?.addEventListener('click', () => {
+  const items = savedComparison;
+  if (!items) return;
+  const cell = (v) => `"${String(v).replace(/"/g, '""')}"`;
+  let csvContent = "data:text/csv;charset=utf-8,";
+  csvContent += ['항목', ...items.map((item) => item.label), '차이'].map(cell).join(',') + "\n";
+  SAVED_COMPARE_ROWS.forEach((row) => {
+    const values = items.map((item) => row.get(item.result));
+    csvContent += [row.label, ...values, values.some((v) => v !== values[0]) ? '다름' : ''].map(cell).join(',') + "\n";
+  });
+  const link = document.createElement("a");
+  link.setAttribute("href", encodeURI(csvContent).replace(/#/g, "%23"));
+  link.setAttribute("download", `HLS_저장결과_비교_${items.length}건.csv`);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+});
 
-// Compute effective β value for chosen gas
-function computeBeta(gasKey) {
-  const gas = getGasObject(gasKey);
-  const betaBase = gas.betaX * 1e-3; // convert β (×10³) into proper scale
-  const useAlpha = siiAlphaToggle && siiAlphaToggle.checked;
-  const alpha = gas.structure === 'sII' && useAlpha ? ALPHA_SII : 1.0;
-  return betaBase * alpha;
+// =====================
+// Saved results: library export / import with merge
+// =====================
+const SAVED_LIBRARY_FORMAT = 'hls-saved-results';
+const savedExportAllBtn = document.getElementById('savedExportAllBtn');
+const savedImportBtn = document.getElementById('savedImportBtn');
+const savedImportFile = document.getElementById('savedImportFile');
+const savedImportPreview = document.getElementById('savedImportPreview');
+const savedImportSummary = document.getElementById('savedImportSummary');
+const savedImportList = document.getElementById('savedImportList');
+const savedImportDuplicatePolicy = document.getElementById('savedImportDuplicatePolicy');
+const savedImportApplyBtn = document.getElementById('savedImportApplyBtn');
+// Entries waiting for confirmation in the preview
+let pendingSavedImport = null;
+
+const SAVED_IMPORT_STATUS = {
+  new: { label: '새 결과', cls: 'text-green-700' },
+  duplicate: { label: '중복', cls: 'text-amber-700' },
+  repeat: { label: '파일 내 중복', cls: 'text-gray-500' },
+  invalid: { label: '읽을 수 없음', cls: 'text-red-600' }
+};
+
+// Entries of a library file, a bare array or a single exported result
+function readSavedLibrary(text) {
+  let parsed;
+  try { parsed = JSON.parse(text); } catch (_) { return null; }
+  if (parsed && parsed.format === SAVED_LIBRARY_FORMAT) return Array.isArray(parsed.results) ? parsed.results : null;
+  if (Array.isArray(parsed)) return parsed;
+  return parsed && typeof parsed === 'object' ? [parsed] : null;
 }
 
-// Compute β with a custom sII-alpha toggle (for parametric studies)
-function computeBetaCustom(gasKey, useAlphaFlag) {
-  const gas = getGasObject(gasKey);
-  const betaBase = gas.betaX * 1e-3;
-  const alpha = gas.structure === 'sII' && useAlphaFlag ? ALPHA_SII : 1.0;
-  return betaBase * alpha;
-}
-
-// Compute X (effective ionic mole fraction) from salinity s (wt%)
-function computeXFromSalinity(salinity, saltKey) {
-  const { molarMass, ionCount } = saltProps[saltKey];
-  const massSalt = salinity;
-  const massWater = 100 - salinity;
-  const molesSalt = massSalt / molarMass;
-  const molesWater = massWater / WATER_MOLAR_MASS;
-  if (saltKey === 'MgCl2') {
-    // MgCl2 yields 1 Mg²⁺ and 2 Cl⁻: 3 ionic species; contribution X = 4*moles_salt/(moles_water + 3*moles_salt)
-    const totalMoles = molesWater + 3 * molesSalt;
-    return (4 * molesSalt) / totalMoles;
-  } else {
-    // NaCl or KCl: 1 cation + 1 anion
-    const totalMoles = molesWater + 2 * molesSalt;
-    return (2 * molesSalt) / totalMoles;
+// Why an import row is flagged, for the preview's note column
+function savedImportNote(item) {
+  if (item.reason === 'format') return '저장된 결과 형식이 아닙니다.';
+  if (item.reason === 'newer-version') return '더 새로운 버전에서 저장된 결과입니다.';
+  const notes = [];
+  if (item.status === 'duplicate') {
+    notes.push(`입력 동일: 기존 결과 #${item.existingIndex + 1}${item.sameValues ? '' : ' (결과값 다름)'}`);
   }
+  if (item.missing.gas) notes.push(`기체 '${item.missing.gas}' 없음`);
+  if (item.missing.salt) notes.push(`염 '${item.missing.salt}' 없음`);
+  return notes.join(', ');
 }
 
-// Compute water activity ln(a_w) from X using HLS correlation
-function computeLnawFromX(X) {
-  return B1 * X + B2 * X * X + B3 * X * X * X;
+function renderSavedImportPreview(plan) {
+  const { counts } = plan;
+  savedImportSummary.textContent = `새 결과 ${counts.new}개, 기존 결과와 입력이 같은 결과 ${counts.duplicate}개`
+    + `${counts.repeat ? `, 파일 안에서 겹치는 결과 ${counts.repeat}개(무시)` : ''}`
+    + `${counts.invalid ? `, 읽을 수 없는 항목 ${counts.invalid}개(무시)` : ''}.`
+    + ' 적용하기 전까지 저장된 결과는 바뀌지 않습니다.';
+  savedImportList.innerHTML = plan.items.map((item) => {
+    const status = SAVED_IMPORT_STATUS[item.status];
+    const r = item.entry || {};
+    const valid = item.status !== 'invalid';
+    const date = valid && r.timestamp ? new Date(r.timestamp).toLocaleString('ko-KR') : '–';
+    return `<tr class="border-t">
+      <td class="py-1 pr-2 font-semibold ${status.cls}">${status.label}</td>
+      <td class="py-1 pr-2">${valid ? `${escapeHtml(r.gasKey)} / ${escapeHtml(r.saltKey)}` : '–'}</td>
+      <td class="py-1 pr-2">${valid ? `${escapeHtml(r.initialSalinity)} wt% / ${escapeHtml(r.pressure)} MPa` : '–'}</td>
+      <td class="py-1 pr-2">${date}</td>
+      <td class="py-1">${escapeHtml(savedImportNote(item))}</td>
+    </tr>`;
+  }).join('');
+  savedImportDuplicatePolicy.classList.toggle('hidden', counts.duplicate === 0);
+  savedImportApplyBtn.disabled = counts.new + counts.duplicate === 0;
+  savedImportPreview.classList.remove('hidden');
 }
 
-// Compute ΔT from ln(a_w), β and T0 using rearranged HLS equation
-function computeDeltaT(beta, lnaw, T0) {
-  return (beta * lnaw * T0 * T0) / (1 + beta * lnaw * T0);
+function closeSavedImportPreview() {
+  pendingSavedImport = null;
+  savedImportPreview.classList.add('hidden');
+  savedImportList.innerHTML = '';
 }
 
-// Compute ln(a_w) from ΔT, β and T0
-function computeLnawFromDelta(beta, dT, T0) {
-  const denominator = beta * T0 * (T0 - dT);
-  return dT / denominator;
+// policy for duplicates as for HLSState.mergeSavedImport: 'skip', 'replace' or 'keep'
+function applySavedImport(plan, policy) {
+  const { results, added, replaced, skipped } = HLSState.mergeSavedImport(getSavedResults(), plan, policy);
+  closeSavedImportPreview();
+  const written = setSavedResults(results);
+  loadSavedResults();
+  written.then((ok) => {
+    if (ok) alert(`가져오기 완료: 추가 ${added}개, 덮어쓰기 ${replaced}개, 건너뜀 ${skipped}개`);
+  });
 }
 
-// Solve X from a given ln(a_w) using bisection (monotonic root)
-function solveXFromLnaw(lnawTarget) {
-  // Define the function f(X) = computeLnawFromX(X) - lnawTarget.
-  const f = (X) => computeLnawFromX(X) - lnawTarget;
-  // Start with a small bracket for X; X should lie between 0 and ~0.2 for typical desalination ranges.
-  let low = 0;
-  let high = 0.2;
-  // Expand high bound until f(high) <= 0 (meaning computeLnawFromX(high) <= lnawTarget) or until high reaches 1.
-  while (f(high) > 0 && high < 1) {
-    high += 0.1;
-  }
-  // Perform bisection
-  for (let i = 0; i < 50; i++) {
-    const mid = (low + high) / 2;
-    const val = f(mid);
-    if (val > 0) {
-      low = mid;
-    } else {
-      high = mid;
+if (savedExportAllBtn) {
+  savedExportAllBtn.addEventListener('click', () => {
+    const results = getSavedResults();
+    if (!results.length) {
+      alert('내보낼 저장된 결과가 없습니다.');
+      return;
     }
-  }
-  return (low + high) / 2;
+    const payload = { format: SAVED_LIBRARY_FORMAT, version: 1, exportedAt: new Date().toISOString(), results };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `HLS_저장결과_라이브러리_${results.length}건.json`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
 }
 
-// Compute salinity (wt%) from X for a given salt type using analytical formulae
-function computeSalinityFromX(X, saltKey) {
-  const { molarMass, ionCount } = saltProps[saltKey];
-  if (saltKey === 'MgCl2') {
-    // Derived from X = 4*moles_salt/(moles_water + 3*moles_salt)
-    return (
-      (molarMass * X * 100) /
-      ((4 - 3 * X) * WATER_MOLAR_MASS + molarMass * X)
-    );
-  } else {
-    // NaCl or KCl: X = 2*moles_salt/(moles_water + 2*moles_salt)
-    return (
-      (molarMass * X * 100) /
-      ((2 - 2 * X) * WATER_MOLAR_MASS + molarMass * X)
-    );
-  }
+if (savedImportBtn && savedImportFile) {
+  savedImportBtn.addEventListener('click', () => savedImportFile.click());
+  savedImportFile.addEventListener('change', () => {
+    const files = Array.from(savedImportFile.files || []);
+    savedImportFile.value = '';
+    if (!files.length) return;
+    const readFile = (file) => new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve({ name: file.name, entries: readSavedLibrary(String(reader.result || '')) });
+      reader.onerror = () => resolve({ name: file.name, entries: null });
+      reader.readAsText(file);
+    });
+    Promise.all(files.map(readFile))
+      .then((read) => {
+        const unreadable = read.filter((f) => !f.entries).map((f) => f.name);
+        if (unreadable.length) alert(`저장된 결과 파일로 읽을 수 없습니다:\n${unreadable.join('\n')}`);
+        const entries = read.flatMap((f) => f.entries || []);
+        if (!entries.length) return;
+        pendingSavedImport = entries;
+        renderSavedImportPreview(HLSState.planSavedImport(entries, getSavedResults()));
+      });
+  });
 }
+if (savedImportApplyBtn) {
+  savedImportApplyBtn.addEventListener('click', () => {
+    if (!pendingSavedImport) return;
+    const policy = document.querySelector('input[name="savedImportPolicy"]:checked')?.value || 'skip';
+    // Planned again so results deleted or saved since the preview are accounted for
+    applySavedImport(HLSState.planSavedImport(pendingSavedImport, getSavedResults()), policy);
+  });
+}
+document.getElementById('savedImportCancelBtn')?.addEventListener('click', closeSavedImportPreview);
 
-// Pretty label for salt symbols (e.g., MgCl2 -> MgCl₂)
-function getSaltLabel(saltKey) {
+// Custom gas definition as read from the Custom panel
+function readCustomGas() {
+  return {
+    structure: (customStructure?.value || 'sI'),
+    betaX: parseFloat(customBetaX?.value || '-1.0'),
+    data: getCustomDataPoints(),
+    molarMass: readOptionalNumber(customMolarMass),
+    hydrationNumber: readOptionalNumber(customHydrationNumber)
+  };
+}
+// Definition for gas keys without a built-in entry (throws on an invalid mixture)
+function readGasDefinition(gasKey) {
+  if (gasKey === 'Custom') return readCustomGas();
+  if (gasKey === GAS_MIXTURE_KEY) return HLSCore.buildGasMixture(readGasMixture());
+  return undefined;
+}
+function getGasObject(gasKey) {
+  return HLSCore.getGasObject(gasKey, readGasDefinition(gasKey));
+}
+function getT0AtPressure(gasKey, P, method) {
+  const methodSel = method || (t0FitMethodSelect ? t0FitMethodSelect.value : 'poly');
+  return HLSCore.getT0AtPressure(gasKey, P, methodSel, readGasDefinition(gasKey));
+}
+
+// Out-of-range T₀(P) warning text (see HLSCore.checkT0Range)
+function describeT0Warning(w, gasKey) {
+  const range = `${w.pMin.toFixed(2)}–${w.pMax.toFixed(2)} MPa`;
+  const how = w.behaviour === 'clamped'
+    ? `스플라인은 끝값으로 고정되어 T₀ = ${w.T0.toFixed(2)} K가 사용되었습니다`
+    : `${w.method === 'clapeyron' ? 'ln P – 1/T 직선' : '3차 다항식'}을 외삽하여 T₀ = ${w.T0.toFixed(2)} K로 추정했습니다`;
+  return `운전 압력 ${w.pressure} MPa가 ${GAS_LABELS[gasKey] || gasKey} 평형 데이터 범위(${range})를 벗어납니다. ${how}. 결과의 신뢰도가 낮습니다.`;
+}
+
+// Fitted T₀(P) as {x: T, y: P} points over the data range (and the operating pressure)
+function buildT0FitCurve(gasKey, pressure, method) {
+  let range;
+  try { range = HLSCore.t0DataRange(gasKey, readGasDefinition(gasKey)); } catch (_) { range = null; }
+  if (!range) return [];
+  const pLow = Math.min(range.pMin, pressure);
+  const pHigh = Math.max(range.pMax, pressure);
+  const n = 60;
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const P = pLow + ((pHigh - pLow) * i) / (n - 1);
+    const T = getT0AtPressure(gasKey, P, method);
+    if (isFinite(T)) pts.push({ x: T, y: P });
+  }
+  return pts;
+}
+
+// Compute effective β value for chosen gas
+function computeBeta(gasKey) {
+  return HLSCore.computeBeta(getGasObject(gasKey), !!(siiAlphaToggle && siiAlphaToggle.checked));
+}
+
+// Compute β with a custom sII-alpha toggle (for parametric studies)
+function computeBetaCustom(gasKey, useAlphaFlag) {
+  return HLSCore.computeBeta(getGasObject(gasKey), useAlphaFlag);
+}
+
+// Pretty label for salt symbols (e.g., MgCl2 -> MgCl₂)
+function getSaltLabel(saltKey) {
   try {
     const map = { '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉', '0': '₀' };
     return saltKey.replace(/[0-9]/g, (d)=> map[d] || d);
@@ -742,6 +1613,8 @@ if (resetBtn) {
   resetBtn.addEventListener('click', () => {
     gasSelect.value = initialDefaults.gas;
     saltSelect.value = initialDefaults.salt;
+    syncSaltMode();
+    applyInhibitor(undefined);
     salinityInput.value = initialDefaults.salinity;
     // Set after gas selection based on dataset median
     dTminInput.value = initialDefaults.dTmin;
@@ -756,180 +1629,151 @@ if (resetBtn) {
 
 // Remove legacy Excel test button and helpers
 
+// Map CalculationError codes to user-facing messages
+const CALC_ERROR_MESSAGES = {
+  'invalid-input': '모든 입력값을 올바르게 입력해 주세요.',
+  't0-unavailable': '선택한 기체의 순수 평형 T₀(P) 데이터를 확인해 주세요. (Custom인 경우 T,P 데이터를 입력)',
+  'no-points': '입력된 조건에서 계산을 수행할 수 없습니다.'
+};
+
+// Monte Carlo settings, or null when the mode is off
+function readUncertainty() {
+  if (!uncertaintyEnabled || !uncertaintyEnabled.checked) return null;
+  const num = (el) => Math.max(0, parseFloat(el?.value) || 0);
+  const betaRelative = !uncBetaUnit || uncBetaUnit.value === 'relative';
+  const salinityRelative = !uncSalinityUnit || uncSalinityUnit.value === 'relative';
+  return {
+    samples: Math.max(50, Math.min(5000, parseInt(uncertaintySamples?.value, 10) || 500)),
+    spec: {
+      betaX: { sd: betaRelative ? num(uncBetaInput) / 100 : num(uncBetaInput), relative: betaRelative },
+      B: { sd: num(uncBInput) / 100, relative: true },
+      t0: { sd: num(uncT0Input) },
+      salinity: { sd: salinityRelative ? num(uncSalinityInput) / 100 : num(uncSalinityInput), relative: salinityRelative }
+    }
+  };
+}
+
+// calculate() inputs as currently entered on the input tab
+function readCalculationInputs() {
+  const gasKey = gasSelect.value;
+  return {
+    gas: gasKey,
+    customGas: gasKey === 'Custom' ? readCustomGas() : undefined,
+    gasMixture: gasKey === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+    salt: saltSelect.value,
+    brine: saltSelect.value === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+    inhibitor: readInhibitor(),
+    salinity: parseFloat(salinityInput.value),
+    pressure: parseFloat(pressureInput.value),
+    dTmin: parseFloat(dTminInput.value),
+    dTmax: parseFloat(dTmaxInput.value),
+    fitMethod: t0FitMethodSelect ? t0FitMethodSelect.value : 'poly',
+    useAlpha: !!(siiAlphaToggle && siiAlphaToggle.checked),
+    hydrationNumber: readOptionalNumber(hydrationNumberInput)
+  };
+}
+
 // Handler for calculation
 calculateBtn.addEventListener('click', () => {
+  if (restoreWarning) restoreWarning.classList.add('hidden');
   // Parse user inputs
   const gasKey = gasSelect.value;
-  const saltKey = saltSelect.value;
-  const initialSalinity = parseFloat(salinityInput.value);
-  const pressure = gasKey === 'CP' ? 0.1 : parseFloat(pressureInput.value);
-  let dTmin = parseFloat(dTminInput.value);
-  let dTmax = parseFloat(dTmaxInput.value);
-  if (isNaN(initialSalinity) || isNaN(pressure) || isNaN(dTmin) || isNaN(dTmax)) {
-    alert('모든 입력값을 올바르게 입력해 주세요.');
-    return;
-  }
-  if (dTmin > dTmax) {
-    // Swap values if user inadvertently enters min > max
-    [dTmin, dTmax] = [dTmax, dTmin];
-  }
-  // Compute effective β
-  const beta = computeBeta(gasKey);
-  const gas = getGasObject(gasKey);
-  
-  // T0 at operating pressure via cubic fit (CP uses fixed atmospheric T0)
-  const methodMain = t0FitMethodSelect ? t0FitMethodSelect.value : 'poly';
-  const T0_op = getT0AtPressure(gasKey, pressure, methodMain);
-  if (!isFinite(T0_op)) {
-    alert('선택한 기체의 순수 평형 T₀(P) 데이터를 확인해 주세요. (Custom인 경우 T,P 데이터를 입력)');
-    return;
-  }
-  
-  // Compute ln(a_w) for initial salinity
-  const X_init = computeXFromSalinity(initialSalinity, saltKey);
-  const lnaw_init = computeLnawFromX(X_init);
-  // Compute initial supercooling at operating pressure (relative to pure water)
-  const dT_init_op = computeDeltaT(beta, lnaw_init, T0_op);
-  // Generate arrays of ΔT and corresponding MAS and MWY
-  const nPoints = 50;
-  const dTRange = [];
-  const masValues = [];
-  const mwyValues = [];
-  // Additional arrays for detailed parameters
-  const salinityMolValues = [];
-  const xValues = [];
-  const lnawValues = [];
-  const dtT0TValues = [];
-  const thlsValues = [];
-  const tmaxValues = [];
-  const naclGValues = [];
-  const waterGValues = [];
-  const waterSolutionGValues = [];
-  const waterHydrateGValues = [];
-  const maxPureWaterYieldValues = [];
-  
-  const step = (dTmax - dTmin) / (nPoints - 1);
-  // Assume initial 100g of solution (salt + water)
-  const initialNaClG = initialSalinity; // For 100g total, this is directly the wt%
-  const initialWaterG = 100 - initialNaClG; // Rest is water
-  
-  for (let i = 0; i < nPoints; i++) {
-    // Interpret input as extra supercooling relative to initial-salinity equilibrium at P_op
-    const dT_extra = dTmin + step * i;
-    const dT_total = dT_init_op + dT_extra;
-    // ensure dT does not exceed T0
-    if (dT_total >= T0_op) continue;
-    const lnawMas = computeLnawFromDelta(beta, dT_total, T0_op);
-    // Only proceed if lnawMas is negative (physically meaningful)
-    if (!isFinite(lnawMas) || lnawMas >= 0) {
-      continue;
+  let result;
+  try {
+    const inputs = readCalculationInputs();
+    result = HLSCore.calculate(inputs);
+    currentCalculationInputs = inputs;
+    // A previous sensitivity run no longer matches these inputs
+    if (sensitivityOutput) sensitivityOutput.classList.add('hidden');
+    const uncertainty = readUncertainty();
+    if (uncertainty) {
+      result.uncertainty = {
+        ...HLSCore.monteCarlo(inputs, uncertainty.spec, { samples: uncertainty.samples }),
+        spec: uncertainty.spec
+      };
     }
-    const X_mas = solveXFromLnaw(lnawMas);
-    const mas = computeSalinityFromX(X_mas, saltKey);
-    // Guard against division by zero or unrealistic MAS
-    if (!isFinite(mas) || mas <= 0) continue;
-    
-    // MWY 계산 (일관)
-    const totalWaterInSolutionTmp = initialNaClG * (100 / mas - 1);
-    const waterInHydrateTmp = initialWaterG - totalWaterInSolutionTmp;
-    const mwy = (waterInHydrateTmp / initialWaterG) * 100;
-    
-    // Calculate detailed parameters
-    // Salinity in mol% - 엑셀과 일치하도록 계산 방식 개선
-    const saltMolarMass = saltProps[saltKey].molarMass;
-    const molesNaCl = initialNaClG / saltMolarMass;
-    const molesWater = initialWaterG / WATER_MOLAR_MASS;
-    
-    // 이온 기반 표현 (엑셀과 일치)
-    const ionCount = saltProps[saltKey].ionCount;
-    const totalMolesIons = ionCount * molesNaCl + molesWater;
-    const salinityMol = ((ionCount * molesNaCl) / totalMolesIons) * 100;
-    
-    // Note: X_mas is already calculated as effective ionic mole fraction
-    
-    // Calculate dT/T0T
-    const dtT0T = dT_total / (T0_op * (T0_op - dT_total));
-    
-    // Calculate T_HLS: T0 * (1 + (dT/T0T) * T0)^-1
-    const thls = T0_op * Math.pow(1 + dtT0T * T0_op, -1);
-    
-    // T_max (supercooling)
-    const tmax = T0_op - dT_total;
-    
-    // Calculate water distribution for 100g initial solution
-    const finalNaClG = initialNaClG; // Salt mass is conserved
-    const totalWaterNeeded = (finalNaClG / mas) * 100 - finalNaClG;
-    const waterInSolution = totalWaterNeeded;
-    const waterInHydrate = initialWaterG - waterInSolution;
-    const maxPureWaterYield = (waterInHydrate / initialWaterG) * 100;
-    
-    // Push all calculated values
-    dTRange.push(dT_extra);
-    masValues.push(mas);
-    mwyValues.push(mwy);
-    salinityMolValues.push(salinityMol);
-    xValues.push(X_mas);
-    lnawValues.push(lnawMas);
-    dtT0TValues.push(dtT0T);
-    thlsValues.push(thls);
-    tmaxValues.push(tmax);
-    naclGValues.push(finalNaClG);
-    waterGValues.push(initialWaterG);
-    waterSolutionGValues.push(waterInSolution);
-    waterHydrateGValues.push(waterInHydrate);
-    maxPureWaterYieldValues.push(maxPureWaterYield);
-  }
-  // Derive MAS & MWY at maximum ΔT (last element)
-  if (dTRange.length === 0) {
-    alert('입력된 조건에서 계산을 수행할 수 없습니다.');
+    result.energy = HLSCore.energyBalance(result, readEnergyOptions());
+    result.scenario = HLSCore.describeScenario(inputs, { energy: readEnergyOptions(), uncertainty });
+  } catch (err) {
+    if (!(err instanceof CalculationError)) throw err;
+    alert(CALC_ERROR_MESSAGES[err.code] || err.message);
     return;
   }
-  const masMax = masValues[masValues.length - 1];
-  const mwyMax = mwyValues[mwyValues.length - 1];
-  const dtExtraMax = dTRange[dTRange.length - 1];
-  const dtTotalAtOp = dT_init_op + dtExtraMax;
-  const tPureOp = T0_op;
-  const tInitOp = T0_op - dT_init_op;
-  const tMasOp = T0_op - dtTotalAtOp;
-  
-  //
-  
-  // Save current calculation data for export and save functions
-  currentCalculationData = {
-    gasKey,
-    saltKey,
-    initialSalinity,
-    pressure,
-    dTRange,
-    masValues,
-    mwyValues,
-    beta,
-    T0_op,
-    dT_init_op,
-    masMax,
-    mwyMax,
-    dtExtraMax,
-    dtTotalAtOp,
-    tPureOp,
-    tInitOp,
-    tMasOp,
-    // Additional detailed data
-    salinityMolValues,
-    xValues,
-    lnawValues,
-    dtT0TValues,
-    thlsValues,
-    tmaxValues,
-    naclGValues,
-    waterGValues,
-    waterSolutionGValues,
-    waterHydrateGValues,
+  const gas = gasKey === GAS_MIXTURE_KEY ? HLSCore.buildGasMixture(readGasMixture()) : getGasObject(gasKey);
+  const {
+    saltKey, dTRange, mwyValues, beta, T0_op, dT_init_op,
+    masMax, mwyMax, dtExtraMax, dtTotalAtOp, tPureOp, tInitOp, tMasOp,
+    salinityMolValues, xValues, lnawValues, dtT0TValues, thlsValues, tmaxValues,
+    naclGValues, waterGValues, masValues, waterSolutionGValues, waterHydrateGValues,
     maxPureWaterYieldValues
-  };
+  } = result;
+  const lnaw_init = result.lnawInit;
+
+  // Save current calculation data for export and save functions
+  currentCalculationData = result;
   
   // Update result section
-  masValueElem.textContent = masMax.toFixed(2) + ' wt%';
+  masValueElem.textContent = masMax.toFixed(2) + ' wt%' + (result.saturation ? ' (포화)' : '');
+  if (masCompositionElem) {
+    if (result.masComponents) {
+      const unitScale = result.brine.mode === 'ions' ? 10 : 1; // ions shown in g/kg
+      const unit = result.brine.mode === 'ions' ? 'g/kg' : 'wt%';
+      masCompositionElem.textContent = 'MAS 조성: ' + Object.entries(result.masComponents)
+        .map(([k, v]) => `${result.brine.mode === 'ions' ? (ION_LABELS[k] || k) : getSaltLabel(k)} ${(v * unitScale).toFixed(2)}`)
+        .join(' · ') + ` ${unit}`;
+      masCompositionElem.classList.remove('hidden');
+    } else {
+      masCompositionElem.textContent = '';
+      masCompositionElem.classList.add('hidden');
+    }
+  }
+  const masSaturationElem = document.getElementById('masSaturation');
+  if (masSaturationElem) {
+    const sat = result.saturation;
+    masSaturationElem.textContent = sat
+      ? `염 포화: 과냉각도 ${sat.dT.toFixed(1)} K (${sat.temperature.toFixed(2)} K, 용해도 ${sat.solubility.toFixed(2)} wt%)부터 ${getSaltLabel(saltKey)} 석출. 최대 석출량 ${sat.precipitatedMax.toFixed(2)} g/100 g 원료, 포화 이후 추가 물 전환율 ${sat.extraMwyMax.toFixed(2)} %p (제한 전 MAS ${result.masUncappedValues[result.masUncappedValues.length - 1].toFixed(2)} wt%)`
+      : '';
+    masSaturationElem.classList.toggle('hidden', !sat);
+  }
   mwyValueElem.textContent = mwyMax.toFixed(2) + ' %';
+  if (inhibitorInfoElem) {
+    if (result.inhibitor) {
+      inhibitorInfoElem.textContent = `${INHIBITOR_LABELS[result.inhibitor.key] || result.inhibitor.key}: 원료 ${result.inhibitor.wt} wt% → 최종 액상 ${result.inhibitorMax.toFixed(2)} wt%`
+        + (result.inhibitor.estimated ? ' · ⚠ 기본(추정) 활동도 계수를 사용한 근사값입니다.' : '');
+      inhibitorInfoElem.classList.remove('hidden');
+    } else {
+      inhibitorInfoElem.textContent = '';
+      inhibitorInfoElem.classList.add('hidden');
+    }
+  }
+  const t0WarningElem = document.getElementById('t0Warning');
+  if (t0WarningElem) {
+    t0WarningElem.textContent = result.t0Warning ? `⚠ ${describeT0Warning(result.t0Warning, gasKey)}` : '';
+    t0WarningElem.classList.toggle('hidden', !result.t0Warning);
+  }
+  // Saved results from before the ice check carry no flags
+  const iceFlags = result.iceFlags || [];
+  const saturatedFlags = result.saturatedFlags || [];
+  const iceWarningElem = document.getElementById('iceWarning');
+  if (iceWarningElem) {
+    const firstIce = iceFlags.indexOf(true);
+    const lastIce = iceFlags.lastIndexOf(true);
+    iceWarningElem.textContent = firstIce >= 0
+      ? `❄ 과냉각도 ${dTRange[firstIce].toFixed(1)}–${dTRange[lastIce].toFixed(1)} K 구간(${iceFlags.filter(Boolean).length}개 점)에서 형성 온도가 잔류 염수의 어는점보다 낮아 얼음이 생깁니다 (예: ${tmaxValues[firstIce].toFixed(2)} K < ${result.brineFreezingValues[firstIce].toFixed(2)} K). 표와 그래프에 ❄/× 로 표시된 점에서는 HLS 물질수지가 성립하지 않습니다. (원료 염수 어는점 ${result.freezingPoint.toFixed(2)} K)`
+      : '';
+    iceWarningElem.classList.toggle('hidden', firstIce < 0);
+  }
+  renderGasUptake(result.gasUptake, gasKey);
+  renderEnergy(result.energy);
+  const band = result.uncertainty;
+  if (masUncertaintyElem && mwyUncertaintyElem) {
+    masUncertaintyElem.classList.toggle('hidden', !band);
+    mwyUncertaintyElem.classList.toggle('hidden', !band);
+    if (band) {
+      masUncertaintyElem.textContent = `중앙값 ${band.masMax.p50.toFixed(2)} wt% (5–95%: ${band.masMax.p5.toFixed(2)}–${band.masMax.p95.toFixed(2)}, N=${band.samples})`;
+      mwyUncertaintyElem.textContent = `중앙값 ${band.mwyMax.p50.toFixed(2)} % (5–95%: ${band.mwyMax.p5.toFixed(2)}–${band.mwyMax.p95.toFixed(2)}, N=${band.samples})`;
+    }
+  }
   if (tPureVal) tPureVal.textContent = tPureOp.toFixed(2) + ' K';
   if (tInitVal) tInitVal.textContent = tInitOp.toFixed(2) + ' K';
   if (tMasVal) tMasVal.textContent = tMasOp.toFixed(2) + ' K';
@@ -942,14 +1786,13 @@ calculateBtn.addEventListener('click', () => {
   if (xHeaderEl) xHeaderEl.textContent = getSaltLabel(saltKey);
   if (saltMassHeaderEl) saltMassHeaderEl.textContent = `${getSaltLabel(saltKey)} (g)`;
   // Fill gas constants details
-  const gasNameMap = { CH4: 'CH₄', C2H6: 'C₂H₆', C3H8: 'C₃H₈', CO2: 'CO₂', CP: 'CP', Custom: 'Custom' };
   const gasInfoGas = document.getElementById('gasInfoGas');
   const gasInfoStruct = document.getElementById('gasInfoStruct');
   const gasInfoNRDiv = document.getElementById('gasInfoNRDiv');
   const gasInfoAlpha = document.getElementById('gasInfoAlpha');
   const gasInfoBetaEff = document.getElementById('gasInfoBetaEff');
   const alphaUsed = (gas.structure === 'sII' && siiAlphaToggle && siiAlphaToggle.checked) ? ALPHA_SII : 1.0;
-  if (gasInfoGas) gasInfoGas.textContent = gasNameMap[gasKey] || gasKey;
+  if (gasInfoGas) gasInfoGas.textContent = GAS_LABELS[gasKey] || gasKey;
   if (gasInfoStruct) gasInfoStruct.textContent = gas.structure;
   if (gasInfoNRDiv) gasInfoNRDiv.textContent = `${Math.abs(gas.betaX).toFixed(4)} ×10⁻³ 1/K`;
   if (gasInfoAlpha) gasInfoAlpha.textContent = alphaUsed.toFixed(3);
@@ -959,8 +1802,12 @@ calculateBtn.addEventListener('click', () => {
   if (detailedResultsTable) {
     let tableHtml = '';
     for (let i = 0; i < dTRange.length; i++) {
-      tableHtml += `<tr>
-        <td class="p-2 border">${dTRange[i].toFixed(1)}</td>
+      const rowNotes = [];
+      if (iceFlags[i]) rowNotes.push('형성 온도가 염수 어는점보다 낮음 (얼음 형성)');
+      if (saturatedFlags[i]) rowNotes.push(`염 포화: MAS를 용해도 ${result.solubilityValues[i].toFixed(2)} wt%로 제한, 석출 ${result.precipitatedSaltValues[i].toFixed(2)} g`);
+      const rowCls = iceFlags[i] ? 'bg-sky-50 text-sky-900' : (saturatedFlags[i] ? 'bg-purple-50 text-purple-900' : '');
+      tableHtml += `<tr${rowNotes.length ? ` class="${rowCls}" title="${rowNotes.join(' / ')}"` : ''}>
+        <td class="p-2 border">${dTRange[i].toFixed(1)}${iceFlags[i] ? ' ❄' : ''}</td>
         <td class="p-2 border">${salinityMolValues[i].toFixed(8)}</td>
         <td class="p-2 border">${xValues[i].toFixed(8)}</td>
         <td class="p-2 border">${lnawValues[i].toFixed(8)}</td>
@@ -969,7 +1816,7 @@ calculateBtn.addEventListener('click', () => {
         <td class="p-2 border">${tmaxValues[i].toFixed(6)}</td>
         <td class="p-2 border">${naclGValues[i].toFixed(1)}</td>
         <td class="p-2 border">${waterGValues[i].toFixed(1)}</td>
-        <td class="p-2 border">${masValues[i].toFixed(8)}</td>
+        <td class="p-2 border">${masValues[i].toFixed(8)}${saturatedFlags[i] ? ' (포화)' : ''}</td>
         <td class="p-2 border">${waterSolutionGValues[i].toFixed(8)}</td>
         <td class="p-2 border">${waterHydrateGValues[i].toFixed(8)}</td>
         <td class="p-2 border">${maxPureWaterYieldValues[i].toFixed(8)}</td>
@@ -980,24 +1827,8 @@ calculateBtn.addEventListener('click', () => {
   
   // Prepare equilibrium curves
   const lnawMasMax = computeLnawFromDelta(beta, dT_init_op + dTRange[dTRange.length - 1], T0_op);
-  const pureCurve = [];
-  const initCurve = [];
-  const masCurve = [];
-  if (gas.data && gas.data.length) {
-    gas.data.forEach(([T0, P]) => {
-      const dT_init = computeDeltaT(beta, lnaw_init, T0);
-      const T_init_eq = T0 - dT_init;
-      const dT_mas = computeDeltaT(beta, lnawMasMax, T0);
-      const T_mas_eq = T0 - dT_mas;
-      pureCurve.push({ x: T0, y: P });
-      initCurve.push({ x: T_init_eq, y: P });
-      masCurve.push({ x: T_mas_eq, y: P });
-    });
-  }
-  // Sort curves by temperature ascending for better rendering
-  pureCurve.sort((a, b) => a.x - b.x);
-  initCurve.sort((a, b) => a.x - b.x);
-  masCurve.sort((a, b) => a.x - b.x);
+  const { pureCurve, initCurve, masCurve } = HLSCore.equilibriumCurves(gas, beta, lnaw_init, lnawMasMax);
+  const fitCurve = buildT0FitCurve(gasKey, result.pressure, t0FitMethodSelect ? t0FitMethodSelect.value : 'poly');
   
   // Destroy existing charts to avoid memory leaks
   if (curveChart) {
@@ -1058,7 +1889,16 @@ calculateBtn.addEventListener('click', () => {
               fill: false,
               tension: 0.1,
               pointRadius: 2
-            }
+            },
+            ...(fitCurve.length ? [{
+              label: 'T₀(P) 적합',
+              data: fitCurve,
+              borderColor: '#64748b',
+              borderDash: [4, 4],
+              fill: false,
+              tension: 0,
+              pointRadius: 0
+            }] : [])
           ]
         },
         options: {
@@ -1093,6 +1933,26 @@ calculateBtn.addEventListener('click', () => {
       // Create MWY vs ΔT chart
       const ctxMwy = document.getElementById('mwyChart').getContext('2d');
       const mwyData = dTRange.map((dT, idx) => ({ x: dT, y: mwyValues[idx] }));
+      // Monte Carlo bands: P95 fills down to P5, median drawn dashed
+      const bandDatasets = band ? [
+        { label: 'MWY P95', data: dTRange.map((dT, idx) => ({ x: dT, y: band.mwy.p95[idx] })), borderColor: 'rgba(37,99,235,0.3)', backgroundColor: 'rgba(37,99,235,0.15)', fill: '+1', pointRadius: 0, tension: 0.2 },
+        { label: 'MWY P5', data: dTRange.map((dT, idx) => ({ x: dT, y: band.mwy.p5[idx] })), borderColor: 'rgba(37,99,235,0.3)', fill: false, pointRadius: 0, tension: 0.2 },
+        { label: 'MWY 중앙값', data: dTRange.map((dT, idx) => ({ x: dT, y: band.mwy.p50[idx] })), borderColor: '#1e3a8a', borderDash: [6, 4], fill: false, pointRadius: 0, tension: 0.2 }
+      ] : [];
+      const iceData = dTRange.map((dT, idx) => ({ x: dT, y: mwyValues[idx] })).filter((_, idx) => iceFlags[idx]);
+      const iceDatasets = [
+        ...(iceData.length ? [{ label: '얼음 형성 (무효)', data: iceData, type: 'scatter', pointStyle: 'crossRot', pointRadius: 5, borderColor: '#0284c7', backgroundColor: '#0284c7' }] : []),
+        ...(result.freezeMwyValues ? [{
+          label: '동결 담수화 (같은 온도)',
+          data: dTRange.map((dT, idx) => ({ x: dT, y: result.freezeMwyValues[idx] })),
+          borderColor: '#0ea5e9',
+          borderDash: [6, 3],
+          fill: false,
+          pointRadius: 0,
+          tension: 0.2,
+          hidden: !(freezeCompareToggle && freezeCompareToggle.checked)
+        }] : [])
+      ];
       mwyChart = new ChartLib(ctxMwy, {
         type: 'line',
         data: {
@@ -1102,10 +1962,12 @@ calculateBtn.addEventListener('click', () => {
               data: mwyData,
               borderColor: '#2563eb',
               backgroundColor: 'rgba(37,99,235,0.1)',
-              fill: true,
+              fill: !band,
               tension: 0.2,
               pointRadius: 2
-            }
+            },
+            ...bandDatasets,
+            ...iceDatasets
           ]
         },
         options: {
@@ -1125,7 +1987,7 @@ calculateBtn.addEventListener('click', () => {
             }
           },
           plugins: {
-            legend: { display: false },
+            legend: { display: !!band || iceData.length > 0 || !!(freezeCompareToggle && freezeCompareToggle.checked) },
             tooltip: { mode: 'nearest', intersect: false, animation: { duration: 0 }, displayColors: false }
           },
           animation: { duration: 0 },
@@ -1137,9 +1999,10 @@ calculateBtn.addEventListener('click', () => {
       // CP 전용 T–S 비교 차트
       if (gasKey === 'CP' && cpTsCanvas && cpTsCard) {
         const t0cp = gasData.CP.t0_atm;
+        const cpSolute = HLSCore.getSolute(saltKey, result.brine);
         const measured = gasData.CP.ts_data.map(([S, T]) => ({ x: S, y: T }));
         const predicted = gasData.CP.ts_data.map(([S, _T]) => {
-          const Xs = computeXFromSalinity(S, saltKey);
+          const Xs = cpSolute.xFromSalinity(S);
           const lnaws = computeLnawFromX(Xs);
           const dTs = computeDeltaT(beta, lnaws, t0cp);
           return { x: S, y: t0cp - dTs };
@@ -1214,6 +2077,9 @@ document.addEventListener('keydown', (e) => {
     if (k === '4') { e.preventDefault(); switchTab('param'); return; }
     if (k === '5') { e.preventDefault(); switchTab('info'); return; }
     if (k === '6') { e.preventDefault(); switchTab('saved'); return; }
+    if (k === '7') { e.preventDefault(); switchTab('cascade'); return; }
+    if (k === '8') { e.preventDefault(); switchTab('sweep'); return; }
+    if (k === '9') { e.preventDefault(); switchTab('reactor'); return; }
     if (k === 'r') { e.preventDefault(); document.getElementById('resetBtn')?.click(); return; }
     if (k === 'e') { e.preventDefault(); document.getElementById('exportBtn')?.click(); return; }
     if (k === 's') { e.preventDefault(); document.getElementById('saveResultBtn')?.click(); return; }
@@ -1250,10 +2116,7 @@ const paramT0FitMethodSelect = document.getElementById('paramT0FitMethod');
 // Auto param pressure based on gas selection (median P)
 function syncParamPressureForGas() {
   if (!paramGas || !paramPressure) return;
-  const g = paramGas.value;
-  let pts = [];
-  if (g === 'Custom') pts = getCustomDataPoints();
-  else if (gasData[g]?.data) pts = gasData[g].data;
+  const pts = getGasDataPoints(paramGas.value);
   const pList = pts.map(p=>p[1]).filter(v=>isFinite(v));
   const pMed = pList.length ? median(pList) : 1.0;
   if (isFinite(pMed)) paramPressure.value = String(parseFloat(pMed.toFixed(3)));
@@ -1269,6 +2132,11 @@ function linspace(start, end, step) {
   return out;
 }
 
+// Heatmap cells below the brine's freezing point
+const ICE_CELL_COLOR = 'rgba(156,163,175,0.85)';
+// MAS heatmap cells capped at the salt's solubility
+const SATURATED_CELL_COLOR = 'rgba(126,34,206,0.8)';
+
 // Simple blue-yellow-red color scale for values in [vmin,vmax]
 function colorBYR(v, vmin, vmax) {
   if (!isFinite(v)) return 'rgba(0,0,0,0)';
@@ -1303,6 +2171,8 @@ function generateParametricHeatmaps() {
   }
   const gasKey = paramGas.value;
   const saltKey = paramSalt.value;
+  // Mixed brines reuse the composition ratios entered on the input tab
+  const brine = saltKey === MIXED_SALT_KEY ? readBrineComposition() : undefined;
   const pressure = parseFloat(paramPressure.value);
   const Tmin = parseFloat(paramTMin.value);
   const Tmax = parseFloat(paramTMax.value);
@@ -1318,6 +2188,18 @@ function generateParametricHeatmaps() {
     alert('입력 범위를 확인하세요. (최소 ≤ 최대, 간격 > 0)');
     return;
   }
+  if (brine) {
+    try { HLSCore.brineCoefficients(brine); } catch (_) {
+      alert('혼합 염수 조성을 입력 탭에서 확인하세요.');
+      return;
+    }
+  }
+  if (gasKey === GAS_MIXTURE_KEY) {
+    try { HLSCore.buildGasMixture(readGasMixture()); } catch (_) {
+      alert('혼합 기체 조성을 입력 탭에서 확인하세요.');
+      return;
+    }
+  }
   const useAlpha = !!(paramSiiAlphaToggle && paramSiiAlphaToggle.checked);
   const masMinNorm = Math.max(0, Math.min(1, parseFloat(paramMasMin?.value ?? '0')));
   const masMaxNorm = Math.max(0, Math.min(1, parseFloat(paramMasMax?.value ?? '1')));
@@ -1327,6 +2209,13 @@ function generateParametricHeatmaps() {
   const gas = getGasObject(gasKey);
   const methodParam = paramT0FitMethodSelect ? paramT0FitMethodSelect.value : (t0FitMethodSelect ? t0FitMethodSelect.value : 'poly');
   const T0_op = getT0AtPressure(gasKey, pressure, methodParam);
+  const heatmapT0Warning = document.getElementById('heatmapT0Warning');
+  if (heatmapT0Warning) {
+    let warning = null;
+    try { warning = HLSCore.checkT0Range(gasKey, pressure, methodParam, readGasDefinition(gasKey)); } catch (_) { warning = null; }
+    heatmapT0Warning.textContent = warning ? `⚠ ${describeT0Warning(warning, gasKey)}` : '';
+    heatmapT0Warning.classList.toggle('hidden', !warning);
+  }
 
   const temps = linspace(Tmin, Tmax, Tstep);
   const salts = linspace(Smin, Smax, Sstep);
@@ -1337,34 +2226,18 @@ function generateParametricHeatmaps() {
   let minMAS = +Infinity, maxMAS = -Infinity;
 
   for (const sInit of salts) {
-    const X_init = computeXFromSalinity(sInit, saltKey);
-    const lnaw_init = computeLnawFromX(X_init);
-    const dT_init_op = computeDeltaT(beta, lnaw_init, T0_op);
     for (const Tform of temps) {
-      let mwyVal = 0;
-      let masVal = sInit;
-      let masIncr = 0;
-      const dT_total = Math.max(0, T0_op - Tform);
-      if (dT_total >= dT_init_op && dT_total < T0_op) {
-        const lnawMas = computeLnawFromDelta(beta, dT_total, T0_op);
-        if (isFinite(lnawMas) && lnawMas < 0) {
-          const X_mas = solveXFromLnaw(lnawMas);
-          const mas = computeSalinityFromX(X_mas, saltKey);
-          if (isFinite(mas) && mas > 0) {
-            masVal = mas;
-            masIncr = Math.max(0, masVal - sInit);
-            const mwy = ((mas - sInit) / mas) * 100;
-            mwyVal = Math.max(0, Math.min(100, mwy));
-          }
-        }
-      }
+      const cell = HLSCore.evaluateFormationTemperature(beta, T0_op, saltKey, sInit, Tform, brine);
+      const mwyVal = cell.mwy;
+      const masVal = cell.mas;
+      const masIncr = cell.dmas;
       // Swap axes: x = Initial Salinity (wt%), y = Formation Temperature (K)
-      dataMWY.push({ x: sInit, y: Tform, v: mwyVal });
+      dataMWY.push({ x: sInit, y: Tform, v: mwyVal, ice: cell.ice });
       const headroom = Math.max(0, 100 - sInit);
       const masNormRaw = headroom > 0 ? Math.max(0, Math.min(1, masIncr / headroom)) : 0;
       // Apply user color range [masMinNorm, masMaxNorm]
       const masNorm = Math.max(0, Math.min(1, (masNormRaw - masMinNorm) / range));
-      dataMAS.push({ x: sInit, y: Tform, v: masNorm, mas: masVal, dmas: masIncr, vraw: masNormRaw });
+      dataMAS.push({ x: sInit, y: Tform, v: masNorm, mas: masVal, dmas: masIncr, vraw: masNormRaw, ice: cell.ice, saturated: cell.saturated });
       if (isFinite(mwyVal)) { minMWY = Math.min(minMWY, mwyVal); maxMWY = Math.max(maxMWY, mwyVal); }
       if (isFinite(masVal)) { minMAS = Math.min(minMAS, masVal); maxMAS = Math.max(maxMAS, masVal); }
     }
@@ -1383,7 +2256,7 @@ function generateParametricHeatmaps() {
         label: 'MWY',
         data: dataMWY,
         borderWidth: 0,
-        backgroundColor: (c) => colorBYR(c.raw.v, 0, 100),
+        backgroundColor: (c) => (c.raw.ice ? ICE_CELL_COLOR : colorBYR(c.raw.v, 0, 100)),
         // width by number of salinity bins (x), height by number of temp bins (y)
         width: ({chart}) => (chart.chartArea ? chart.chartArea.width / Math.max(1, salts.length) : 10),
         height: ({chart}) => (chart.chartArea ? chart.chartArea.height / Math.max(1, temps.length) : 10)
@@ -1401,7 +2274,7 @@ function generateParametricHeatmaps() {
           tooltip: {
             callbacks: {
               title: (items) => `S=${items[0].raw.x.toFixed(2)} wt%, T=${items[0].raw.y.toFixed(2)} K`,
-              label: (item) => `MWY=${item.raw.v.toFixed(2)} %`
+              label: (item) => `MWY=${item.raw.v.toFixed(2)} %${item.raw.ice ? ' (얼음 형성 영역)' : ''}`
             }
           }
         }
@@ -1423,6 +2296,8 @@ function generateParametricHeatmaps() {
         backgroundColor: (c) => {
           const r = c.raw;
           const eps = 1e-9;
+          if (r.ice) return ICE_CELL_COLOR;
+          if (r.saturated) return SATURATED_CELL_COLOR;
           if (hideZero && (r.dmas ?? 0) <= eps) return 'rgba(0,0,0,0)';
           return colorBYR(r.v, 0, 1);
         },
@@ -1448,7 +2323,7 @@ function generateParametricHeatmaps() {
                 const dmas = (r.dmas ?? 0).toFixed(2);
                 const vraw = ((r.vraw ?? 0) * 100).toFixed(1);
                 const vmapped = ((r.v ?? 0) * 100).toFixed(1);
-                return `ΔMAS=${dmas} wt% (norm ${vraw}%, mapped ${vmapped}%), MAS=${mas} wt%`;
+                return `ΔMAS=${dmas} wt% (norm ${vraw}%, mapped ${vmapped}%), MAS=${mas} wt%${r.ice ? ' (얼음 형성 영역)' : ''}${r.saturated ? ' (염 포화, 용해도로 제한)' : ''}`;
               }
             }
           }
@@ -1539,3 +2414,1707 @@ function drawLegend(canvasId, colorAt, labels) {
     ctx.fillText(txt, tx, ty);
   });
 }
+
+// =========================
+// Electrolyte library (user-defined salts)
+// =========================
+
+const SALT_STORAGE_KEY = 'hls_custom_salts';
+const saltLibKey = document.getElementById('saltLibKey');
+const saltLibCation = document.getElementById('saltLibCation');
+const saltLibNuCation = document.getElementById('saltLibNuCation');
+const saltLibAnion = document.getElementById('saltLibAnion');
+const saltLibNuAnion = document.getElementById('saltLibNuAnion');
+const saltLibMolarMass = document.getElementById('saltLibMolarMass');
+// Free-form ion fields, shown when '직접 입력' is picked instead of a table ion
+const SALT_ION_OTHER = '__other';
+const saltLibIonFields = {
+  cation: {
+    select: saltLibCation,
+    nu: saltLibNuCation,
+    row: document.getElementById('saltLibCationCustom'),
+    name: document.getElementById('saltLibCationName'),
+    charge: document.getElementById('saltLibCationCharge'),
+    mass: document.getElementById('saltLibCationMass')
+  },
+  anion: {
+    select: saltLibAnion,
+    nu: saltLibNuAnion,
+    row: document.getElementById('saltLibAnionCustom'),
+    name: document.getElementById('saltLibAnionName'),
+    charge: document.getElementById('saltLibAnionCharge'),
+    mass: document.getElementById('saltLibAnionMass')
+  }
+};
+const saltLibSaveBtn = document.getElementById('saltLibSaveBtn');
+const saltLibCancelBtn = document.getElementById('saltLibCancelBtn');
+const saltLibError = document.getElementById('saltLibError');
+const saltLibList = document.getElementById('saltLibList');
+let editingSaltKey = null;
+
+function getCustomSaltKeys() {
+  return Object.keys(HLSCore.saltProps).filter((k) => HLSCore.saltProps[k].custom);
+}
+
+function serializeCustomSalts() {
+  const out = {};
+  getCustomSaltKeys().forEach((k) => {
+    const { molarMass, cation, anion } = HLSCore.saltProps[k];
+    out[k] = { molarMass, cation, anion };
+  });
+  return out;
+}
+
+function persistCustomSalts() {
+  localStorage.setItem(SALT_STORAGE_KEY, JSON.stringify(serializeCustomSalts()));
+}
+
+function loadCustomSalts() {
+  let stored = {};
+  try { stored = JSON.parse(localStorage.getItem(SALT_STORAGE_KEY) || '{}') || {}; } catch (_) { stored = {}; }
+  const skipped = [];
+  Object.entries(stored).forEach(([k, def]) => {
+    try {
+      HLSCore.registerSalt(k, def);
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      skipped.push(`${k}: ${err.message}`);
+    }
+  });
+  if (skipped.length) {
+    alert(`저장된 사용자 정의 염 ${skipped.length}개를 불러올 수 없어 건너뛰었습니다.\n${skipped.join('\n')}`);
+  }
+}
+
+// Label of one side of a salt; user-defined ions show their charge
+function saltIonLabel(part) {
+  if (ION_LABELS[part.ion]) return ION_LABELS[part.ion];
+  return part.charge !== undefined ? `${part.ion}(${part.charge > 0 ? '+' : ''}${part.charge})` : part.ion;
+}
+
+// Custom salts go right before the 'Mixed' entry of both salt selects
+function refreshSaltOptions() {
+  [saltSelect, paramSalt].forEach((sel) => {
+    if (!sel) return;
+    const current = sel.value;
+    sel.querySelectorAll('option[data-custom-salt]').forEach((o) => o.remove());
+    const mixedOpt = sel.querySelector(`option[value="${MIXED_SALT_KEY}"]`);
+    getCustomSaltKeys().forEach((k) => {
+      const opt = document.createElement('option');
+      opt.value = k;
+      opt.textContent = `${getSaltLabel(k)} (사용자)`;
+      opt.dataset.customSalt = '1';
+      sel.insertBefore(opt, mixedOpt);
+    });
+    sel.value = HLSCore.saltProps[current] || current === MIXED_SALT_KEY ? current : 'NaCl';
+  });
+  syncSaltMode();
+}
+
+function fillIonSelects() {
+  const ions = Object.entries(HLSCore.ionProps);
+  const opts = (sign) => ions
+    .filter(([, p]) => Math.sign(p.charge) === sign)
+    .map(([k]) => `<option value="${k}">${ION_LABELS[k] || k}</option>`).join('')
+    + `<option value="${SALT_ION_OTHER}">직접 입력</option>`;
+  if (saltLibCation) saltLibCation.innerHTML = opts(1);
+  if (saltLibAnion) saltLibAnion.innerHTML = opts(-1);
+  syncSaltIonFields();
+}
+
+function syncSaltIonFields() {
+  Object.values(saltLibIonFields).forEach((f) => {
+    if (f.row) f.row.classList.toggle('hidden', f.select?.value !== SALT_ION_OTHER);
+  });
+}
+
+// { ion, nu } for a table ion, plus charge and molar mass for a typed-in one
+function readSaltIon(side) {
+  const f = saltLibIonFields[side];
+  const nu = parseInt(f.nu?.value, 10);
+  if (f.select?.value !== SALT_ION_OTHER) return { ion: f.select?.value, nu };
+  return {
+    ion: (f.name?.value || '').trim(),
+    nu,
+    charge: parseInt(f.charge?.value, 10),
+    molarMass: parseFloat(f.mass?.value)
+  };
+}
+
+function applySaltIon(side, part) {
+  const f = saltLibIonFields[side];
+  const custom = part.charge !== undefined;
+  if (f.select) f.select.value = custom ? SALT_ION_OTHER : part.ion;
+  if (f.nu) f.nu.value = String(part.nu);
+  if (custom) {
+    if (f.name) f.name.value = part.ion;
+    if (f.charge) f.charge.value = String(part.charge);
+    if (f.mass) f.mass.value = String(part.molarMass);
+  }
+  syncSaltIonFields();
+}
+
+function renderSaltLibrary() {
+  if (!saltLibList) return;
+  const keys = getCustomSaltKeys();
+  if (!keys.length) {
+    saltLibList.innerHTML = '<p class="text-gray-500 italic">사용자 정의 염이 없습니다.</p>';
+    return;
+  }
+  saltLibList.innerHTML = keys.map((k) => {
+    const { molarMass, cation, anion } = HLSCore.saltProps[k];
+    return `<div class="flex items-center justify-between bg-white border rounded px-2 py-1">
+      <span><b>${getSaltLabel(k)}</b> — ${cation.nu}·${saltIonLabel(cation)} + ${anion.nu}·${saltIonLabel(anion)}, M = ${molarMass.toFixed(2)} g/mol</span>
+      <span class="flex gap-2">
+        <button type="button" class="text-blue-600 text-xs" data-salt-edit="${k}">수정</button>
+        <button type="button" class="text-red-500 text-xs" data-salt-delete="${k}">삭제</button>
+      </span>
+    </div>`;
+  }).join('');
+}
+
+function resetSaltForm() {
+  editingSaltKey = null;
+  if (saltLibKey) saltLibKey.value = '';
+  if (saltLibNuCation) saltLibNuCation.value = '1';
+  if (saltLibNuAnion) saltLibNuAnion.value = '1';
+  if (saltLibMolarMass) saltLibMolarMass.value = '';
+  Object.values(saltLibIonFields).forEach((f) => {
+    if (f.name) f.name.value = '';
+    if (f.mass) f.mass.value = '';
+  });
+  if (saltLibCancelBtn) saltLibCancelBtn.classList.add('hidden');
+  if (saltLibError) saltLibError.classList.add('hidden');
+}
+
+function onSaltLibraryChanged() {
+  persistCustomSalts();
+  refreshSaltOptions();
+  renderBrineInputs();
+  renderSaltLibrary();
+}
+
+if (saltLibSaveBtn) {
+  saltLibSaveBtn.addEventListener('click', () => {
+    const key = (saltLibKey?.value || '').trim();
+    const def = {
+      cation: readSaltIon('cation'),
+      anion: readSaltIon('anion'),
+      molarMass: parseFloat(saltLibMolarMass?.value)
+    };
+    const previous = editingSaltKey && HLSCore.saltProps[editingSaltKey];
+    // Saving under another entry's name replaces that entry
+    const existing = key !== editingSaltKey && HLSCore.saltProps[key]?.custom;
+    if (existing && !confirm(`사용자 정의 염 '${key}'이(가) 이미 있습니다. 덮어쓰시겠습니까?`)) return;
+    try {
+      if (editingSaltKey && editingSaltKey !== key) HLSCore.unregisterSalt(editingSaltKey);
+      HLSCore.registerSalt(key, def, { replace: true });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      // Put the entry being edited back if the rename failed
+      if (previous && !HLSCore.saltProps[editingSaltKey]) HLSCore.registerSalt(editingSaltKey, previous);
+      if (saltLibError) {
+        saltLibError.textContent = `저장할 수 없습니다: ${err.message}`;
+        saltLibError.classList.remove('hidden');
+      }
+      return;
+    }
+    resetSaltForm();
+    onSaltLibraryChanged();
+  });
+}
+if (saltLibCancelBtn) saltLibCancelBtn.addEventListener('click', resetSaltForm);
+[saltLibCation, saltLibAnion].forEach((sel) => { if (sel) sel.addEventListener('change', syncSaltIonFields); });
+if (saltLibList) {
+  saltLibList.addEventListener('click', (e) => {
+    const editKey = e.target?.dataset?.saltEdit;
+    const deleteKey = e.target?.dataset?.saltDelete;
+    if (editKey && HLSCore.saltProps[editKey]) {
+      const { molarMass, cation, anion } = HLSCore.saltProps[editKey];
+      editingSaltKey = editKey;
+      saltLibKey.value = editKey;
+      applySaltIon('cation', cation);
+      applySaltIon('anion', anion);
+      saltLibMolarMass.value = String(molarMass);
+      if (saltLibCancelBtn) saltLibCancelBtn.classList.remove('hidden');
+    } else if (deleteKey) {
+      if (!confirm(`사용자 정의 염 '${deleteKey}'을(를) 삭제하시겠습니까?`)) return;
+      HLSCore.unregisterSalt(deleteKey);
+      if (editingSaltKey === deleteKey) resetSaltForm();
+      onSaltLibraryChanged();
+    }
+  });
+}
+
+fillIonSelects();
+loadCustomSalts();
+refreshSaltOptions();
+renderBrineInputs();
+renderSaltLibrary();
+
+// =====================
+// Gas library (named user gases)
+// =====================
+const GAS_STORAGE_KEY = 'hls_custom_gases';
+const GAS_LIBRARY_FORMAT = 'hls-gas-library';
+const gasLibName = document.getElementById('gasLibName');
+const gasLibSource = document.getElementById('gasLibSource');
+const gasLibSaveBtn = document.getElementById('gasLibSaveBtn');
+const gasLibCancelBtn = document.getElementById('gasLibCancelBtn');
+const gasLibError = document.getElementById('gasLibError');
+const gasLibList = document.getElementById('gasLibList');
+const gasLibExportBtn = document.getElementById('gasLibExportBtn');
+const gasLibImportBtn = document.getElementById('gasLibImportBtn');
+const gasLibImportFile = document.getElementById('gasLibImportFile');
+let editingGasKey = null;
+
+function getCustomGasKeys() {
+  return Object.keys(gasData).filter((k) => gasData[k].custom);
+}
+
+// { name: { structure, betaX, data, source } } for storage and export
+function serializeCustomGases() {
+  const out = {};
+  getCustomGasKeys().forEach((k) => {
+    const { structure, betaX, data, source, molarMass, hydrationNumber } = gasData[k];
+    out[k] = { structure, betaX, data, source, molarMass, hydrationNumber };
+  });
+  return out;
+}
+
+function persistCustomGases() {
+  localStorage.setItem(GAS_STORAGE_KEY, JSON.stringify(serializeCustomGases()));
+}
+
+function loadCustomGases() {
+  let stored = {};
+  try { stored = JSON.parse(localStorage.getItem(GAS_STORAGE_KEY) || '{}') || {}; } catch (_) { stored = {}; }
+  const skipped = [];
+  Object.entries(stored).forEach(([k, def]) => {
+    try {
+      HLSCore.registerGas(k, def);
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      skipped.push(`${k}: ${err.message}`);
+    }
+  });
+  if (skipped.length) {
+    alert(`저장된 사용자 기체 ${skipped.length}개를 불러올 수 없어 건너뛰었습니다.\n${skipped.join('\n')}`);
+  }
+}
+
+// Saved gases go right before the 'Mix' entry of both gas selects
+function refreshGasOptions() {
+  [gasSelect, paramGas].forEach((sel) => {
+    if (!sel) return;
+    const current = sel.value;
+    sel.querySelectorAll('option[data-custom-gas]').forEach((o) => o.remove());
+    const mixOpt = sel.querySelector(`option[value="${GAS_MIXTURE_KEY}"]`);
+    getCustomGasKeys().forEach((k) => {
+      const opt = document.createElement('option');
+      opt.value = k;
+      opt.textContent = `${k} (사용자)`;
+      opt.dataset.customGas = '1';
+      sel.insertBefore(opt, mixOpt);
+    });
+    sel.value = Array.from(sel.options).some((o) => o.value === current) ? current : 'CH4';
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function renderGasLibrary() {
+  if (!gasLibList) return;
+  const keys = getCustomGasKeys();
+  if (!keys.length) {
+    gasLibList.innerHTML = '<p class="text-gray-500 italic">저장된 사용자 기체가 없습니다.</p>';
+    return;
+  }
+  gasLibList.innerHTML = keys.map((k) => {
+    const { structure, betaX, data, source } = gasData[k];
+    const ps = data.map((p) => p[1]);
+    return `<div class="flex items-center justify-between bg-white border rounded px-2 py-1">
+      <span><b>${escapeHtml(k)}</b> — ${structure}, nR/ΔH<sub>d</sub> = ${betaX.toFixed(4)}, ${data.length}점 (${Math.min(...ps)}–${Math.max(...ps)} MPa)${source ? ` <span class="text-gray-500">· ${escapeHtml(source)}</span>` : ''}</span>
+      <span class="flex gap-2">
+        <button type="button" class="text-blue-600 text-xs" data-gas-edit="${escapeHtml(k)}">수정</button>
+        <button type="button" class="text-red-500 text-xs" data-gas-delete="${escapeHtml(k)}">삭제</button>
+      </span>
+    </div>`;
+  }).join('');
+}
+
+function showGasLibError(message) {
+  if (!gasLibError) return;
+  gasLibError.textContent = message;
+  gasLibError.classList.toggle('hidden', !message);
+}
+
+function resetGasForm() {
+  editingGasKey = null;
+  if (gasLibName) gasLibName.value = '';
+  if (gasLibSource) gasLibSource.value = '';
+  if (gasLibCancelBtn) gasLibCancelBtn.classList.add('hidden');
+  showGasLibError('');
+}
+
+function onGasLibraryChanged() {
+  persistCustomGases();
+  // A deleted gas can no longer be part of the mixture
+  Object.keys(gasMixState).forEach((k) => { if (!gasData[k]) delete gasMixState[k]; });
+  renderGasMixInputs();
+  refreshGasOptions();
+  syncPressureForGas();
+  syncParamPressureForGas();
+  renderCascadeStages();
+  renderCompareGasList();
+  fillFitDiagGases();
+  renderGasLibrary();
+}
+
+if (gasLibSaveBtn) {
+  gasLibSaveBtn.addEventListener('click', () => {
+    const key = (gasLibName?.value || '').trim();
+    const def = { ...readCustomGas(), source: (gasLibSource?.value || '').trim() };
+    const previous = editingGasKey && gasData[editingGasKey];
+    // Saving under another entry's name replaces that entry
+    const existing = key !== editingGasKey && gasData[key]?.custom;
+    if (existing && !confirm(`사용자 기체 '${key}'이(가) 이미 있습니다. 덮어쓰시겠습니까?`)) return;
+    try {
+      if (editingGasKey && editingGasKey !== key) HLSCore.unregisterGas(editingGasKey);
+      HLSCore.registerGas(key, def, { replace: true });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      // Put the entry being edited back if the rename failed
+      if (previous && !gasData[editingGasKey]) HLSCore.registerGas(editingGasKey, previous);
+      showGasLibError(`저장할 수 없습니다: ${err.message}`);
+      return;
+    }
+    resetGasForm();
+    onGasLibraryChanged();
+    gasSelect.value = key;
+    syncPressureForGas();
+  });
+}
+if (gasLibCancelBtn) gasLibCancelBtn.addEventListener('click', resetGasForm);
+if (gasLibList) {
+  gasLibList.addEventListener('click', (e) => {
+    const editKey = e.target?.dataset?.gasEdit;
+    const deleteKey = e.target?.dataset?.gasDelete;
+    if (editKey && gasData[editKey]) {
+      // Edit through the Custom panel so the estimator and validation apply
+      const { structure, betaX, data, source, molarMass, hydrationNumber } = gasData[editKey];
+      editingGasKey = editKey;
+      gasSelect.value = 'Custom';
+      customStructure.value = structure;
+      customBetaX.value = betaX.toFixed(4);
+      if (customMolarMass) customMolarMass.value = molarMass ?? '';
+      if (customHydrationNumber) customHydrationNumber.value = hydrationNumber ?? '';
+      customTPData.value = data.map(([T, P]) => `${T},${P}`).join('\n');
+      gasLibName.value = editKey;
+      gasLibSource.value = source || '';
+      if (gasLibCancelBtn) gasLibCancelBtn.classList.remove('hidden');
+      showGasLibError('');
+      syncPressureForGas();
+      renderCustomTPCheck();
+    } else if (deleteKey) {
+      if (!confirm(`사용자 기체 '${deleteKey}'을(를) 삭제하시겠습니까?`)) return;
+      HLSCore.unregisterGas(deleteKey);
+      if (editingGasKey === deleteKey) resetGasForm();
+      onGasLibraryChanged();
+    }
+  });
+}
+
+if (gasLibExportBtn) {
+  gasLibExportBtn.addEventListener('click', () => {
+    const gases = serializeCustomGases();
+    if (!Object.keys(gases).length) {
+      alert('내보낼 사용자 기체가 없습니다.');
+      return;
+    }
+    const payload = { format: GAS_LIBRARY_FORMAT, version: 1, exportedAt: new Date().toISOString(), gases };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', 'HLS_기체_라이브러리.json');
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  });
+}
+
+// Accepts an exported library file or a bare { name: definition } map
+function importGasLibrary(text) {
+  let parsed;
+  try { parsed = JSON.parse(text); } catch (_) {
+    alert('JSON 파일을 읽을 수 없습니다.');
+    return;
+  }
+  const gases = parsed && parsed.format === GAS_LIBRARY_FORMAT ? parsed.gases : parsed;
+  if (!gases || typeof gases !== 'object' || Array.isArray(gases)) {
+    alert('기체 라이브러리 형식이 아닙니다.');
+    return;
+  }
+  // Same-named library gases are replaced only once the user agrees
+  const clashes = Object.keys(gases).filter((k) => gasData[k.trim()]?.custom);
+  const replace = clashes.length > 0
+    && confirm(`이미 있는 사용자 기체 ${clashes.length}개를 덮어쓰시겠습니까? 취소하면 기존 기체를 유지합니다.\n${clashes.join('\n')}`);
+  let added = 0; let replaced = 0; let kept = 0;
+  const skipped = [];
+  Object.entries(gases).forEach(([k, def]) => {
+    const existed = !!gasData[k.trim()]?.custom;
+    if (existed && !replace) {
+      kept++;
+      return;
+    }
+    try {
+      HLSCore.registerGas(k, def, { replace: existed });
+      if (existed) replaced++; else added++;
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      skipped.push(`${k}: ${err.message}`);
+    }
+  });
+  onGasLibraryChanged();
+  alert(`가져오기 완료: 추가 ${added}개, 덮어쓰기 ${replaced}개${kept ? `, 기존 유지 ${kept}개` : ''}${skipped.length ? `, 건너뜀 ${skipped.length}개\n${skipped.join('\n')}` : ''}`);
+}
+
+if (gasLibImportBtn && gasLibImportFile) {
+  gasLibImportBtn.addEventListener('click', () => gasLibImportFile.click());
+  gasLibImportFile.addEventListener('change', () => {
+    const file = gasLibImportFile.files && gasLibImportFile.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => importGasLibrary(String(reader.result || ''));
+    reader.readAsText(file);
+    gasLibImportFile.value = '';
+  });
+}
+
+loadCustomGases();
+renderGasMixInputs();
+refreshGasOptions();
+renderGasLibrary();
+initSavedResults();
+
+// =====================
+// Multi-stage (cascade) process
+// =====================
+const cascadeStagesEl = document.getElementById('cascadeStages');
+const cascadeFeedMassInput = document.getElementById('cascadeFeedMass');
+const cascadeFeedSummary = document.getElementById('cascadeFeedSummary');
+const cascadeAddStageBtn = document.getElementById('cascadeAddStageBtn');
+const cascadeRunBtn = document.getElementById('cascadeRunBtn');
+const cascadeResultsEl = document.getElementById('cascadeResults');
+const cascadeTable = document.getElementById('cascadeTable');
+const cascadeFlow = document.getElementById('cascadeFlow');
+
+// Stage rows; each stage's feed comes from the previous stage's brine or product
+const cascadeStages = [
+  { gas: 'CH4', pressure: 5, dT: 3, feedFrom: 'brine', entrainment: 0 },
+  { gas: 'CO2', pressure: 3, dT: 3, feedFrom: 'brine', entrainment: 0 }
+];
+const CASCADE_STREAM_LABELS = { feed: '공급수', brine: '농축수', product: '해리수' };
+
+function renderCascadeStages() {
+  if (!cascadeStagesEl) return;
+  const gasOptions = Array.from(gasSelect.options).map((o) => [o.value, o.textContent]);
+  cascadeStagesEl.innerHTML = cascadeStages.map((st, i) => {
+    const options = gasOptions.map(([v, label]) => `<option value="${v}"${v === st.gas ? ' selected' : ''}>${label}</option>`).join('');
+    const feedSelect = i === 0
+      ? '<p class="p-2 text-sm text-gray-600">공급수</p>'
+      : `<select data-cascade-field="feedFrom" data-cascade-index="${i}" class="w-full border rounded p-2">
+          <option value="brine"${st.feedFrom !== 'product' ? ' selected' : ''}>${i}단 농축수</option>
+          <option value="product"${st.feedFrom === 'product' ? ' selected' : ''}>${i}단 해리수</option>
+        </select>`;
+    return `<div class="border rounded p-3 bg-gray-50">
+      <div class="flex justify-between items-center mb-2">
+        <p class="font-medium">${i + 1}단</p>
+        ${cascadeStages.length > 1 ? `<button type="button" data-cascade-remove="${i}" class="text-sm text-red-600 hover:underline">삭제</button>` : ''}
+      </div>
+      <div class="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <div>
+          <label class="block text-sm mb-1">공급원</label>
+          ${feedSelect}
+        </div>
+        <div>
+          <label class="block text-sm mb-1">기체</label>
+          <select data-cascade-field="gas" data-cascade-index="${i}" class="w-full border rounded p-2">${options}</select>
+        </div>
+        <div>
+          <label class="block text-sm mb-1">압력 (MPa)</label>
+          <input data-cascade-field="pressure" data-cascade-index="${i}" type="number" step="0.01" min="0" value="${st.gas === 'CP' ? 0.1 : st.pressure}" ${st.gas === 'CP' ? 'disabled' : ''} class="w-full border rounded p-2" />
+        </div>
+        <div>
+          <label class="block text-sm mb-1">추가 과냉각도 (K)</label>
+          <input data-cascade-field="dT" data-cascade-index="${i}" type="number" step="0.1" min="0" value="${st.dT}" class="w-full border rounded p-2" />
+        </div>
+        <div>
+          <label class="block text-sm mb-1">동반 염수 (g/g 하이드레이트)</label>
+          <input data-cascade-field="entrainment" data-cascade-index="${i}" type="number" step="0.01" min="0" value="${st.entrainment}" class="w-full border rounded p-2" />
+        </div>
+      </div>
+    </div>`;
+  }).join('');
+}
+
+function syncCascadeFeedSummary() {
+  if (!cascadeFeedSummary) return;
+  const saltKey = saltSelect.value;
+  const inh = readInhibitor();
+  let text = `공급수: ${saltKey === MIXED_SALT_KEY ? '혼합 염수' : getSaltLabel(saltKey)} ${salinityInput.value} wt%`;
+  if (inh) text += ` + ${INHIBITOR_LABELS[inh.key] || inh.key} ${inh.wt} wt%`;
+  cascadeFeedSummary.textContent = text;
+}
+
+// Stage spec for HLSCore.simulateCascade; Custom/Mix use the input-tab definitions
+function readCascadeStages() {
+  return cascadeStages.map((st) => ({
+    gas: st.gas,
+    customGas: st.gas === 'Custom' ? readCustomGas() : undefined,
+    gasMixture: st.gas === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+    pressure: st.pressure,
+    dT: st.dT,
+    feedFrom: st.feedFrom,
+    entrainment: st.entrainment
+  }));
+}
+
+function renderCascadeResults(res) {
+  if (!cascadeResultsEl) return;
+  cascadeResultsEl.classList.remove('hidden');
+  const fmtStream = (st) => `${st.mass.toFixed(2)} g, ${st.salinity.toFixed(2)}%`;
+  document.getElementById('cascadeRecovery').textContent = `${res.waterRecovery.toFixed(2)} %`;
+  document.getElementById('cascadeFinalBrine').textContent = `${res.finalBrineSalinity.toFixed(2)} wt%`;
+  document.getElementById('cascadeProductSalinity').textContent = `${res.productSalinity.toFixed(3)} wt%`;
+  if (cascadeTable) {
+    cascadeTable.innerHTML = res.stages.map((st) => `<tr class="border-b">
+        <td class="p-2">${st.index + 1}단 (${CASCADE_STREAM_LABELS[st.feedFrom]})</td>
+        <td class="p-2">${GAS_LABELS[st.gasKey] || st.gasKey} / ${st.pressure.toFixed(2)}</td>
+        <td class="p-2 text-right">${fmtStream(st.feed)}</td>
+        <td class="p-2 text-right">${st.mas.toFixed(2)}</td>
+        <td class="p-2 text-right">${st.mwy.toFixed(2)}</td>
+        <td class="p-2 text-right">${fmtStream(st.product)}</td>
+        <td class="p-2 text-right">${fmtStream(st.brine)}</td>
+      </tr>`).join('');
+  }
+  if (cascadeFlow) {
+    const steps = res.stages.map((st) => {
+      const out = res.outlets.filter((o) => o.stage === st.index)
+        .map((o) => `${CASCADE_STREAM_LABELS[o.kind]} ${o.mass.toFixed(1)} g 배출`).join(', ');
+      return `[${st.index + 1}단 ${GAS_LABELS[st.gasKey] || st.gasKey} ${st.pressure.toFixed(2)} MPa]${out ? ` (${out})` : ''}`;
+    });
+    cascadeFlow.textContent = `공급수 ${res.feed.mass.toFixed(1)} g (${res.feed.salinity.toFixed(2)} wt%) → ${steps.join(' → ')}`;
+  }
+
+  const ChartLib = window.Chart;
+  destroyIfExists(cascadeChart);
+  const canvas = document.getElementById('cascadeChart');
+  if (!canvas || !ChartLib) return;
+  const labels = res.stages.map((st) => `${st.index + 1}단`);
+  const solids = (stream) => res.stages.map((st) => st[stream].salt + st[stream].inhibitor);
+  const water = (stream) => res.stages.map((st) => st[stream].water);
+  cascadeChart = new ChartLib(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        { label: '해리수 – 물 (g)', data: water('product'), backgroundColor: 'rgba(37,99,235,0.7)', stack: 'product' },
+        { label: '해리수 – 염 (g)', data: solids('product'), backgroundColor: 'rgba(37,99,235,0.3)', stack: 'product' },
+        { label: '농축수 – 물 (g)', data: water('brine'), backgroundColor: 'rgba(234,88,12,0.7)', stack: 'brine' },
+        { label: '농축수 – 염 (g)', data: solids('brine'), backgroundColor: 'rgba(234,88,12,0.3)', stack: 'brine' }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true, title: { display: true, text: '단' } },
+        y: { stacked: true, min: 0, title: { display: true, text: '질량 (g)' } }
+      },
+      plugins: { legend: { display: true } },
+      animation: { duration: 0 }
+    }
+  });
+}
+
+if (cascadeStagesEl) {
+  cascadeStagesEl.addEventListener('change', (e) => {
+    const field = e.target?.dataset?.cascadeField;
+    if (!field) return;
+    const st = cascadeStages[Number(e.target.dataset.cascadeIndex)];
+    if (field === 'gas' || field === 'feedFrom') {
+      st[field] = e.target.value;
+      if (field === 'gas') renderCascadeStages();
+    } else {
+      st[field] = parseFloat(e.target.value);
+    }
+  });
+  cascadeStagesEl.addEventListener('click', (e) => {
+    const idx = e.target?.dataset?.cascadeRemove;
+    if (idx === undefined) return;
+    cascadeStages.splice(Number(idx), 1);
+    renderCascadeStages();
+  });
+}
+if (cascadeAddStageBtn) {
+  cascadeAddStageBtn.addEventListener('click', () => {
+    const last = cascadeStages[cascadeStages.length - 1];
+    cascadeStages.push({ ...last, feedFrom: 'brine' });
+    renderCascadeStages();
+  });
+}
+if (cascadeRunBtn) {
+  cascadeRunBtn.addEventListener('click', () => {
+    let res;
+    try {
+      res = HLSCore.simulateCascade({
+        salt: saltSelect.value,
+        brine: saltSelect.value === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+        inhibitor: readInhibitor(),
+        salinity: parseFloat(salinityInput.value),
+        feedMass: parseFloat(cascadeFeedMassInput?.value ?? '100'),
+        stages: readCascadeStages(),
+        fitMethod: t0FitMethodSelect ? t0FitMethodSelect.value : 'poly',
+        useAlpha: !!(siiAlphaToggle && siiAlphaToggle.checked)
+      });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      const prefix = err.stage !== undefined ? `${err.stage + 1}단: ` : '';
+      alert(prefix + (CALC_ERROR_MESSAGES[err.code] || err.message));
+      return;
+    }
+    renderCascadeResults(res);
+  });
+}
+
+renderCascadeStages();
+
+// =====================
+// Inverse design (target MAS/MWY -> operating condition)
+// =====================
+const inverseTargetKind = document.getElementById('inverseTargetKind');
+const inverseTargetValue = document.getElementById('inverseTargetValue');
+const inverseFixedKind = document.getElementById('inverseFixedKind');
+const inverseFixedValue = document.getElementById('inverseFixedValue');
+const inverseSolveBtn = document.getElementById('inverseSolveBtn');
+const inverseApplyBtn = document.getElementById('inverseApplyBtn');
+const inverseResult = document.getElementById('inverseResult');
+let lastInverseSolution = null;
+
+const INVERSE_REASON_MESSAGES = {
+  'not-above-feed': '목표가 공급수 상태 이하입니다. MAS는 초기 염도보다, MWY는 0보다 커야 합니다.',
+  'beyond-limit': '목표를 만족하려면 액상의 물이 남지 않아야 하므로 도달할 수 없습니다.',
+  'temperature': '이 형성 온도에서는 목표 농도의 평형이 존재하지 않습니다. 더 낮은 온도를 입력하세요.',
+  'pressure-range': '필요한 순수 평형 온도가 선택한 기체의 P–T 데이터 범위를 벗어납니다.',
+  'saturation': '형성 온도에서 목표 농도가 염의 용해도를 넘어 염이 석출됩니다.',
+  'ice': '형성 온도가 농축 염수의 어는점보다 낮아 얼음이 먼저 생깁니다.'
+};
+
+function solveInverse() {
+  const gasKey = gasSelect.value;
+  return HLSCore.solveOperatingConditions({
+    gas: gasKey,
+    customGas: gasKey === 'Custom' ? readCustomGas() : undefined,
+    gasMixture: gasKey === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+    salt: saltSelect.value,
+    brine: saltSelect.value === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+    inhibitor: readInhibitor(),
+    salinity: parseFloat(salinityInput.value),
+    target: { kind: inverseTargetKind.value, value: parseFloat(inverseTargetValue.value) },
+    fixed: { kind: inverseFixedKind.value, value: parseFloat(inverseFixedValue.value) },
+    fitMethod: t0FitMethodSelect ? t0FitMethodSelect.value : 'poly',
+    useAlpha: !!(siiAlphaToggle && siiAlphaToggle.checked)
+  });
+}
+
+if (inverseFixedKind) {
+  inverseFixedKind.addEventListener('change', () => {
+    inverseFixedValue.value = inverseFixedKind.value === 'pressure' ? (pressureInput.value || '5') : '275';
+  });
+}
+if (inverseSolveBtn) {
+  inverseSolveBtn.addEventListener('click', () => {
+    let sol;
+    try {
+      sol = solveInverse();
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert(CALC_ERROR_MESSAGES[err.code] || err.message);
+      return;
+    }
+    lastInverseSolution = sol.reachable ? sol : null;
+    if (inverseApplyBtn) inverseApplyBtn.classList.toggle('hidden', !sol.reachable);
+    if (!sol.reachable) {
+      let detail = '';
+      if (sol.reason === 'saturation') detail = ` (형성 온도 ${sol.formationTemperature.toFixed(2)} K, 용해도 ${sol.solubility.toFixed(2)} wt%)`;
+      if (sol.reason === 'ice') detail = ` (형성 온도 ${sol.formationTemperature.toFixed(2)} K, 어는점 ${sol.brineFreezing.toFixed(2)} K)`;
+      inverseResult.textContent = `⚠ 도달 불가: ${INVERSE_REASON_MESSAGES[sol.reason] || sol.reason}${detail}`;
+      return;
+    }
+    inverseResult.textContent = [
+      `압력 ${sol.pressure.toFixed(3)} MPa`,
+      `형성 온도 ${sol.formationTemperature.toFixed(2)} K`,
+      `추가 과냉각도 ${sol.dTExtra.toFixed(2)} K (총 ${sol.dTTotal.toFixed(2)} K, T₀ ${sol.T0.toFixed(2)} K)`,
+      `MAS ${sol.mas.toFixed(2)} wt% · MWY ${sol.mwy.toFixed(2)} %`
+    ].join(' · ');
+  });
+}
+if (inverseApplyBtn) {
+  // Run the forward calculation up to the solved supercooling
+  inverseApplyBtn.addEventListener('click', () => {
+    if (!lastInverseSolution) return;
+    if (gasSelect.value !== 'CP') pressureInput.value = String(parseFloat(lastInverseSolution.pressure.toFixed(4)));
+    const dTExtra = parseFloat(lastInverseSolution.dTExtra.toFixed(4));
+    dTmaxInput.value = String(dTExtra);
+    if (!(parseFloat(dTminInput.value) < dTExtra)) dTminInput.value = '0';
+    calculateBtn.click();
+  });
+}
+
+// =====================
+// Pressure sweep (fixed formation temperature)
+// =====================
+const sweepTformInput = document.getElementById('sweepTform');
+const sweepPMinInput = document.getElementById('sweepPMin');
+const sweepPMaxInput = document.getElementById('sweepPMax');
+const sweepPointsInput = document.getElementById('sweepPoints');
+const sweepRunBtn = document.getElementById('sweepRunBtn');
+const sweepCsvBtn = document.getElementById('sweepCsvBtn');
+const sweepSummary = document.getElementById('sweepSummary');
+let currentSweepData = null;
+
+// Empty bound inputs fall back to the gas's P–T data range
+function readOptionalNumber(input) {
+  const text = (input?.value || '').trim();
+  return text === '' ? undefined : parseFloat(text);
+}
+
+function renderSweepCharts(res) {
+  const ChartLib = window.Chart;
+  destroyIfExists(sweepChart);
+  destroyIfExists(sweepT0Chart);
+  if (!ChartLib) return;
+  const toPoints = (values) => res.pressures.map((P, i) => ({ x: P, y: values[i] }));
+  const baseOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: { duration: 0 },
+    transitions: { active: { animation: { duration: 0 } } },
+    elements: { point: { radius: 0, hoverRadius: 2, hitRadius: 6 } },
+    plugins: { tooltip: { mode: 'nearest', intersect: false, animation: { duration: 0 } } }
+  };
+  const c1 = document.getElementById('sweepChart');
+  if (c1) {
+    sweepChart = new ChartLib(c1.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: [
+          { label: 'MWY (%)', data: toPoints(res.mwyValues), borderColor: '#2563eb', backgroundColor: 'rgba(37,99,235,0.1)', yAxisID: 'y', tension: 0.2 },
+          { label: 'MAS (wt%)', data: toPoints(res.masValues), borderColor: '#ea580c', backgroundColor: 'rgba(234,88,12,0.1)', yAxisID: 'y1', tension: 0.2 }
+        ]
+      },
+      options: {
+        ...baseOptions,
+        scales: {
+          x: { type: 'linear', title: { display: true, text: '압력 (MPa)' } },
+          y: { type: 'linear', position: 'left', min: 0, max: 100, title: { display: true, text: 'MWY (%)' } },
+          y1: { type: 'linear', position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'MAS (wt%)' } }
+        }
+      }
+    });
+  }
+  const c2 = document.getElementById('sweepT0Chart');
+  if (c2) {
+    sweepT0Chart = new ChartLib(c2.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: [
+          { label: 'T₀ (순수)', data: toPoints(res.T0Values), borderColor: '#2563eb', tension: 0.2 },
+          { label: '공급수 평형 온도', data: toPoints(res.T0Values.map((T0, i) => T0 - res.dTInitValues[i])), borderColor: '#16a34a', tension: 0.2 },
+          { label: '형성 온도', data: toPoints(res.pressures.map(() => res.formationTemperature)), borderColor: '#dc2626', borderDash: [6, 4] }
+        ]
+      },
+      options: {
+        ...baseOptions,
+        scales: {
+          x: { type: 'linear', title: { display: true, text: '압력 (MPa)' } },
+          y: { type: 'linear', title: { display: true, text: '온도 (K)' } }
+        }
+      }
+    });
+  }
+}
+
+if (sweepRunBtn) {
+  sweepRunBtn.addEventListener('click', () => {
+    const gasKey = gasSelect.value;
+    let res;
+    try {
+      res = HLSCore.pressureSweep({
+        gas: gasKey,
+        customGas: gasKey === 'Custom' ? readCustomGas() : undefined,
+        gasMixture: gasKey === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+        salt: saltSelect.value,
+        brine: saltSelect.value === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+        inhibitor: readInhibitor(),
+        salinity: parseFloat(salinityInput.value),
+        formationTemperature: parseFloat(sweepTformInput.value),
+        pMin: readOptionalNumber(sweepPMinInput),
+        pMax: readOptionalNumber(sweepPMaxInput),
+        nPoints: Math.max(2, Math.min(500, parseInt(sweepPointsInput.value, 10) || 50)),
+        fitMethod: t0FitMethodSelect ? t0FitMethodSelect.value : 'poly',
+        useAlpha: !!(siiAlphaToggle && siiAlphaToggle.checked)
+      });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert(gasKey === 'CP' ? 'CP는 대기압(0.1 MPa)에서만 고려하므로 압력 스윕을 할 수 없습니다.' : (CALC_ERROR_MESSAGES[err.code] || err.message));
+      return;
+    }
+    currentSweepData = res;
+    if (sweepCsvBtn) sweepCsvBtn.disabled = false;
+    const formingIdx = res.mwyValues.findIndex((v) => v > 0);
+    sweepSummary.textContent = formingIdx < 0
+      ? `${res.pMin.toFixed(2)}–${res.pMax.toFixed(2)} MPa 범위에서 ${res.formationTemperature} K의 공급수는 하이드레이트를 형성하지 않습니다.`
+      : `형성 시작 압력 ≈ ${res.pressures[formingIdx].toFixed(3)} MPa · 최고 압력에서 MAS ${res.masValues[res.masValues.length - 1].toFixed(2)} wt%, MWY ${res.mwyValues[res.mwyValues.length - 1].toFixed(2)} %`;
+    if (res.saturatedFlags.some(Boolean)) {
+      sweepSummary.textContent += ` ⚠ ${res.saturatedFlags.filter(Boolean).length}개 압력에서 염이 용해도(${res.solubility.toFixed(2)} wt%)에 도달해 MAS를 제한했습니다.`;
+    }
+    if (res.iceFlags.some(Boolean)) {
+      sweepSummary.textContent += ` ⚠ ${res.iceFlags.filter(Boolean).length}개 압력에서 형성 온도가 염수 어는점보다 낮아 얼음이 먼저 생깁니다.`;
+    }
+    renderSweepCharts(res);
+  });
+}
+if (sweepCsvBtn) {
+  sweepCsvBtn.addEventListener('click', () => {
+    if (!currentSweepData) return;
+    const { gasKey, saltKey, initialSalinity, formationTemperature, pressures, T0Values, dTInitValues, dTTotalValues, masValues, mwyValues, saturatedFlags, iceFlags } = currentSweepData;
+    let csvContent = "data:text/csv;charset=utf-8,";
+    if (currentSweepData.t0Warning) csvContent += `# 경고: ${describeT0Warning(currentSweepData.t0Warning, gasKey)}\n`;
+    csvContent += "압력 (MPa),T0 (K),초기 염도 평형 과냉각도 (K),가용 과냉각도 T0-T (K),최대 달성 염도 (wt%),최대 물 전환율 (%),염 포화,얼음 형성\n";
+    for (let i = 0; i < pressures.length; i++) {
+      csvContent += `${pressures[i]},${T0Values[i]},${dTInitValues[i]},${dTTotalValues[i]},${masValues[i]},${mwyValues[i]},${saturatedFlags[i] ? '예' : ''},${iceFlags[i] ? '예' : ''}\n`;
+    }
+    const link = document.createElement("a");
+    link.setAttribute("href", encodeURI(csvContent).replace(/#/g, "%23"));
+    link.setAttribute("download", `HLS_압력스윕_${gasKey}_${saltKey}_${initialSalinity}wt_${formationTemperature}K.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  });
+}
+
+// =====================
+// Closed reactor (batch autoclave, falling pressure)
+// =====================
+const reactorVolumeInput = document.getElementById('reactorVolume');
+const reactorBrineMassInput = document.getElementById('reactorBrineMass');
+const reactorPressureInput = document.getElementById('reactorPressure');
+const reactorTiInput = document.getElementById('reactorTi');
+const reactorTfInput = document.getElementById('reactorTf');
+const reactorRunBtn = document.getElementById('reactorRunBtn');
+const reactorCsvBtn = document.getElementById('reactorCsvBtn');
+const reactorWarning = document.getElementById('reactorWarning');
+const reactorResults = document.getElementById('reactorResults');
+let currentReactorData = null;
+
+function renderReactorChart(res) {
+  const ChartLib = window.Chart;
+  destroyIfExists(reactorChart);
+  const canvas = document.getElementById('reactorChart');
+  if (!ChartLib || !canvas) return;
+  let curves = { pureCurve: [], initCurve: [], masCurve: [] };
+  try {
+    curves = HLSCore.equilibriumCurves(getGasObject(res.gasKey), res.beta, res.lnawInit, res.finalLnaw);
+  } catch (_) { /* keep the path only */ }
+  const toXY = (pts) => pts.map((p) => ({ x: p.T, y: p.P }));
+  const cooling = res.path.filter((p) => p.stage === 'cooling');
+  const formation = res.path.filter((p) => p.stage === 'formation');
+  const last = res.path[res.path.length - 1];
+  reactorChart = new ChartLib(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: [
+        { label: 'T₀ (순수)', data: curves.pureCurve, borderColor: '#2563eb', tension: 0.2 },
+        { label: '공급수 평형', data: curves.initCurve, borderColor: '#16a34a', tension: 0.2 },
+        ...(res.noHydrate ? [] : [{ label: '최종 염수 평형', data: curves.masCurve, borderColor: '#ea580c', borderDash: [6, 4], tension: 0.2 }]),
+        { label: '냉각 (하이드레이트 없음)', data: toXY(cooling), borderColor: '#6b7280', borderDash: [3, 3] },
+        ...(formation.length ? [{ label: '형성 (압력 강하)', data: toXY([cooling[cooling.length - 1], ...formation]), borderColor: '#dc2626', borderWidth: 3 }] : []),
+        { label: '최종 상태', data: [{ x: last.T, y: last.P }], type: 'scatter', pointRadius: 6, borderColor: '#dc2626', backgroundColor: '#dc2626' }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 0 },
+      elements: { point: { radius: 0, hoverRadius: 2, hitRadius: 6 } },
+      plugins: {
+        tooltip: {
+          mode: 'nearest',
+          intersect: false,
+          callbacks: { label: (ctx) => `${ctx.dataset.label}: ${ctx.parsed.x.toFixed(2)} K, ${ctx.parsed.y.toFixed(3)} MPa` }
+        }
+      },
+      scales: {
+        x: { type: 'linear', title: { display: true, text: '온도 (K)' } },
+        y: { type: 'linear', title: { display: true, text: '압력 (MPa)' } }
+      }
+    }
+  });
+}
+
+function renderReactorResult(res) {
+  const gasLabel = GAS_LABELS[res.gasKey] || res.gasKey;
+  const warnings = [];
+  if (res.condensation) warnings.push(`${gasLabel}이(가) 이 압력·온도에서 응축되므로 기상 Peng–Robinson 계산이 유효하지 않습니다. 충전 압력을 낮추거나 형성 온도를 높여 주세요.`);
+  if (res.ice) warnings.push(`형성 온도 ${res.formationTemperature} K가 최종 염수의 어는점보다 낮아 얼음이 먼저 생깁니다.`);
+  if (res.saturated) warnings.push(`최종 염수가 염 용해도(${res.solubility.toFixed(1)} wt%)에 도달해 MAS를 용해도로 제한했습니다. ${getSaltLabel(res.saltKey)} ${res.precipitatedSalt.toFixed(2)} g 석출 (제한 전 MAS ${res.masUncapped.toFixed(2)} wt%).`);
+  if (res.t0Warning) warnings.push(describeT0Warning({ ...res.t0Warning, pressure: Number(res.t0Warning.pressure.toFixed(3)) }, res.gasKey));
+  reactorWarning.textContent = warnings.map((w) => `⚠ ${w}`).join(' ');
+  reactorWarning.classList.toggle('hidden', !warnings.length);
+  reactorResults.classList.remove('hidden');
+  document.getElementById('reactorFinalP').textContent = `${res.finalPressure.toFixed(3)} MPa`;
+  document.getElementById('reactorMas').textContent = `${res.mas.toFixed(2)} wt%`;
+  document.getElementById('reactorMwy').textContent = `${res.mwy.toFixed(2)} %`;
+  document.getElementById('reactorGas').textContent = `${res.gasConsumed.toFixed(3)} mol`;
+  const note = document.getElementById('reactorNote');
+  if (res.noHydrate) {
+    note.textContent = `충전 ${res.initialPressure} MPa → 냉각 후 ${res.cooledPressure.toFixed(3)} MPa: ${res.formationTemperature} K에서 공급수 평형 압력보다 낮아 하이드레이트가 형성되지 않습니다.`;
+    return;
+  }
+  note.textContent = `충전 ${res.initialPressure} MPa (Z = ${res.initialZ.toFixed(3)}, ${res.initialMoles.toFixed(3)} mol) → 냉각 후 ${res.cooledPressure.toFixed(3)} MPa → 최종 ${res.finalPressure.toFixed(3)} MPa (T₀ = ${res.finalT0.toFixed(2)} K, Z = ${res.finalZ.toFixed(3)}). `
+    + `충전 기체의 ${(res.gasConsumed / res.initialMoles * 100).toFixed(1)} % (${res.gasConsumedMass.toFixed(2)} g) 소비, 하이드레이트 ${res.hydrateMass.toFixed(1)} g (물 ${res.waterInHydrate.toFixed(1)} g, ρ ≈ ${res.hydrateDensity.toFixed(3)} g/cm³), 헤드스페이스 ${res.headspaceInitial.toFixed(3)} → ${res.headspaceFinal.toFixed(3)} L. `
+    + `압력을 ${res.open.pressure.toFixed(3)} MPa로 유지하는 개방계라면 MAS ${res.open.mas.toFixed(2)} wt%, MWY ${res.open.mwy.toFixed(2)} %입니다.`;
+}
+
+if (reactorRunBtn) {
+  reactorRunBtn.addEventListener('click', () => {
+    const gasKey = gasSelect.value;
+    const keys = gasKey === GAS_MIXTURE_KEY ? Object.keys(readGasMixture().components) : [gasKey];
+    if (!keys.length || !keys.every((k) => HLSCore.gasData[k]?.critical)) {
+      alert('회분식 반응기 모드는 임계 상수가 있는 기체(CH₄, C₂H₆, C₃H₈, CO₂와 그 혼합 기체)만 지원합니다.');
+      return;
+    }
+    let res;
+    try {
+      res = HLSCore.simulateClosedReactor({
+        gas: gasKey,
+        gasMixture: gasKey === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+        salt: saltSelect.value,
+        brine: saltSelect.value === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+        inhibitor: readInhibitor(),
+        salinity: parseFloat(salinityInput.value),
+        volume: parseFloat(reactorVolumeInput.value),
+        brineMass: parseFloat(reactorBrineMassInput.value),
+        initialPressure: parseFloat(reactorPressureInput.value),
+        initialTemperature: parseFloat(reactorTiInput.value),
+        formationTemperature: readOptionalNumber(reactorTfInput),
+        fitMethod: t0FitMethodSelect ? t0FitMethodSelect.value : 'poly',
+        useAlpha: !!(siiAlphaToggle && siiAlphaToggle.checked),
+        hydrationNumber: readOptionalNumber(hydrationNumberInput)
+      });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert(/headspace/.test(err.message) ? '염수 부피가 반응기 부피보다 큽니다. 반응기 부피나 염수 질량을 확인해 주세요.' : (CALC_ERROR_MESSAGES[err.code] || err.message));
+      return;
+    }
+    currentReactorData = res;
+    if (reactorCsvBtn) reactorCsvBtn.disabled = false;
+    renderReactorResult(res);
+    renderReactorChart(res);
+  });
+}
+if (reactorCsvBtn) {
+  reactorCsvBtn.addEventListener('click', () => {
+    const res = currentReactorData;
+    if (!res) return;
+    let csvContent = "data:text/csv;charset=utf-8,";
+    csvContent += `# 반응기 ${res.volume} L · 염수 ${res.brineMass} g · 충전 ${res.initialPressure} MPa/${res.initialTemperature} K · 형성 ${res.formationTemperature} K\n`;
+    csvContent += `# 냉각 후 압력 ${res.cooledPressure} MPa · 최종 압력 ${res.finalPressure} MPa · MAS ${res.mas} wt% · MWY ${res.mwy} % · 소비 기체 ${res.gasConsumed} mol\n`;
+    if (res.condensation) csvContent += "# 경고: 기체 응축 조건\n";
+    csvContent += "단계,온도 (K),압력 (MPa),최대 달성 염도 (wt%),최대 물 전환율 (%)\n";
+    res.path.forEach((p) => {
+      csvContent += `${p.stage === 'cooling' ? '냉각' : '형성'},${p.T},${p.P},${p.mas},${p.mwy}\n`;
+    });
+    const link = document.createElement("a");
+    link.setAttribute("href", encodeURI(csvContent).replace(/#/g, "%23"));
+    link.setAttribute("download", `HLS_반응기_${res.gasKey}_${res.saltKey}_${res.initialSalinity}wt_${res.initialPressure}MPa.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  });
+}
+
+// =====================
+// Multi-gas comparison (same brine and conditions)
+// =====================
+const compareGasList = document.getElementById('compareGasList');
+const compareTformInput = document.getElementById('compareTform');
+const compareRunBtn = document.getElementById('compareRunBtn');
+const compareCsvBtn = document.getElementById('compareCsvBtn');
+const compareTableBody = document.getElementById('compareTableBody');
+let compareMwyChart;
+let compareCurveChart;
+let currentComparison = null;
+// Checked gases and their pressure overrides (empty = median of the gas data)
+const compareSelection = {
+  CH4: { on: true, pressure: '' },
+  CO2: { on: true, pressure: '' },
+  C3H8: { on: true, pressure: '' }
+};
+// Line colours for overlaid series, in order
+const SERIES_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+const PRESSURE_SOURCE_LABELS = { given: '지정', median: '중앙값', solved: '계산', fixed: '고정' };
+
+function readCompareBasis() {
+  const checked = document.querySelector('input[name="compareBasis"]:checked');
+  return checked ? checked.value : 'pressure';
+}
+
+function renderCompareGasList() {
+  if (!compareGasList) return;
+  const byTemperature = readCompareBasis() === 'temperature';
+  compareGasList.innerHTML = Array.from(gasSelect.options).map((o) => {
+    const key = o.value;
+    const sel = compareSelection[key] || {};
+    const isCP = key === 'CP';
+    const pList = getGasDataPoints(key).map((p) => p[1]).filter((v) => isFinite(v));
+    const hint = pList.length ? `중앙값 ${median(pList).toFixed(3)}` : '압력';
+    return `<div class="flex items-center gap-2 border rounded p-2 bg-gray-50">
+      <label class="inline-flex items-center gap-2 flex-1">
+        <input type="checkbox" data-compare-gas="${escapeHtml(key)}"${sel.on ? ' checked' : ''} />
+        ${escapeHtml(o.textContent)}
+      </label>
+      <input type="number" step="0.01" min="0" data-compare-pressure="${escapeHtml(key)}" value="${isCP ? '0.1' : escapeHtml(sel.pressure || '')}" placeholder="${hint}" title="압력 (MPa)" ${isCP || byTemperature ? 'disabled' : ''} class="w-32 border rounded p-1" />
+    </div>`;
+  }).join('');
+}
+
+if (compareGasList) {
+  compareGasList.addEventListener('change', (e) => {
+    const t = e.target;
+    const key = t.dataset.compareGas || t.dataset.comparePressure;
+    if (!key) return;
+    const sel = compareSelection[key] || (compareSelection[key] = { on: false, pressure: '' });
+    if (t.dataset.compareGas) sel.on = t.checked;
+    else sel.pressure = t.value;
+  });
+}
+document.querySelectorAll('input[name="compareBasis"]').forEach((r) => {
+  r.addEventListener('change', () => {
+    const byTemperature = readCompareBasis() === 'temperature';
+    if (compareTformInput) compareTformInput.disabled = !byTemperature;
+    compareGasList?.querySelectorAll('[data-compare-pressure]').forEach((input) => {
+      input.disabled = byTemperature || input.dataset.comparePressure === 'CP';
+    });
+  });
+});
+
+function describeCompareError(entry) {
+  const { code, reason, message, T0 } = entry.error;
+  if (entry.gasKey === 'CP') return 'CP는 0.1 MPa에서만 고려하므로 공통 형성 온도 비교에서 제외됩니다.';
+  if (reason === 'pressure-range') return `필요한 T₀ = ${T0.toFixed(2)} K가 평형 데이터 범위 밖입니다.`;
+  return CALC_ERROR_MESSAGES[code] || message;
+}
+
+function renderComparison(cmp) {
+  const fmt = (v, d) => (isFinite(v) ? v.toFixed(d) : '–');
+  compareTableBody.innerHTML = cmp.entries.map((entry) => {
+    const label = escapeHtml(GAS_LABELS[entry.gasKey] || entry.gasKey);
+    if (entry.error) {
+      return `<tr class="border-b"><td class="p-2">${label}</td><td class="p-2 text-red-700" colspan="7">${escapeHtml(describeCompareError(entry))}</td></tr>`;
+    }
+    const r = entry.result;
+    const warn = r.t0Warning ? ` <span title="${escapeHtml(describeT0Warning(r.t0Warning, entry.gasKey))}">⚠</span>` : '';
+    return `<tr class="border-b">
+      <td class="p-2">${label}</td>
+      <td class="p-2">${entry.structure || ''}</td>
+      <td class="p-2 text-right">${fmt(r.beta * 1e3, 4)}</td>
+      <td class="p-2 text-right">${fmt(entry.pressure, 3)} <span class="text-xs text-gray-500">(${PRESSURE_SOURCE_LABELS[entry.pressureSource]})</span>${warn}</td>
+      <td class="p-2 text-right">${fmt(r.T0_op, 2)}</td>
+      <td class="p-2 text-right">${fmt(r.tmaxValues[r.tmaxValues.length - 1], 2)}</td>
+      <td class="p-2 text-right">${fmt(r.masMax, 2)}</td>
+      <td class="p-2 text-right">${fmt(r.mwyMax, 2)}</td>
+    </tr>`;
+  }).join('');
+
+  const ChartLib = window.Chart;
+  destroyIfExists(compareMwyChart);
+  destroyIfExists(compareCurveChart);
+  if (!ChartLib) return;
+  const ok = cmp.entries.filter((entry) => entry.result);
+  const colorOf = (i) => SERIES_COLORS[i % SERIES_COLORS.length];
+  const baseOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: { duration: 0 },
+    elements: { point: { radius: 0, hoverRadius: 2, hitRadius: 6 } },
+    plugins: { tooltip: { mode: 'nearest', intersect: false } }
+  };
+  const c1 = document.getElementById('compareMwyChart');
+  if (c1) {
+    compareMwyChart = new ChartLib(c1.getContext('2d'), {
+      type: 'line',
+      data: {
+        datasets: ok.map((entry, i) => ({
+          label: `${GAS_LABELS[entry.gasKey] || entry.gasKey} (${entry.pressure.toFixed(2)} MPa)`,
+          data: entry.result.dTRange.map((dT, j) => ({ x: dT, y: entry.result.mwyValues[j] })),
+          borderColor: colorOf(i),
+          tension: 0.2
+        }))
+      },
+      options: {
+        ...baseOptions,
+        scales: {
+          x: { type: 'linear', title: { display: true, text: '추가 과냉각도 (K)' } },
+          y: { type: 'linear', min: 0, max: 100, title: { display: true, text: 'MWY (%)' } }
+        }
+      }
+    });
+  }
+  const c2 = document.getElementById('compareCurveChart');
+  if (c2) {
+    const datasets = [];
+    ok.forEach((entry, i) => {
+      const r = entry.result;
+      const label = GAS_LABELS[entry.gasKey] || entry.gasKey;
+      const curves = HLSCore.equilibriumCurves(entry.gas, r.beta, r.lnawInit, r.lnawValues[r.lnawValues.length - 1]);
+      datasets.push({ label: `${label} 순수`, data: curves.pureCurve, borderColor: colorOf(i), tension: 0.2 });
+      datasets.push({ label: `${label} MAS 염수`, data: curves.masCurve, borderColor: colorOf(i), borderDash: [6, 4], tension: 0.2 });
+    });
+    datasets.push({
+      label: '운전점 (최대 과냉각도)',
+      type: 'scatter',
+      data: ok.map((entry) => ({ x: entry.result.tmaxValues[entry.result.tmaxValues.length - 1], y: entry.pressure })),
+      pointRadius: 5,
+      pointBackgroundColor: ok.map((_, i) => colorOf(i)),
+      borderColor: '#111827'
+    });
+    compareCurveChart = new ChartLib(c2.getContext('2d'), {
+      type: 'line',
+      data: { datasets },
+      options: {
+        ...baseOptions,
+        scales: {
+          x: { type: 'linear', title: { display: true, text: '온도 (K)' } },
+          y: { type: 'linear', title: { display: true, text: '압력 (MPa)' } }
+        }
+      }
+    });
+  }
+}
+
+if (compareRunBtn) {
+  compareRunBtn.addEventListener('click', () => {
+    const keys = Array.from(gasSelect.options).map((o) => o.value).filter((k) => compareSelection[k]?.on);
+    if (!keys.length) {
+      alert('비교할 기체를 하나 이상 선택해 주세요.');
+      return;
+    }
+    const basis = readCompareBasis();
+    let cmp;
+    try {
+      cmp = HLSCore.compareGases({
+        gases: keys.map((k) => ({
+          gas: k,
+          customGas: k === 'Custom' ? readCustomGas() : undefined,
+          gasMixture: k === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+          pressure: parseFloat(compareSelection[k].pressure) || undefined
+        })),
+        basis,
+        formationTemperature: parseFloat(compareTformInput.value),
+        salt: saltSelect.value,
+        brine: saltSelect.value === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+        inhibitor: readInhibitor(),
+        salinity: parseFloat(salinityInput.value),
+        dTmin: parseFloat(dTminInput.value),
+        dTmax: parseFloat(dTmaxInput.value),
+        fitMethod: t0FitMethodSelect ? t0FitMethodSelect.value : 'poly',
+        useAlpha: !!(siiAlphaToggle && siiAlphaToggle.checked)
+      });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert(CALC_ERROR_MESSAGES[err.code] || err.message);
+      return;
+    }
+    // Gas objects for the structure column and the equilibrium curves
+    cmp.entries.forEach((entry) => {
+      if (!entry.result) return;
+      try { entry.gas = getGasObject(entry.gasKey); } catch (_) { entry.gas = null; }
+      entry.structure = entry.gas ? entry.gas.structure : '';
+    });
+    currentComparison = cmp;
+    if (compareCsvBtn) compareCsvBtn.disabled = false;
+    renderComparison(cmp);
+  });
+}
+if (compareCsvBtn) {
+  compareCsvBtn.addEventListener('click', () => {
+    const cmp = currentComparison;
+    if (!cmp) return;
+    let csvContent = "data:text/csv;charset=utf-8,";
+    csvContent += `# 염수: ${saltSelect.value} ${salinityInput.value} wt% · 기준: ${cmp.basis === 'temperature' ? `공통 형성 온도 ${cmp.formationTemperature} K` : '기체별 압력'}\n`;
+    csvContent += "기체,구조,β (×10⁻³ 1/K),압력 (MPa),압력 기준,T0 (K),형성 온도 (K),최대 달성 염도 (wt%),최대 물 전환율 (%),비고\n";
+    cmp.entries.forEach((entry) => {
+      if (entry.error) {
+        csvContent += `${entry.gasKey},,,,,,,,,"${describeCompareError(entry).replace(/"/g, '""')}"\n`;
+        return;
+      }
+      const r = entry.result;
+      csvContent += `${entry.gasKey},${entry.structure},${r.beta * 1e3},${entry.pressure},${PRESSURE_SOURCE_LABELS[entry.pressureSource]},${r.T0_op},${r.tmaxValues[r.tmaxValues.length - 1]},${r.masMax},${r.mwyMax},${r.t0Warning ? '데이터 범위 밖' : ''}\n`;
+    });
+    csvContent += "\n추가 과냉각도 (K)," + cmp.entries.filter((e) => e.result).map((e) => `MWY ${e.gasKey} (%)`).join(',') + "\n";
+    const ok = cmp.entries.filter((e) => e.result);
+    if (ok.length) {
+      ok[0].result.dTRange.forEach((dT, j) => {
+        csvContent += `${dT},${ok.map((e) => e.result.mwyValues[j] ?? '').join(',')}\n`;
+      });
+    }
+    const link = document.createElement("a");
+    link.setAttribute("href", encodeURI(csvContent).replace(/#/g, "%23"));
+    link.setAttribute("download", `HLS_기체비교_${saltSelect.value}_${salinityInput.value}wt.csv`);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  });
+}
+
+renderCompareGasList();
+
+// =====================
+// Local sensitivity (tornado chart)
+// =====================
+const sensitivityDeltaInput = document.getElementById('sensitivityDelta');
+const sensitivityMetricSelect = document.getElementById('sensitivityMetric');
+const sensitivityBtn = document.getElementById('sensitivityBtn');
+const sensitivityOutput = document.getElementById('sensitivityOutput');
+const sensitivityTable = document.getElementById('sensitivityTable');
+let currentSensitivity = null;
+
+const SENSITIVITY_LABELS = {
+  salinity: '초기 염도',
+  pressure: '압력',
+  supercooling: '추가 과냉각도',
+  betaX: 'nR/ΔH_d (β)',
+  B1: 'B₁',
+  B2: 'B₂',
+  B3: 'B₃',
+  alphaSII: 'sII 보정 α (켜기/끄기)',
+  fitMethod: 'T₀ 보간법 전환'
+};
+
+function sensitivityLabel(f) {
+  const label = SENSITIVITY_LABELS[f.key] || f.key;
+  return f.method ? `${label} → ${FIT_METHOD_LABELS[f.method] || f.method}` : label;
+}
+
+function renderTornado() {
+  const res = currentSensitivity;
+  if (!res) return;
+  const metric = sensitivityMetricSelect ? sensitivityMetricSelect.value : 'mwy';
+  const y0 = res.base[metric];
+  const pct = (v) => (v ? ((v[metric] - y0) / y0) * 100 : 0);
+  const ChartLib = window.Chart;
+  destroyIfExists(tornadoChart);
+  const canvas = document.getElementById('tornadoChart');
+  if (!canvas || !ChartLib) return;
+  const labels = res.factors.map(sensitivityLabel);
+  tornadoChart = new ChartLib(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        { label: `−${(res.delta * 100).toFixed(0)}%`, data: res.factors.map((f) => (f.kind === 'switch' ? 0 : pct(f.low))), backgroundColor: 'rgba(37,99,235,0.7)', grouped: false },
+        { label: `+${(res.delta * 100).toFixed(0)}% / 전환`, data: res.factors.map((f) => pct(f.high)), backgroundColor: 'rgba(234,88,12,0.7)', grouped: false }
+      ]
+    },
+    options: {
+      indexAxis: 'y',
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { title: { display: true, text: `${metric.toUpperCase()} 변화율 (%)` } }
+      },
+      plugins: { legend: { display: true } },
+      animation: { duration: 0 }
+    }
+  });
+}
+
+function renderSensitivityTable() {
+  const res = currentSensitivity;
+  if (!res || !sensitivityTable) return;
+  const pair = (f, m, digits) => [f.low, f.high]
+    .map((v) => (v ? v[m].toFixed(digits) : '–')).join(' / ');
+  const el = (f, m) => (f.elasticity && f.elasticity[m] !== null ? f.elasticity[m].toFixed(3) : '–');
+  sensitivityTable.innerHTML = res.factors.map((f) => `<tr>
+      <td class="p-2 border">${sensitivityLabel(f)}</td>
+      <td class="p-2 border text-right">${pair(f, 'mas', 2)}</td>
+      <td class="p-2 border text-right">${pair(f, 'mwy', 2)}</td>
+      <td class="p-2 border text-right">${el(f, 'mas')}</td>
+      <td class="p-2 border text-right">${el(f, 'mwy')}</td>
+    </tr>`).join('');
+}
+
+if (sensitivityBtn) {
+  sensitivityBtn.addEventListener('click', () => {
+    if (!currentCalculationInputs) {
+      alert('먼저 계산을 실행해 주세요.');
+      return;
+    }
+    try {
+      currentSensitivity = HLSCore.sensitivity(currentCalculationInputs, {
+        delta: (parseFloat(sensitivityDeltaInput?.value) || 5) / 100
+      });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert(CALC_ERROR_MESSAGES[err.code] || err.message);
+      return;
+    }
+    if (sensitivityOutput) sensitivityOutput.classList.remove('hidden');
+    renderSensitivityTable();
+    renderTornado();
+  });
+}
+if (sensitivityMetricSelect) sensitivityMetricSelect.addEventListener('change', renderTornado);
+
+// =====================
+// T₀(P) fit diagnostics
+// =====================
+const fitDiagGasSelect = document.getElementById('fitDiagGas');
+const fitDiagTable = document.getElementById('fitDiagTable');
+const fitDiagRange = document.getElementById('fitDiagRange');
+const FIT_METHOD_LABELS = { poly: '3차 다항식', spline: '단조 3차 스플라인', clapeyron: 'ln P – 1/T 직선' };
+
+function fillFitDiagGases() {
+  if (!fitDiagGasSelect) return;
+  const current = fitDiagGasSelect.value;
+  const keys = Object.keys(gasData).filter((k) => gasData[k].data).concat([GAS_MIXTURE_KEY, 'Custom']);
+  fitDiagGasSelect.innerHTML = keys.map((k) => `<option value="${k}">${GAS_LABELS[k] || k}</option>`).join('');
+  fitDiagGasSelect.value = keys.includes(current) ? current : keys[0];
+}
+
+function renderFitDiagnostics() {
+  if (!fitDiagGasSelect || !fitDiagTable) return;
+  const gasKey = fitDiagGasSelect.value;
+  let diags = [];
+  try {
+    const def = readGasDefinition(gasKey);
+    diags = Object.keys(FIT_METHOD_LABELS).map((m) => HLSCore.t0FitDiagnostics(gasKey, m, def)).filter(Boolean);
+  } catch (_) {
+    diags = [];
+  }
+  destroyIfExists(fitResidualChart);
+  if (!diags.length) {
+    fitDiagTable.innerHTML = '<tr><td class="p-2 border text-gray-500" colspan="6">P–T 데이터가 2점 이상 필요합니다.</td></tr>';
+    if (fitDiagRange) fitDiagRange.textContent = '';
+    return;
+  }
+  fitDiagTable.innerHTML = diags.map((d) => `<tr>
+      <td class="p-2 border">${FIT_METHOD_LABELS[d.method]}</td>
+      <td class="p-2 border text-right">${d.n}</td>
+      <td class="p-2 border text-right">${d.r2.toFixed(5)}</td>
+      <td class="p-2 border text-right">${d.rmse.toFixed(3)}</td>
+      <td class="p-2 border text-right">${d.maxAbs.toFixed(3)}</td>
+      <td class="p-2 border text-right">${isFinite(d.looRmse) ? d.looRmse.toFixed(3) : '–'}</td>
+    </tr>`).join('');
+  const { pMin, pMax, tMin, tMax } = diags[0].range;
+  if (fitDiagRange) fitDiagRange.textContent = `데이터 범위: ${pMin.toFixed(2)}–${pMax.toFixed(2)} MPa, ${tMin.toFixed(2)}–${tMax.toFixed(2)} K`;
+  const ChartLib = window.Chart;
+  const canvas = document.getElementById('fitResidualChart');
+  if (!ChartLib || !canvas) return;
+  const colors = { poly: '#2563eb', spline: '#ea580c', clapeyron: '#16a34a' };
+  fitResidualChart = new ChartLib(canvas.getContext('2d'), {
+    type: 'scatter',
+    data: {
+      datasets: diags.map((d) => ({
+        label: FIT_METHOD_LABELS[d.method],
+        data: d.residuals.map((r) => ({ x: r.P, y: r.residual })),
+        borderColor: colors[d.method],
+        backgroundColor: colors[d.method],
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { type: 'linear', title: { display: true, text: '압력 (MPa)' } },
+        y: { type: 'linear', title: { display: true, text: '잔차 (K)' } }
+      },
+      animation: { duration: 0 }
+    }
+  });
+}
+
+if (fitDiagGasSelect) fitDiagGasSelect.addEventListener('change', renderFitDiagnostics);
+if (tabCharts) {
+  tabCharts.addEventListener('click', () => {
+    // Follow the gas of the input tab when it has P–T data
+    if (fitDiagGasSelect && Array.from(fitDiagGasSelect.options).some((o) => o.value === gasSelect.value)) {
+      fitDiagGasSelect.value = gasSelect.value;
+    }
+    renderFitDiagnostics();
+  });
+}
+fillFitDiagGases();
+
+// =====================
+// Custom P–T data: line checks and live T₀(P) preview
+// =====================
+const customTPStatus = document.getElementById('customTPStatus');
+const customTPIssues = document.getElementById('customTPIssues');
+let customTPPreviewChart = null;
+
+function describeTPIssue(issue) {
+  switch (issue.reason) {
+    case 'format': return '숫자 두 개(T, P)가 필요합니다. 계산에서 제외됩니다.';
+    case 'range': return 'T와 P는 0보다 커야 합니다. 계산에서 제외됩니다.';
+    case 'duplicate-pressure': return `${issue.of}번째 줄과 압력이 같고 온도가 다릅니다. 계산에서 제외됩니다.`;
+    case 'duplicate': return `${issue.of}번째 줄과 같은 점이므로 한 번만 사용합니다.`;
+    case 'non-monotonic': return '압력이 더 높은데 온도가 낮거나 같습니다. 값을 확인하세요.';
+    default: return issue.reason;
+  }
+}
+
+function renderCustomTPCheck() {
+  if (!customTPData) return;
+  const { points, errors, warnings } = HLSCore.parseTPData(customTPData.value);
+  if (customTPStatus) {
+    const sorted = warnings.some((w) => w.reason === 'sorted') ? ' (압력 순으로 정렬됨)' : '';
+    customTPStatus.textContent = customTPData.value.trim()
+      ? `유효한 점 ${points.length}개${sorted}${points.length < 2 ? ' — 2개 이상 필요합니다.' : ''}`
+      : '';
+  }
+  if (customTPIssues) {
+    const items = errors.map((e) => ({ ...e, cls: 'text-red-600' }))
+      .concat(warnings.filter((w) => w.line).map((w) => ({ ...w, cls: 'text-amber-700' })))
+      .sort((a, b) => a.line - b.line);
+    customTPIssues.innerHTML = items.map((it) => `<li class="${it.cls}">${it.line}번째 줄 "${escapeHtml(it.text)}": ${describeTPIssue(it)}</li>`).join('');
+  }
+  renderCustomTPPreview(points);
+}
+
+// Points and the fitted T₀(P) of the selected fit method
+function renderCustomTPPreview(points) {
+  destroyIfExists(customTPPreviewChart);
+  customTPPreviewChart = null;
+  const ChartLib = window.Chart;
+  const canvas = document.getElementById('customTPPreview');
+  if (!ChartLib || !canvas || !points.length) return;
+  const datasets = [{
+    type: 'scatter',
+    label: '입력 데이터',
+    data: points.map(([T, P]) => ({ x: P, y: T })),
+    borderColor: '#111827',
+    backgroundColor: '#111827',
+    pointRadius: 3
+  }];
+  if (points.length >= 2) {
+    const method = t0FitMethodSelect ? t0FitMethodSelect.value : 'poly';
+    const def = { ...readCustomGas(), data: points };
+    const pMin = points[0][1];
+    const pMax = points[points.length - 1][1];
+    const curve = [];
+    for (let i = 0; i <= 60; i++) {
+      const P = pMin + (pMax - pMin) * i / 60;
+      const T = HLSCore.getT0AtPressure('Custom', P, method, def);
+      if (isFinite(T)) curve.push({ x: P, y: T });
+    }
+    datasets.push({
+      type: 'line',
+      label: `T₀(P) 적합 (${FIT_METHOD_LABELS[method] || method})`,
+      data: curve,
+      borderColor: '#2563eb',
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false
+    });
+  }
+  customTPPreviewChart = new ChartLib(canvas.getContext('2d'), {
+    type: 'scatter',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { type: 'linear', title: { display: true, text: '압력 (MPa)' } },
+        y: { type: 'linear', title: { display: true, text: 'T₀ (K)' } }
+      },
+      animation: { duration: 0 }
+    }
+  });
+}
+
+if (t0FitMethodSelect) t0FitMethodSelect.addEventListener('change', renderCustomTPCheck);
+renderCustomTPCheck();
+
+// =====================
+// nR/ΔH_d suggestion for the Custom gas (Clausius–Clapeyron)
+// =====================
+let customBetaSuggestion = null;
+if (customBetaEstimateBtn) {
+  customBetaEstimateBtn.addEventListener('click', () => {
+    let est;
+    try {
+      est = HLSCore.estimateBetaX(getCustomDataPoints(), {
+        structure: customStructure?.value || 'sI',
+        hydrationNumber: parseFloat(customHydrationNumber?.value),
+        z: parseFloat(customZ?.value)
+      });
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      alert('T,P 데이터를 2개 이상 입력해 주세요.');
+      return;
+    }
+    customBetaSuggestion = est.betaX;
+    customBetaEstimate.textContent = `ΔH_d ≈ ${(est.deltaH / 1000).toFixed(1)} kJ/mol (n = ${est.hydrationNumber}, z = ${est.z}, ln P–1/T R² = ${est.r2.toFixed(4)}) → 제안 nR/ΔH_d = ${est.betaX.toFixed(4)} ×10⁻³ 1/K`;
+    if (customBetaApplyBtn) customBetaApplyBtn.classList.remove('hidden');
+  });
+}
+if (customBetaApplyBtn) {
+  customBetaApplyBtn.addEventListener('click', () => {
+    if (customBetaSuggestion === null || !customBetaX) return;
+    customBetaX.value = customBetaSuggestion.toFixed(4);
+  });
+}
+
+// =====================
+// Shareable links: input-tab or heatmap state in the URL hash
+// =====================
+const { SHARE_PARAM_FIELDS } = HLSState;
+
+// Library gases and salts are not in the recipient's browser; the link carries their definitions
+function sharedGasDefinition(gasKey) {
+  return gasData[gasKey] && gasData[gasKey].custom ? serializeCustomGases()[gasKey] : undefined;
+}
+
+function sharedSaltDefinition(saltKey) {
+  return HLSCore.saltProps[saltKey] && HLSCore.saltProps[saltKey].custom ? serializeCustomSalts()[saltKey] : undefined;
+}
+
+function buildCalcShareState() {
+  const inputs = readCalculationInputs();
+  return {
+    format: HLSCore.SCENARIO_FORMAT,
+    version: HLSCore.SCENARIO_VERSION,
+    inputs,
+    energy: readEnergyOptions(),
+    uncertainty: readUncertainty(),
+    gasDefinition: sharedGasDefinition(inputs.gas),
+    saltDefinition: sharedSaltDefinition(inputs.salt)
+  };
+}
+
+function buildParamShareState() {
+  const fields = {};
+  Object.keys(SHARE_PARAM_FIELDS).forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) fields[id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  // Mix, Custom and mixed brines take their definition from the input tab
+  return {
+    view: 'param',
+    version: HLSState.SHARE_PARAM_VERSION,
+    fields,
+    customGas: fields.paramGas === 'Custom' ? readCustomGas() : undefined,
+    gasMixture: fields.paramGas === GAS_MIXTURE_KEY ? readGasMixture() : undefined,
+    brine: fields.paramSalt === MIXED_SALT_KEY ? readBrineComposition() : undefined,
+    gasDefinition: sharedGasDefinition(fields.paramGas),
+    saltDefinition: sharedSaltDefinition(fields.paramSalt)
+  };
+}
+
+// A library salt missing here is registered from the definition in the link
+function shareSaltReady(saltKey, definition) {
+  if (saltKey === MIXED_SALT_KEY || HLSCore.saltProps[saltKey]) return true;
+  if (!definition) {
+    alert(`링크의 염 '${saltKey}'이(가) 이 브라우저의 전해질 라이브러리에 없습니다.`);
+    return false;
+  }
+  try {
+    HLSCore.registerSalt(saltKey, definition);
+  } catch (err) {
+    if (!(err instanceof CalculationError)) throw err;
+    alert(`링크의 염 '${saltKey}'을(를) 등록할 수 없습니다: ${err.message}`);
+    return false;
+  }
+  onSaltLibraryChanged();
+  return true;
+}
+
+function restoreCalcShareState(state) {
+  const scenario = HLSCore.migrateScenario({ scenario: state }).scenario;
+  const inputs = { ...scenario.inputs };
+  if (!shareSaltReady(inputs.salt, state.saltDefinition)) return;
+  // An unknown library gas runs as Custom with the definition from the link
+  if (inputs.gas !== 'Custom' && inputs.gas !== GAS_MIXTURE_KEY && !gasData[inputs.gas]) {
+    if (!state.gasDefinition) {
+      alert(`링크의 기체 '${inputs.gas}'이(가) 이 브라우저의 기체 라이브러리에 없습니다.`);
+      return;
+    }
+    inputs.gas = 'Custom';
+    inputs.customGas = state.gasDefinition;
+  }
+  applyScenario({ ...scenario, inputs });
+  calculateBtn.click();
+  switchTab('results');
+}
+
+function restoreParamShareState(state) {
+  const fields = { ...state.fields };
+  if (!shareSaltReady(fields.paramSalt, state.saltDefinition)) return;
+  if (state.customGas) loadCustomPanel(state.customGas);
+  if (state.gasMixture) applyGasMixture(state.gasMixture);
+  if (state.brine) applyBrineComposition(state.brine);
+  if (fields.paramGas !== 'Custom' && fields.paramGas !== GAS_MIXTURE_KEY && !gasData[fields.paramGas]) {
+    if (!state.gasDefinition) {
+      alert(`링크의 기체 '${fields.paramGas}'이(가) 이 브라우저의 기체 라이브러리에 없습니다.`);
+      return;
+    }
+    loadCustomPanel(state.gasDefinition);
+    fields.paramGas = 'Custom';
+  }
+  Object.keys(SHARE_PARAM_FIELDS).forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el || fields[id] === undefined) return;
+    if (el.type === 'checkbox') el.checked = !!fields[id]; else el.value = fields[id];
+  });
+  generateHeatmapBtn.click();
+}
+
+// Restores "#calc=…" or "#param=…" and recomputes; other hashes are left alone
+function restoreFromHash() {
+  const link = HLSState.parseShareHash(window.location.hash);
+  if (!link) return;
+  if (link.error === 'newer-version') {
+    alert('더 새로운 버전에서 만든 링크라 열 수 없습니다.');
+    return;
+  }
+  if (link.error) {
+    alert('링크의 계산 조건을 읽을 수 없습니다.');
+    return;
+  }
+  if (link.kind === 'calc') restoreCalcShareState(link.state); else restoreParamShareState(link.state);
+}
+
+function copyShareLink(kind, state) {
+  const url = `${window.location.href.split('#')[0]}#${kind}=${HLSState.encodeShareState(state)}`;
+  history.replaceState(null, '', url);
+  const fallback = () => prompt('아래 링크를 복사하세요.', url);
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(() => alert('현재 조건을 담은 링크를 복사했습니다.'), fallback);
+  } else {
+    fallback();
+  }
+}
+
+document.getElementById('shareCalcLinkBtn')?.addEventListener('click', () => copyShareLink('calc', buildCalcShareState()));
+document.getElementById('shareParamLinkBtn')?.addEventListener('click', () => copyShareLink('param', buildParamShareState()));
+window.addEventListener('hashchange', restoreFromHash);
+restoreFromHash();
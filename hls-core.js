@@ -0,0 +1,2778 @@
+/*
+ * Headless calculation core for the hydrate‑based desalination calculator.
+ *
+ * Everything in this file is pure: no DOM access, no globals besides the
+ * exported namespace. In the browser it is loaded as a classic script before
+ * app.js and exposed as `window.HLSCore`; in Node it can be `require()`d so
+ * that studies can be scripted and numeric regressions caught without the UI.
+ *
+ *   const HLSCore = require('./hls-core.js');
+ *   const r = HLSCore.calculate({ gas: 'CH4', salt: 'NaCl', salinity: 8,
+ *                                 pressure: 5.77, dTmin: 0.5, dTmax: 5 });
+ *   console.log(r.masMax, r.mwyMax);
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.HLSCore = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Constants for water activity correlation (Hu–Lee–Sum coefficients)
+  // Updated (Table 2: Salts, Avg.)
+  const B1 = -1.06152;
+  const B2 = 3.25726;
+  const B3 = -37.2263;
+
+  // Molar mass of pure water (g/mol)
+  const WATER_MOLAR_MASS = 18.01528;
+
+  // Universal gas constant, J/(mol·K)
+  const GAS_CONSTANT = 8.314462618;
+
+  // Ice: melting point of pure water (K) and enthalpy of fusion (J/mol)
+  const ICE_MELTING_POINT = 273.15;
+  const ICE_FUSION_ENTHALPY = 6009.5;
+
+  // Structure II correction coefficient (Hu–Lee–Sum correlation adjustment)
+  const ALPHA_SII = 0.927;
+
+  // Number of points generated across the supercooling range
+  const DEFAULT_POINTS = 50;
+
+  // Ion properties: molar mass (g/mol) and charge
+  const ionProps = {
+    Li: { molarMass: 6.94, charge: 1 },
+    Na: { molarMass: 22.990, charge: 1 },
+    K: { molarMass: 39.098, charge: 1 },
+    Mg: { molarMass: 24.305, charge: 2 },
+    Ca: { molarMass: 40.078, charge: 2 },
+    Cl: { molarMass: 35.453, charge: -1 },
+    Br: { molarMass: 79.904, charge: -1 },
+    SO4: { molarMass: 96.06, charge: -2 }
+  };
+
+  // Electrolyte definitions: molar mass and cation/anion stoichiometry. X and
+  // the salinity inversion are derived generically from these (see
+  // saltStoichiometry), so adding a salt needs no code changes.
+  const saltProps = {
+    NaCl: { molarMass: 58.44, cation: { ion: 'Na', nu: 1 }, anion: { ion: 'Cl', nu: 1 } },
+    KCl: { molarMass: 74.55, cation: { ion: 'K', nu: 1 }, anion: { ion: 'Cl', nu: 1 } },
+    // MgCl₂ dissociates into 1 Mg²⁺ and 2 Cl⁻, i.e. 3 ionic species
+    MgCl2: { molarMass: 95.21, cation: { ion: 'Mg', nu: 1 }, anion: { ion: 'Cl', nu: 2 } },
+    CaCl2: { molarMass: 110.98, cation: { ion: 'Ca', nu: 1 }, anion: { ion: 'Cl', nu: 2 } },
+    Na2SO4: { molarMass: 142.04, cation: { ion: 'Na', nu: 2 }, anion: { ion: 'SO4', nu: 1 } },
+    MgSO4: { molarMass: 120.37, cation: { ion: 'Mg', nu: 1 }, anion: { ion: 'SO4', nu: 1 } },
+    KBr: { molarMass: 119.00, cation: { ion: 'K', nu: 1 }, anion: { ion: 'Br', nu: 1 } },
+    NaBr: { molarMass: 102.89, cation: { ion: 'Na', nu: 1 }, anion: { ion: 'Br', nu: 1 } },
+    LiCl: { molarMass: 42.39, cation: { ion: 'Li', nu: 1 }, anion: { ion: 'Cl', nu: 1 } }
+  };
+  // Keys of the electrolytes shipped with the app (the rest are user-defined)
+  const BUILTIN_SALTS = Object.keys(saltProps);
+
+  // Solubility in water as [T (K), wt%] against the stable solid (a hydrate
+  // where one forms); the first point is the ice eutectic where known.
+  // Interpolated linearly and held constant outside the table.
+  const saltSolubility = {
+    NaCl: [[251.95, 23.3], [273.25, 26.3], [283.15, 26.35], [293.15, 26.4]],
+    KCl: [[262.45, 19.7], [273.15, 21.9], [283.15, 23.8], [293.15, 25.6]],
+    MgCl2: [[239.55, 21.0], [273.15, 34.6], [283.15, 34.9], [293.15, 35.3]],
+    CaCl2: [[223.35, 29.9], [273.15, 37.3], [283.15, 39.4], [293.15, 42.7]],
+    Na2SO4: [[271.95, 3.8], [273.15, 4.5], [283.15, 8.3], [293.15, 16.1]],
+    MgSO4: [[269.55, 17.3], [273.15, 18.2], [283.15, 21.7], [293.15, 25.2]],
+    KBr: [[260.25, 31.3], [273.15, 34.9], [283.15, 37.3], [293.15, 39.4]],
+    NaBr: [[245.05, 40.3], [273.15, 44.4], [283.15, 45.9], [293.15, 47.5]],
+    LiCl: [[273.15, 40.9], [283.15, 42.5], [293.15, 45.3]]
+  };
+
+  // Salt key used for mixed-electrolyte brines (composition passed separately)
+  const MIXED_SALT_KEY = 'Mixed';
+
+  // Organic inhibitors: non-electrolytes that, like salt, stay in the liquid
+  // while water is taken up by the hydrate. `cls` picks the default
+  // coefficient set in activityCoefficientSets.
+  const inhibitorProps = {
+    MeOH: { molarMass: 32.04, cls: 'alcohols' },
+    EtOH: { molarMass: 46.07, cls: 'alcohols' },
+    MEG: { molarMass: 62.07, cls: 'glycols' }
+  };
+
+  // ln(a_w) = C1·X + C2·X² + C3·X³ coefficient sets per solute class. 'salts' is
+  // the HLS set above (X = charge-weighted ion fraction). The organic sets use
+  // X = inhibitor mole fraction and are NOT published Hu–Lee–Sum coefficients:
+  // they are placeholder estimates from ln(a_w) = ln(1 − X) + A·X² expanded to
+  // X³ with an assumed A (alcohols 0.6, glycols −0.6), so results computed with
+  // them are approximate. Callers should pass fitted coefficients instead.
+  const ESTIMATED_COEFFICIENT_SETS = ['alcohols', 'glycols'];
+  const activityCoefficientSets = {
+    salts: [B1, B2, B3],
+    alcohols: [-1.0, 0.1, -1 / 3],
+    glycols: [-1.0, -1.1, -1 / 3]
+  };
+
+  // Standard seawater at S = 35 (g/kg solution), major ions only
+  const SEAWATER_IONS = { Na: 10.78, K: 0.399, Mg: 1.284, Ca: 0.412, Cl: 19.35, SO4: 2.712 };
+
+  // Gas properties: structure (sI or sII), guest molar mass, hydration number
+  // (water molecules per guest), critical constants for the equation of
+  // state, base β coefficient (×10³) and PT data
+  const gasData = {
+    CH4: {
+      structure: 'sI',
+      molarMass: 16.04, // g/mol
+      hydrationNumber: 6.0, // ~90 % small-cage occupancy
+      critical: { Tc: 190.56, Pc: 4.599, omega: 0.011 }, // K, MPa (Peng–Robinson)
+      betaX: -0.9115,
+      data: [
+        [273.4, 2.68], [274.6, 3.05], [276.7, 3.72], [278.3, 4.39],
+        [279.6, 5.02], [280.9, 5.77], [282.3, 6.65], [283.6, 7.59],
+        [284.7, 8.55], [285.7, 9.17], [286.4, 10.5]
+      ]
+    },
+    C2H6: {
+      structure: 'sI',
+      molarMass: 30.07, // g/mol
+      hydrationNumber: 7.67, // large cages only
+      critical: { Tc: 305.32, Pc: 4.872, omega: 0.099 }, // K, MPa (Peng–Robinson)
+      betaX: -0.8657,
+      data: [
+        [273.7055556,0.51021204],
+        [274.8166667,0.579159613],
+        [275.9277778,0.661896701],
+        [277.5944444,0.813581361],
+        [278.7055556,0.930792236],
+        [279.2611111,1.006634566],
+        [279.8166667,1.082476896],
+        [280.3722222,1.165213984],
+        [280.9277778,1.254845829],
+        [281.4833333,1.344477674],
+        [282.0388889,1.447899033],
+        [282.5944444,1.55821515],
+        [283.15,1.689215539],
+        [284.2611111,1.985690102],
+        [285.3722222,2.302848938],
+        [286.4833333,2.730323891]
+      ]
+    },
+    C3H8: {
+      structure: 'sII',
+      molarMass: 44.10, // g/mol
+      hydrationNumber: 17,
+      critical: { Tc: 369.83, Pc: 4.248, omega: 0.152 }, // K, MPa (Peng–Robinson)
+      betaX: -1.0582,
+      data: [
+        [273.6, 0.207], [274.6, 0.248], [276.2, 0.338], [277.2, 0.417], [278.0, 0.51]
+      ]
+    },
+    CO2: {
+      structure: 'sI',
+      molarMass: 44.01, // g/mol
+      hydrationNumber: 6.2,
+      critical: { Tc: 304.13, Pc: 7.377, omega: 0.224 }, // K, MPa (Peng–Robinson)
+      betaX: -0.9143,
+      data: [
+        [274.3, 1.42], [275.5, 1.63], [276.8, 1.9], [277.6, 2.11], [279.1, 2.55],
+        [280.6, 3.12], [281.5, 3.51], [282.1, 3.81], [282.9, 4.37]
+      ]
+    },
+    CP: {
+      structure: 'sII',
+      molarMass: 70.13, // g/mol
+      hydrationNumber: 17,
+      // From ΔH_d ≈ 113.7 kJ/mol-guest and n ≈ 17 → nR/ΔH_d ≈ 0.0012426
+      betaX: -1.2426,
+      t0_atm: 280.15, // K at ~0 wt% NaCl (measured)
+      // Measured T(K) vs NaCl(wt%) pairs for overlay
+      ts_data: [
+        [0,280.15],[1,279.45],[2,278.85],[3.5,278.05],[5,277.15],[6,276.55],
+        [7,275.75],[8,274.95],[9,274.45],[10,273.55],[11,272.85],[12,272.05],
+        [13,271.35],[14,270.45],[15,269.75],[16,268.85],[17,267.75],[18,266.65],[19,265.25]
+      ]
+    }
+  };
+
+  const BUILTIN_GASES = Object.keys(gasData);
+
+  // Gas key for guest mixtures (definition built by buildGasMixture)
+  const GAS_MIXTURE_KEY = 'Mix';
+
+  // A mixture is treated as sII as soon as an sII former reaches this mole
+  // fraction (a few % of propane is enough to switch CH₄ hydrate to sII)
+  const SII_FORMER_THRESHOLD = 0.01;
+
+  // Error raised by calculate() when the inputs cannot produce a result.
+  // `code` is one of 'invalid-input', 't0-unavailable', 'no-points'.
+  class CalculationError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'CalculationError';
+      this.code = code;
+    }
+  }
+
+  function median(arr) {
+    const a = arr.slice().sort((x,y)=>x-y);
+    const n = a.length; if (n === 0) return NaN;
+    return n % 2 ? a[(n-1)/2] : (a[n/2-1]+a[n/2])/2;
+  }
+
+  // Charge and molar mass of one side of a salt: its own values for an ion
+  // the user defined, the ion table otherwise
+  function ionOf(part) {
+    return part.charge !== undefined ? part : ionProps[part.ion];
+  }
+
+  // Ionic species per formula unit and the charge-weighted count used as the
+  // numerator of X (NaCl: 2 and 2; MgCl₂: 3 and 4)
+  function saltStoichiometry(props) {
+    const { cation, anion } = props;
+    return {
+      ionCount: cation.nu + anion.nu,
+      chargeSum: cation.nu * Math.abs(ionOf(cation).charge) + anion.nu * Math.abs(ionOf(anion).charge)
+    };
+  }
+
+  // Formula molar mass from the ion properties (used when a definition omits it)
+  function saltMolarMassFromIons(cation, anion) {
+    return cation.nu * ionOf(cation).molarMass + anion.nu * ionOf(anion).molarMass;
+  }
+
+  // Validate one side of a salt definition. Ions of the ion table need only
+  // { ion, nu }; any other ion must bring its own charge and molar mass.
+  function resolveSaltIon(part, sign) {
+    const kind = sign > 0 ? 'cation' : 'anion';
+    const ion = String(part?.ion || '').trim();
+    const nu = Number(part?.nu);
+    if (!/^[A-Za-z][A-Za-z0-9]*$/.test(ion)) {
+      throw new CalculationError('invalid-input', `invalid ${kind}: ${part?.ion}`);
+    }
+    if (!Number.isInteger(nu) || nu < 1) {
+      throw new CalculationError('invalid-input', `stoichiometric coefficient must be a positive integer: ${ion}`);
+    }
+    const known = ionProps[ion];
+    if (known) {
+      if (Math.sign(known.charge) !== sign
+        || (part.charge !== undefined && part.charge !== null && Number(part.charge) !== known.charge)) {
+        throw new CalculationError('invalid-input', `invalid ${kind}: ${ion}`);
+      }
+      return { ion, nu };
+    }
+    const charge = Number(part.charge);
+    const molarMass = Number(part.molarMass);
+    if (!Number.isInteger(charge) || Math.sign(charge) !== sign) {
+      throw new CalculationError('invalid-input', `${kind} ${ion} needs an integer charge of the right sign`);
+    }
+    if (!(molarMass > 0) || !isFinite(molarMass)) {
+      throw new CalculationError('invalid-input', `${kind} ${ion} needs a positive molar mass`);
+    }
+    return { ion, nu, charge, molarMass };
+  }
+
+  /**
+   * Add a user-defined electrolyte, or replace one with options.replace.
+   *
+   * @param {string} key  identifier shown in the salt selects (e.g. 'CaBr2')
+   * @param {Object} def  { cation: { ion, nu, charge?, molarMass? }, anion: { … }, molarMass? };
+   *   charge and molar mass (g/mol) are required for ions outside ionProps
+   * @param {Object} [options] { replace: true } to overwrite an existing user salt
+   * @returns {Object} the stored definition
+   * @throws {CalculationError} on bad ions or stoichiometry, a built-in key or an existing key
+   */
+  function registerSalt(key, def, options) {
+    const name = String(key || '').trim();
+    if (!/^[A-Za-z][A-Za-z0-9()]*$/.test(name)) {
+      throw new CalculationError('invalid-input', `invalid salt key: ${key}`);
+    }
+    if (BUILTIN_SALTS.includes(name) || name === MIXED_SALT_KEY) {
+      throw new CalculationError('invalid-input', `cannot redefine built-in salt: ${name}`);
+    }
+    if (saltProps[name] && !(options && options.replace)) {
+      throw new CalculationError('invalid-input', `salt already exists: ${name}`);
+    }
+    const cation = resolveSaltIon(def?.cation, 1);
+    const anion = resolveSaltIon(def?.anion, -1);
+    if (cation.nu * ionOf(cation).charge + anion.nu * ionOf(anion).charge !== 0) {
+      throw new CalculationError('invalid-input', `${name} is not electrically neutral`);
+    }
+    const given = Number(def.molarMass);
+    const molarMass = isFinite(given) && given > 0 ? given : saltMolarMassFromIons(cation, anion);
+    saltProps[name] = { molarMass, cation, anion, custom: true };
+    return saltProps[name];
+  }
+
+  // Saturation wt% of a salt at T (K); NaN for mixed brines and user salts
+  function solubilityAt(saltKey, T) {
+    const table = saltSolubility[saltKey];
+    if (!table || !isFinite(T)) return NaN;
+    if (T <= table[0][0]) return table[0][1];
+    const last = table[table.length - 1];
+    if (T >= last[0]) return last[1];
+    let i = 0;
+    while (T > table[i + 1][0]) i++;
+    const [t0, s0] = table[i];
+    const [t1, s1] = table[i + 1];
+    return s0 + (s1 - s0) * (T - t0) / (t1 - t0);
+  }
+
+  // Remove a user-defined electrolyte; built-ins are left untouched
+  function unregisterSalt(key) {
+    if (!saltProps[key] || !saltProps[key].custom) return false;
+    delete saltProps[key];
+    return true;
+  }
+
+  /**
+   * Add a named user gas, or replace one with options.replace. It behaves like
+   * a built-in gas key from then on (calculate, sweeps, mixtures, cascade stages).
+   *
+   * @param {string} key  name shown in the gas selects (e.g. 'H2S (Selleck 1952)')
+   * @param {Object} def  { structure: 'sI'|'sII', betaX, data: [[T, P], ...], source?,
+   *   molarMass?, hydrationNumber? }
+   * @param {Object} [options] { replace: true } to overwrite an existing user gas
+   * @returns {Object} the stored definition
+   * @throws {CalculationError} on a reserved, malformed or existing name, or unusable data
+   */
+  function registerGas(key, def, options) {
+    const name = String(key || '').trim();
+    if (!/^[\p{L}\p{N}][\p{L}\p{N} _\-.,()+%]{0,39}$/u.test(name)) {
+      throw new CalculationError('invalid-input', `invalid gas name: ${key}`);
+    }
+    if (BUILTIN_GASES.includes(name) || name === GAS_MIXTURE_KEY || name === 'Custom') {
+      throw new CalculationError('invalid-input', `cannot redefine built-in gas: ${name}`);
+    }
+    if (gasData[name] && !(options && options.replace)) {
+      throw new CalculationError('invalid-input', `gas already exists: ${name}`);
+    }
+    const structure = def?.structure;
+    if (structure !== 'sI' && structure !== 'sII') {
+      throw new CalculationError('invalid-input', `structure must be sI or sII: ${structure}`);
+    }
+    const betaX = Number(def.betaX);
+    if (!isFinite(betaX) || betaX === 0) {
+      throw new CalculationError('invalid-input', `invalid nR/ΔH_d: ${def.betaX}`);
+    }
+    const data = (Array.isArray(def.data) ? def.data : [])
+      .map((p) => [Number(p?.[0]), Number(p?.[1])])
+      .filter(([T, P]) => isFinite(T) && isFinite(P) && T > 0 && P > 0)
+      .sort((a, b) => a[1] - b[1]);
+    if (data.length !== (def.data || []).length || data.length < 2) {
+      throw new CalculationError('invalid-input', `${name} needs at least two valid positive T,P points`);
+    }
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][1] === data[i - 1][1]) {
+        throw new CalculationError('invalid-input', `${name} has duplicate pressure ${data[i][1]} MPa`);
+      }
+    }
+    const optional = (field) => {
+      if (def[field] === undefined || def[field] === null || def[field] === '') return undefined;
+      const v = Number(def[field]);
+      if (!(v > 0)) throw new CalculationError('invalid-input', `${field} must be positive: ${def[field]}`);
+      return v;
+    };
+    const molarMass = optional('molarMass');
+    const hydrationNumber = optional('hydrationNumber');
+    // Fits are cached per gas key, so a redefinition must not reuse the old ones
+    delete t0FitCache[name]; delete splineCache[name]; delete clapeyronCache[name];
+    gasData[name] = { structure, betaX, data, source: String(def.source || ''), custom: true };
+    if (molarMass !== undefined) gasData[name].molarMass = molarMass;
+    if (hydrationNumber !== undefined) gasData[name].hydrationNumber = hydrationNumber;
+    return gasData[name];
+  }
+
+  // Remove a user gas; built-ins are left untouched
+  function unregisterGas(key) {
+    if (!gasData[key] || !gasData[key].custom) return false;
+    delete gasData[key];
+    delete t0FitCache[key]; delete splineCache[key]; delete clapeyronCache[key];
+    return true;
+  }
+
+  // Cubic polynomial fit for T0(P): fit once per gas and evaluate for target pressure
+  const t0FitCache = {};
+  const splineCache = {};
+  const clapeyronCache = {};
+  function fitPolynomial(xs, ys, degree) {
+    const n = xs.length;
+    const d = Math.min(degree, n - 1);
+    const S = new Array(2 * d + 1).fill(0);
+    for (let k = 0; k < n; k++) {
+      let xp = 1;
+      for (let i = 0; i <= 2 * d; i++) { S[i] += xp; xp *= xs[k]; }
+    }
+    const A = Array.from({ length: d + 1 }, () => new Array(d + 1).fill(0));
+    for (let i = 0; i <= d; i++) {
+      for (let j = 0; j <= d; j++) A[i][j] = S[i + j];
+    }
+    const b = new Array(d + 1).fill(0);
+    for (let i = 0; i <= d; i++) {
+      for (let k = 0; k < n; k++) b[i] += ys[k] * Math.pow(xs[k], i);
+    }
+    // Solve via Gaussian elimination
+    const c = b.slice();
+    for (let i = 0; i <= d; i++) {
+      let maxRow = i;
+      for (let r = i + 1; r <= d; r++) if (Math.abs(A[r][i]) > Math.abs(A[maxRow][i])) maxRow = r;
+      if (maxRow !== i) { [A[i], A[maxRow]] = [A[maxRow], A[i]]; [c[i], c[maxRow]] = [c[maxRow], c[i]]; }
+      const pivot = A[i][i] || 1e-12;
+      for (let j = i; j <= d; j++) A[i][j] /= pivot;
+      c[i] /= pivot;
+      for (let r = 0; r <= d; r++) {
+        if (r === i) continue;
+        const f = A[r][i];
+        for (let j = i; j <= d; j++) A[r][j] -= f * A[i][j];
+        c[r] -= f * c[i];
+      }
+    }
+    return c;
+  }
+  function evalPolynomial(coeffs, x) {
+    let y = 0, xp = 1;
+    for (let i = 0; i < coeffs.length; i++) { y += coeffs[i] * xp; xp *= x; }
+    return y;
+  }
+
+  // Monotone cubic (PCHIP-like) spline utilities
+  function buildMonotoneSpline(x, y) {
+    const n = x.length;
+    const h = new Array(n - 1);
+    const delta = new Array(n - 1);
+    for (let i = 0; i < n - 1; i++) { h[i] = x[i + 1] - x[i]; delta[i] = (y[i + 1] - y[i]) / h[i]; }
+    const d = new Array(n);
+    if (n === 2) { d[0] = delta[0]; d[1] = delta[0]; }
+    else {
+      d[0] = ((2 * h[0] + h[1]) * delta[0] - h[0] * delta[1]) / (h[0] + h[1]);
+      if (d[0] * delta[0] <= 0) d[0] = 0; else if (Math.abs(d[0]) > 3 * Math.abs(delta[0])) d[0] = 3 * delta[0];
+      d[n - 1] = ((2 * h[n - 2] + h[n - 3]) * delta[n - 2] - h[n - 2] * delta[n - 3]) / (h[n - 2] + h[n - 3]);
+      if (d[n - 1] * delta[n - 2] <= 0) d[n - 1] = 0; else if (Math.abs(d[n - 1]) > 3 * Math.abs(delta[n - 2])) d[n - 1] = 3 * delta[n - 2];
+      for (let i = 1; i < n - 1; i++) {
+        if (delta[i - 1] * delta[i] <= 0) d[i] = 0;
+        else {
+          const w1 = 2 * h[i] + h[i - 1];
+          const w2 = h[i] + 2 * h[i - 1];
+          d[i] = (w1 + w2) / (w1 / delta[i - 1] + w2 / delta[i]);
+        }
+      }
+    }
+    return { x, y, h, d };
+  }
+  function evalMonotoneSpline(s, xp) {
+    const { x, y, h, d } = s; const n = x.length;
+    if (xp <= x[0]) return y[0]; if (xp >= x[n - 1]) return y[n - 1];
+    let i = 0; while (i < n - 1 && xp > x[i + 1]) i++;
+    const t = (xp - x[i]) / h[i];
+    const h00 = (1 + 2 * t) * (1 - t) * (1 - t);
+    const h10 = t * (1 - t) * (1 - t);
+    const h01 = t * t * (3 - 2 * t);
+    const h11 = t * t * (t - 1);
+    return h00 * y[i] + h10 * h[i] * d[i] + h01 * y[i + 1] + h11 * h[i] * d[i + 1];
+  }
+
+  // Sort [T, P] points by pressure and keep the first point of each pressure
+  function normalizeTPPoints(points) {
+    const sorted = points.slice().sort((a, b) => a[1] - b[1]);
+    return sorted.filter((p, i) => i === 0 || p[1] !== sorted[i - 1][1]);
+  }
+
+  /**
+   * Parse "T,P" lines (comma, semicolon or whitespace separated; '#' starts a
+   * comment) into equilibrium points sorted by pressure. Lines that cannot be
+   * used are reported, not silently dropped.
+   *
+   * @param {string} text
+   * @returns {{ points: number[][], errors: Object[], warnings: Object[] }}
+   *   errors:   { line, text, reason: 'format'|'range'|'duplicate-pressure' } — excluded lines
+   *   warnings: { line, text, reason: 'duplicate'|'non-monotonic' } or { reason: 'sorted' }
+   */
+  function parseTPData(text) {
+    const errors = [];
+    const warnings = [];
+    const accepted = [];
+    String(text || '').split(/\r?\n/).forEach((raw, i) => {
+      const line = raw.replace(/#.*$/, '').trim();
+      if (!line) return;
+      const parts = line.split(/[,;\s]+/);
+      const T = Number(parts[0]);
+      const P = Number(parts[1]);
+      if (parts.length !== 2 || !isFinite(T) || !isFinite(P)) {
+        errors.push({ line: i + 1, text: raw.trim(), reason: 'format' });
+      } else if (T <= 0 || P <= 0) {
+        errors.push({ line: i + 1, text: raw.trim(), reason: 'range' });
+      } else {
+        accepted.push({ line: i + 1, text: raw.trim(), T, P });
+      }
+    });
+    const byPressure = new Map();
+    accepted.forEach((pt) => {
+      const first = byPressure.get(pt.P);
+      if (!first) byPressure.set(pt.P, pt);
+      else if (first.T === pt.T) warnings.push({ line: pt.line, text: pt.text, reason: 'duplicate', of: first.line });
+      else errors.push({ line: pt.line, text: pt.text, reason: 'duplicate-pressure', of: first.line });
+    });
+    const kept = Array.from(byPressure.values());
+    const sorted = kept.slice().sort((a, b) => a.P - b.P);
+    if (sorted.some((pt, i) => pt !== kept[i])) warnings.push({ reason: 'sorted' });
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].T <= sorted[i - 1].T) {
+        warnings.push({ line: sorted[i].line, text: sorted[i].text, reason: 'non-monotonic' });
+      }
+    }
+    errors.sort((a, b) => a.line - b.line);
+    return { points: sorted.map((pt) => [pt.T, pt.P]), errors, warnings };
+  }
+
+  // Resolve a gas key to its property object. 'Custom' and 'Mix' have no
+  // built-in entry; the caller supplies their { structure, betaX, data }.
+  function getGasObject(gasKey, definition) {
+    if (gasKey === 'Custom' || gasKey === GAS_MIXTURE_KEY) return definition || null;
+    return gasData[gasKey] || null;
+  }
+
+  function getT0AtPressure(gasKey, P, method, definition) {
+    const gas = getGasObject(gasKey, definition);
+    if (!gas) return NaN;
+    if (gasKey === 'CP') return gas.t0_atm;
+    const pts = gas.data || [];
+    if (!pts.length) return NaN;
+    const methodSel = method || 'poly';
+    const xs = pts.map(p => p[1]); // pressure
+    const ys = pts.map(p => p[0]); // T0
+    // Custom and mixture curves change with their inputs, so key their fits on the data
+    const cacheKey = gasData[gasKey] ? gasKey : `${gasKey}:${JSON.stringify(pts)}`;
+    if (methodSel === 'spline') {
+      const spline = cachedFit(splineCache, gasKey, cacheKey, () => {
+        // The spline needs strictly increasing pressures
+        const sorted = normalizeTPPoints(pts);
+        return buildMonotoneSpline(sorted.map(p => p[1]), sorted.map(p => p[0]));
+      });
+      return evalMonotoneSpline(spline, P);
+    } else if (methodSel === 'clapeyron') {
+      // ln P = a + b/T  =>  T0 = b / (ln P − a)
+      const { a, b } = cachedFit(clapeyronCache, gasKey, cacheKey, () => fitLnPInvT(pts));
+      return b / (Math.log(P) - a);
+    } else {
+      const coeffs = cachedFit(t0FitCache, gasKey, cacheKey, () => fitPolynomial(xs, ys, Math.min(3, xs.length - 1)));
+      return evalPolynomial(coeffs, P);
+    }
+  }
+
+  // Data-keyed entries replace the previous fit of the same gas key, so
+  // editing a Custom curve does not grow the caches without bound
+  function cachedFit(cache, gasKey, cacheKey, build) {
+    if (!cache[cacheKey]) {
+      if (cacheKey !== gasKey) {
+        Object.keys(cache).forEach((k) => { if (k.startsWith(`${gasKey}:`)) delete cache[k]; });
+      }
+      cache[cacheKey] = build();
+    }
+    return cache[cacheKey];
+  }
+
+  // Pressure and temperature span of a gas's P–T data (null for CP or no data)
+  function t0DataRange(gasKey, definition) {
+    const gas = getGasObject(gasKey, definition);
+    if (!gas || gasKey === 'CP' || !gas.data || !gas.data.length) return null;
+    const ps = gas.data.map((p) => p[1]);
+    const ts = gas.data.map((p) => p[0]);
+    return { pMin: Math.min(...ps), pMax: Math.max(...ps), tMin: Math.min(...ts), tMax: Math.max(...ts) };
+  }
+
+  // Warning for a pressure outside the data: the cubic and the ln P–1/T line
+  // extrapolate, the spline clamps to its end value. Returns null when P is covered by the data.
+  function checkT0Range(gasKey, P, method, definition) {
+    const range = t0DataRange(gasKey, definition);
+    if (!range || (P >= range.pMin && P <= range.pMax)) return null;
+    const methodSel = method || 'poly';
+    return {
+      pressure: P,
+      pMin: range.pMin,
+      pMax: range.pMax,
+      method: methodSel,
+      behaviour: methodSel === 'spline' ? 'clamped' : 'extrapolated',
+      T0: getT0AtPressure(gasKey, P, methodSel, definition)
+    };
+  }
+
+  /**
+   * Goodness of fit of T₀(P) for one gas and method: R², RMSE and max |residual|
+   * at the data points, plus leave-one-out RMSE (the spline interpolates the
+   * points, so only the leave-one-out figure compares the two methods).
+   *
+   * @returns {Object|null} { method, n, r2, rmse, maxAbs, looRmse, residuals: [{ P, T, fit, residual }], range },
+   *   null with fewer than two points; looRmse is NaN with fewer than three
+   */
+  function t0FitDiagnostics(gasKey, method, definition) {
+    const range = t0DataRange(gasKey, definition);
+    if (!range) return null;
+    const methodSel = method || 'poly';
+    const pts = getGasObject(gasKey, definition).data.slice().sort((a, b) => a[1] - b[1]);
+    // A single point fits any curve exactly; there is nothing to diagnose
+    if (pts.length < 2) return null;
+    const xs = pts.map((p) => p[1]);
+    const ys = pts.map((p) => p[0]);
+    const fitWith = (xf, yf) => {
+      if (methodSel === 'spline') {
+        const spline = buildMonotoneSpline(xf, yf);
+        return (P) => evalMonotoneSpline(spline, P);
+      }
+      if (methodSel === 'clapeyron') {
+        const { a, b } = fitLnPInvT(xf.map((P, i) => [yf[i], P]));
+        return (P) => b / (Math.log(P) - a);
+      }
+      const coeffs = fitPolynomial(xf, yf, Math.min(3, xf.length - 1));
+      return (P) => evalPolynomial(coeffs, P);
+    };
+    const residuals = pts.map(([T, P]) => {
+      const fit = getT0AtPressure(gasKey, P, methodSel, definition);
+      return { P, T, fit, residual: T - fit };
+    });
+    const n = pts.length;
+    const mean = ys.reduce((a, b) => a + b, 0) / n;
+    const ssRes = residuals.reduce((a, r) => a + r.residual * r.residual, 0);
+    const ssTot = ys.reduce((a, y) => a + (y - mean) * (y - mean), 0);
+    let looSq = 0;
+    let looN = 0;
+    if (n > 2) {
+      for (let i = 0; i < n; i++) {
+        const f = fitWith(xs.filter((_, j) => j !== i), ys.filter((_, j) => j !== i));
+        const e = ys[i] - f(xs[i]);
+        if (isFinite(e)) { looSq += e * e; looN++; }
+      }
+    }
+    return {
+      method: methodSel,
+      n,
+      r2: ssTot > 0 ? 1 - ssRes / ssTot : 1,
+      rmse: Math.sqrt(ssRes / n),
+      maxAbs: Math.max(...residuals.map((r) => Math.abs(r.residual))),
+      looRmse: looN ? Math.sqrt(looSq / looN) : NaN,
+      residuals,
+      range
+    };
+  }
+
+  // Least-squares line ln P = a + b/T through [T, P] points; used to carry a
+  // component's curve outside its measured range when estimating mixtures
+  function fitLnPInvT(pts) {
+    const n = pts.length;
+    let sx = 0, sy = 0, sxx = 0, sxy = 0;
+    for (const [T, P] of pts) {
+      const x = 1 / T, y = Math.log(P);
+      sx += x; sy += y; sxx += x * x; sxy += x * y;
+    }
+    const b = (n * sxy - sx * sy) / (n * sxx - sx * sx);
+    const a = (sy - b * sx) / n;
+    return { a, b };
+  }
+
+  // Default hydration numbers (water per guest) for full cage occupancy: sI with
+  // both cages filled, sII with only the large cages filled (propane-like guests)
+  const HYDRATION_NUMBERS = { sI: 5.75, sII: 17 };
+  // Water per guest with every cage filled (46 H₂O / 8 cages, 136 H₂O / 24 cages)
+  const FULL_OCCUPANCY_HYDRATION = { sI: 46 / 8, sII: 136 / 24 };
+
+  // Standard molar volume of an ideal gas at 0 °C and 1 atm (m³/mol)
+  const STANDARD_MOLAR_VOLUME = 0.022414;
+
+  /**
+   * Estimate ΔH_d and nR/ΔH_d from P–T data via Clausius–Clapeyron.
+   *
+   * The slope b of ln P vs 1/T gives ΔH_d = −z·R·b per mole of guest, so
+   * nR/ΔH_d = −n/(z·b). The sign follows gasData (betaX < 0). The result is
+   * a starting point: the hydration number n and the compressibility z both
+   * shift it in proportion.
+   *
+   * @param {Array<[number, number]>} data [T (K), P (MPa)] points
+   * @param {Object} [options] { structure = 'sI', hydrationNumber, z = 1 }
+   * @returns {Object} { a, b, r2, deltaH (J/mol), hydrationNumber, z, betaX (×10⁻³ 1/K) }
+   * @throws {CalculationError} with fewer than two points
+   */
+  function estimateBetaX(data, options) {
+    const opts = options || {};
+    const pts = (data || []).filter(([T, P]) => T > 0 && P > 0);
+    if (pts.length < 2) {
+      throw new CalculationError('invalid-input', 'at least two positive T,P points are needed');
+    }
+    const { a, b } = fitLnPInvT(pts);
+    const n = opts.hydrationNumber > 0 ? Number(opts.hydrationNumber) : HYDRATION_NUMBERS[opts.structure] || HYDRATION_NUMBERS.sI;
+    const z = opts.z > 0 ? Number(opts.z) : 1;
+    const ys = pts.map(([, P]) => Math.log(P));
+    const mean = ys.reduce((s, y) => s + y, 0) / ys.length;
+    const ssTot = ys.reduce((s, y) => s + (y - mean) * (y - mean), 0);
+    const ssRes = pts.reduce((s, [T], i) => s + Math.pow(ys[i] - (a + b / T), 2), 0);
+    return {
+      a,
+      b,
+      r2: ssTot > 0 ? 1 - ssRes / ssTot : 1,
+      deltaH: -z * GAS_CONSTANT * b,
+      hydrationNumber: n,
+      z,
+      betaX: (n / (z * b)) * 1e3
+    };
+  }
+
+  /**
+   * Build the gas definition of a guest mixture.
+   *
+   * Without measured data the pure-water curve is estimated from the component
+   * curves with the ideal harmonic rule 1/P_mix(T) = Σ y_i / P_i(T), each P_i(T)
+   * taken from a ln P vs 1/T fit of that component. β is mole-fraction
+   * averaged. Both are screening estimates; pass `data`, `structure` or `betaX`
+   * to use measured values instead.
+   *
+   * @param {Object} mix
+   * @param {Object} mix.components  { gasKey: mole fraction } over keys of gasData with P–T data
+   * @param {string} [mix.structure='auto'] 'sI', 'sII' or 'auto'
+   * @param {number} [mix.betaX]     override for nR/ΔH_d (×10³, negative)
+   * @param {Array}  [mix.data]      measured mixture [[T(K), P(MPa)], ...]
+   * @returns {{ structure, betaX, data, fractions, estimated }}
+   */
+  function buildGasMixture(mix) {
+    const comps = (mix && mix.components) || {};
+    let total = 0;
+    for (const [key, y] of Object.entries(comps)) {
+      const v = Number(y);
+      if (!gasData[key] || !gasData[key].data) {
+        throw new CalculationError('invalid-input', `gas cannot be used in a mixture: ${key}`);
+      }
+      if (!isFinite(v) || v < 0) throw new CalculationError('invalid-input', `invalid mole fraction for ${key}`);
+      total += v;
+    }
+    if (!(total > 0)) throw new CalculationError('invalid-input', 'gas mixture has no components');
+    const fractions = {};
+    for (const [key, y] of Object.entries(comps)) {
+      if (Number(y) > 0) fractions[key] = Number(y) / total;
+    }
+    const keys = Object.keys(fractions);
+
+    let structure = mix.structure;
+    if (structure !== 'sI' && structure !== 'sII') {
+      const hasSII = keys.some((k) => gasData[k].structure === 'sII' && fractions[k] >= SII_FORMER_THRESHOLD);
+      structure = hasSII ? 'sII' : 'sI';
+    }
+
+    const givenBeta = Number(mix.betaX);
+    const betaX = mix.betaX !== undefined && mix.betaX !== null && mix.betaX !== '' && isFinite(givenBeta)
+      ? givenBeta
+      : keys.reduce((s, k) => s + fractions[k] * gasData[k].betaX, 0);
+
+    let data;
+    let estimated = false;
+    if (Array.isArray(mix.data) && mix.data.length >= 2) {
+      data = mix.data.map(([T, P]) => [Number(T), Number(P)]);
+    } else {
+      estimated = true;
+      const fits = keys.map((k) => ({ y: fractions[k], fit: fitLnPInvT(gasData[k].data) }));
+      const tLow = Math.min(...keys.map((k) => Math.min(...gasData[k].data.map((p) => p[0]))));
+      const tHigh = Math.max(...keys.map((k) => Math.max(...gasData[k].data.map((p) => p[0]))));
+      const nPts = 12;
+      data = [];
+      for (let i = 0; i < nPts; i++) {
+        const T = tLow + (tHigh - tLow) * i / (nPts - 1);
+        const inv = fits.reduce((s, c) => s + c.y / Math.exp(c.fit.a + c.fit.b / T), 0);
+        data.push([T, 1 / inv]);
+      }
+    }
+    // Guests sharing one lattice average their hydration numbers; a mixed
+    // lattice (e.g. CH₄ + C₃H₈ in sII) is taken as fully occupied
+    const sameLattice = keys.every((k) => gasData[k].structure === structure);
+    const hydrationNumber = sameLattice
+      ? keys.reduce((s, k) => s + fractions[k] * (gasData[k].hydrationNumber || HYDRATION_NUMBERS[structure]), 0)
+      : FULL_OCCUPANCY_HYDRATION[structure];
+    const molarMass = keys.reduce((s, k) => s + fractions[k] * Number(gasData[k].molarMass), 0);
+    return { structure, betaX, data, fractions, estimated, hydrationNumber, molarMass };
+  }
+
+  // Effective β for a gas object; α_sII applies only to structure II guests
+  function computeBeta(gas, useAlpha) {
+    const betaBase = gas.betaX * 1e-3; // convert β (×10³) into proper scale
+    const alpha = gas.structure === 'sII' && useAlpha ? ALPHA_SII : 1.0;
+    return betaBase * alpha;
+  }
+
+  // Compute X (effective ionic mole fraction) from salinity s (wt%)
+  // X = Σν|z|·moles_salt / (moles_water + Σν·moles_salt)
+  function computeXFromSalinity(salinity, saltKey) {
+    const props = saltProps[saltKey];
+    const { ionCount, chargeSum } = saltStoichiometry(props);
+    const massSalt = salinity;
+    const massWater = 100 - salinity;
+    const molesSalt = massSalt / props.molarMass;
+    const molesWater = massWater / WATER_MOLAR_MASS;
+    const totalMoles = molesWater + ionCount * molesSalt;
+    return (chargeSum * molesSalt) / totalMoles;
+  }
+
+  // Compute water activity ln(a_w) from X using HLS correlation; coeffs
+  // overrides [B1, B2, B3] (e.g. for uncertainty sampling)
+  function computeLnawFromX(X, coeffs) {
+    if (!coeffs) return B1 * X + B2 * X * X + B3 * X * X * X;
+    const [b1, b2, b3] = coeffs;
+    return b1 * X + b2 * X * X + b3 * X * X * X;
+  }
+
+  // Compute ΔT from ln(a_w), β and T0 using rearranged HLS equation
+  function computeDeltaT(beta, lnaw, T0) {
+    return (beta * lnaw * T0 * T0) / (1 + beta * lnaw * T0);
+  }
+
+  // Compute ln(a_w) from ΔT, β and T0
+  function computeLnawFromDelta(beta, dT, T0) {
+    const denominator = beta * T0 * (T0 - dT);
+    return dT / denominator;
+  }
+
+  // Solve X from a given ln(a_w) using bisection (monotonic root)
+  function solveXFromLnaw(lnawTarget, coeffs) {
+    // Define the function f(X) = computeLnawFromX(X) - lnawTarget.
+    const f = (X) => computeLnawFromX(X, coeffs) - lnawTarget;
+    // Start with a small bracket for X; X should lie between 0 and ~0.2 for typical desalination ranges.
+    let low = 0;
+    let high = 0.2;
+    // Expand high bound until f(high) <= 0 (meaning computeLnawFromX(high) <= lnawTarget) or until high reaches 1.
+    while (f(high) > 0 && high < 1) {
+      high += 0.1;
+    }
+    // Perform bisection
+    for (let i = 0; i < 50; i++) {
+      const mid = (low + high) / 2;
+      const val = f(mid);
+      if (val > 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  // Compute salinity (wt%) from X for a given salt type using the analytical
+  // inverse of computeXFromSalinity
+  function computeSalinityFromX(X, saltKey) {
+    const { molarMass } = saltProps[saltKey];
+    const { ionCount, chargeSum } = saltStoichiometry(saltProps[saltKey]);
+    return (
+      (molarMass * X * 100) /
+      ((chargeSum - ionCount * X) * WATER_MOLAR_MASS + molarMass * X)
+    );
+  }
+
+  /**
+   * Reduce a mixed brine to the two per-gram sums the HLS mass balance needs:
+   *   a = Σ (charge-weighted ion moles) per g of dissolved salt  → numerator of X
+   *   b = Σ (ion moles) per g of dissolved salt                  → denominator of X
+   * For a single salt these reproduce computeXFromSalinity
+   * (NaCl: a = b = 2/M; MgCl₂: a = 4/M, b = 3/M).
+   *
+   * @param {Object} brine { mode: 'salts'|'ions', components: { key: amount } }
+   *   'salts': amounts in wt% per salt key of saltProps
+   *   'ions':  amounts in g/kg solution per key of ionProps
+   * @returns {{ salinity: number, a: number, b: number, fractions: Object, chargeBalance: number }}
+   *   salinity is the total dissolved salt (wt%), fractions are mass fractions of that total
+   */
+  function brineCoefficients(brine) {
+    const mode = brine && brine.mode === 'ions' ? 'ions' : 'salts';
+    const comps = (brine && brine.components) || {};
+    const table = mode === 'ions' ? ionProps : saltProps;
+    let total = 0;
+    for (const [key, amount] of Object.entries(comps)) {
+      if (!table[key]) throw new CalculationError('invalid-input', `unknown ${mode === 'ions' ? 'ion' : 'salt'}: ${key}`);
+      const v = Number(amount);
+      if (!isFinite(v) || v < 0) throw new CalculationError('invalid-input', `invalid amount for ${key}`);
+      total += v;
+    }
+    if (!(total > 0)) throw new CalculationError('invalid-input', 'mixed brine has no dissolved salt');
+    let a = 0, b = 0, pos = 0, neg = 0;
+    const fractions = {};
+    for (const [key, amount] of Object.entries(comps)) {
+      const f = Number(amount) / total;
+      if (!f) continue;
+      fractions[key] = f;
+      if (mode === 'ions') {
+        const { molarMass, charge } = ionProps[key];
+        a += f * Math.abs(charge) / molarMass;
+        b += f / molarMass;
+        if (charge > 0) pos += f * charge / molarMass; else neg -= f * charge / molarMass;
+      } else {
+        const { ionCount, chargeSum } = saltStoichiometry(saltProps[key]);
+        a += f * chargeSum / saltProps[key].molarMass;
+        b += f * ionCount / saltProps[key].molarMass;
+      }
+    }
+    const chargeBalance = mode === 'ions' && pos + neg > 0 ? (pos - neg) / (pos + neg) : 0;
+    return {
+      mode,
+      salinity: mode === 'ions' ? total / 10 : total,
+      a,
+      b,
+      fractions,
+      chargeBalance
+    };
+  }
+
+  // X for a mixed brine at total dissolved salt S (wt%), ratios held fixed
+  function computeXFromBrine(salinity, coeffs) {
+    const molesWater = (100 - salinity) / WATER_MOLAR_MASS;
+    return (salinity * coeffs.a) / (molesWater + salinity * coeffs.b);
+  }
+
+  // Inverse of computeXFromBrine: total dissolved salt (wt%) for a given X
+  function computeSalinityFromBrineX(X, coeffs) {
+    return (100 * X / WATER_MOLAR_MASS) / (coeffs.a - X * coeffs.b + X / WATER_MOLAR_MASS);
+  }
+
+  // Uniform view of the dissolved phase: a built-in salt or a mixed brine
+  function getSolute(saltKey, brine) {
+    if (saltKey === MIXED_SALT_KEY) {
+      const coeffs = brineCoefficients(brine);
+      return {
+        coeffs,
+        xFromSalinity: (s) => computeXFromBrine(s, coeffs),
+        salinityFromX: (X) => computeSalinityFromBrineX(X, coeffs),
+        ionMoles: (grams) => grams * coeffs.b,
+        chargeMoles: (grams) => grams * coeffs.a
+      };
+    }
+    const props = saltProps[saltKey];
+    if (!props) throw new CalculationError('invalid-input', `unknown salt: ${saltKey}`);
+    const { ionCount, chargeSum } = saltStoichiometry(props);
+    return {
+      coeffs: null,
+      xFromSalinity: (s) => computeXFromSalinity(s, saltKey),
+      salinityFromX: (X) => computeSalinityFromX(X, saltKey),
+      ionMoles: (grams) => ionCount * (grams / props.molarMass),
+      chargeMoles: (grams) => chargeSum * (grams / props.molarMass)
+    };
+  }
+
+  // The UI keeps a mixed brine's total to 4 decimals (wt%)
+  const BRINE_SALINITY_TOLERANCE = 1e-4;
+
+  // A mixed brine's composition fixes its total dissolved salt, so the entry
+  // points take the salinity from it: an omitted salinity is filled in and one
+  // that disagrees with the composition is rejected
+  function withBrineSalinity(inputs) {
+    if (inputs.salt !== MIXED_SALT_KEY) return inputs;
+    const total = brineCoefficients(inputs.brine).salinity;
+    const given = inputs.salinity;
+    if (given !== undefined && given !== null && given !== ''
+      && !(Math.abs(Number(given) - total) <= BRINE_SALINITY_TOLERANCE)) {
+      throw new CalculationError('invalid-input',
+        `salinity ${given} wt% does not match the mixed brine's total dissolved salt (${total.toFixed(4)} wt%)`);
+    }
+    return { ...inputs, salinity: total };
+  }
+
+  /**
+   * Normalise an organic inhibitor spec. Returns null when there is none.
+   *
+   * @param {Object} [inhibitor] { key: 'MeOH'|'EtOH'|'MEG', wt: wt% of feed,
+   *   cls?: 'alcohols'|'glycols', coeffs?: [C1, C2, C3] }
+   */
+  function resolveInhibitor(inhibitor) {
+    if (!inhibitor || !inhibitor.key || !(Number(inhibitor.wt) > 0)) return null;
+    const props = inhibitorProps[inhibitor.key];
+    if (!props) throw new CalculationError('invalid-input', `unknown inhibitor: ${inhibitor.key}`);
+    const cls = inhibitor.cls || props.cls;
+    const coeffs = (inhibitor.coeffs || activityCoefficientSets[cls] || []).map(Number);
+    if (coeffs.length !== 3 || coeffs.some((c) => !isFinite(c))) {
+      throw new CalculationError('invalid-input', `invalid activity coefficients for ${cls}`);
+    }
+    const set = ESTIMATED_COEFFICIENT_SETS.includes(cls) ? activityCoefficientSets[cls] : null;
+    // The page shows coefficients to 4 decimals, so match within that rounding
+    const estimated = !!set && coeffs.every((c, i) => Math.abs(c - set[i]) <= 5e-5);
+    return { key: inhibitor.key, wt: Number(inhibitor.wt), cls, coeffs, estimated, molarMass: props.molarMass };
+  }
+
+  // ln(a_w) of a liquid holding saltG of salt, orgG of inhibitor and waterG of
+  // water. Salt and organic contributions are additive, each evaluated with its
+  // own X on the full liquid mole basis.
+  function computeSolutionLnaw(saltG, orgG, waterG, solute, inh, saltCoeffs) {
+    const molesWater = waterG / WATER_MOLAR_MASS;
+    const molesOrg = orgG / inh.molarMass;
+    const total = molesWater + solute.ionMoles(saltG) + molesOrg;
+    const Xsalt = solute.chargeMoles(saltG) / total;
+    const Xorg = molesOrg / total;
+    const [C1, C2, C3] = inh.coeffs;
+    const lnaw = computeLnawFromX(Xsalt, saltCoeffs) + C1 * Xorg + C2 * Xorg * Xorg + C3 * Xorg * Xorg * Xorg;
+    return { lnaw, Xsalt, Xorg };
+  }
+
+  // Water left in the liquid (g) at which ln(a_w) reaches lnawTarget; ln(a_w)
+  // rises monotonically with the water content, so bisection is safe.
+  function solveWaterForLnaw(lnawTarget, saltG, orgG, waterG0, solute, inh, saltCoeffs) {
+    const f = (w) => computeSolutionLnaw(saltG, orgG, w, solute, inh, saltCoeffs).lnaw - lnawTarget;
+    let low = 0;
+    let high = waterG0;
+    while (f(high) < 0 && high < 1e6) high *= 2;
+    if (f(high) < 0) return NaN;
+    for (let i = 0; i < 80; i++) {
+      const mid = (low + high) / 2;
+      if (f(mid) < 0) low = mid; else high = mid;
+    }
+    return (low + high) / 2;
+  }
+
+  // Brine at MAS for a 100 g feed (saltG + orgG + waterG0) concentrated until
+  // ln(a_w) = lnawMas; null when no physical state matches.
+  function concentrateToLnaw(lnawMas, saltG, orgG, waterG0, solute, inh, saltCoeffs) {
+    let X, mas, mwy, waterInSolution;
+    if (inh) {
+      // Salt and inhibitor concentrate together: solve for the water left
+      waterInSolution = solveWaterForLnaw(lnawMas, saltG, orgG, waterG0, solute, inh, saltCoeffs);
+      if (!isFinite(waterInSolution)) return null;
+      X = computeSolutionLnaw(saltG, orgG, waterInSolution, solute, inh, saltCoeffs).Xsalt;
+      mas = (saltG / (saltG + orgG + waterInSolution)) * 100;
+      if (!isFinite(mas) || mas < 0) return null;
+      mwy = ((waterG0 - waterInSolution) / waterG0) * 100;
+    } else {
+      X = solveXFromLnaw(lnawMas, saltCoeffs);
+      mas = solute.salinityFromX(X);
+      // Guard against division by zero or unrealistic MAS
+      if (!isFinite(mas) || mas <= 0) return null;
+
+      // MWY 계산 (일관)
+      const totalWaterInSolutionTmp = saltG * (100 / mas - 1);
+      const waterInHydrateTmp = waterG0 - totalWaterInSolutionTmp;
+      mwy = (waterInHydrateTmp / waterG0) * 100;
+
+      // Calculate water distribution for 100g initial solution
+      waterInSolution = (saltG / mas) * 100 - saltG;
+    }
+    return { X, mas, mwy, waterInSolution };
+  }
+
+  // ln(a_w) of a brine in equilibrium with ice at T (ΔC_p of fusion neglected)
+  function iceLnaw(T) {
+    return (ICE_FUSION_ENTHALPY / GAS_CONSTANT) * (1 / ICE_MELTING_POINT - 1 / T);
+  }
+
+  // Freezing point (K) of a brine with the given ln(a_w)
+  function brineFreezingPoint(lnaw) {
+    return 1 / (1 / ICE_MELTING_POINT - GAS_CONSTANT * lnaw / ICE_FUSION_ENTHALPY);
+  }
+
+  // Freeze desalination baseline: % of the feed water frozen out as ice when
+  // the same 100 g feed is held at T (0 above the feed's freezing point)
+  function freezeDesalinationYield(T, lnawFeed, saltG, orgG, waterG0, solute, inh, saltCoeffs) {
+    const lnawIce = iceLnaw(T);
+    if (!(lnawIce < lnawFeed)) return 0;
+    const point = concentrateToLnaw(lnawIce, saltG, orgG, waterG0, solute, inh, saltCoeffs);
+    return point ? Math.max(0, Math.min(100, point.mwy)) : NaN;
+  }
+
+  /**
+   * Inverse design: operating conditions that bring a feed to a target MAS or
+   * MWY. With a fixed pressure it returns the formation temperature and the
+   * supercooling; with a fixed formation temperature it solves T₀(P) for the
+   * pressure by bisection over the gas's P–T data range.
+   *
+   * Targets that cannot be met come back with reachable = false and a reason:
+   * 'not-above-feed' (target at or below the feed), 'beyond-limit' (no water
+   * would be left), 'temperature' (no equilibrium temperature reaches Tform),
+   * 'pressure-range' (required T₀ lies outside the gas's data), 'saturation'
+   * (the salt would exceed its solubility at Tform, see solubilityAt) or 'ice'
+   * (Tform lies below the brine's freezing point, see brineFreezingPoint).
+   *
+   * @param {Object} inputs  gas/customGas/gasMixture/salt/brine/inhibitor/salinity/
+   *                         fitMethod/useAlpha as for calculate(), plus
+   * @param {Object} inputs.target { kind: 'mwy'|'mas', value }
+   * @param {Object} inputs.fixed  { kind: 'pressure' (MPa)|'temperature' (K), value }
+   * @returns {Object} { reachable, reason, mas, mwy, pressure, T0, formationTemperature,
+   *                   feedTemperature, dTInit, dTExtra, dTTotal, solubility, brineFreezing }
+   * @throws {CalculationError}
+   */
+  function solveOperatingConditions(inputs) {
+    inputs = withBrineSalinity(inputs);
+    const gasKey = inputs.gas;
+    const salinity = Number(inputs.salinity);
+    const target = inputs.target || {};
+    const fixed = inputs.fixed || {};
+    const targetValue = Number(target.value);
+    const fixedValue = Number(fixed.value);
+    const fitMethod = inputs.fitMethod || 'poly';
+    const useAlpha = inputs.useAlpha !== undefined ? !!inputs.useAlpha : true;
+    if (!(salinity > 0) || !isFinite(targetValue) || !isFinite(fixedValue)
+      || (target.kind !== 'mwy' && target.kind !== 'mas')
+      || (fixed.kind !== 'pressure' && fixed.kind !== 'temperature')) {
+      throw new CalculationError('invalid-input', 'salinity, target and fixed condition must be valid numbers');
+    }
+    if (gasKey === 'CP' && fixed.kind === 'temperature') {
+      throw new CalculationError('invalid-input', 'CP is only modelled at 0.1 MPa; fix the pressure instead');
+    }
+    const solute = getSolute(inputs.salt, inputs.brine);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    if (inh && salinity + inh.wt >= 100) {
+      throw new CalculationError('invalid-input', 'salt and inhibitor must add up to less than 100 wt%');
+    }
+    const gasDef = gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const gas = getGasObject(gasKey, gasDef);
+    if (!gas) throw new CalculationError('invalid-input', `unknown gas: ${gasKey}`);
+    const beta = computeBeta(gas, useAlpha);
+
+    // Same 100 g basis as calculate(): water left in the liquid at the target
+    const saltG = salinity;
+    const orgG = inh ? inh.wt : 0;
+    const waterG0 = 100 - saltG - orgG;
+    const waterLeft = target.kind === 'mwy'
+      ? waterG0 * (1 - targetValue / 100)
+      : (saltG / targetValue) * 100 - saltG - orgG;
+    const mas = (saltG / (saltG + orgG + waterLeft)) * 100;
+    const mwy = ((waterG0 - waterLeft) / waterG0) * 100;
+    const out = { reachable: false, reason: null, mas, mwy };
+    if (!(mwy > 0)) return { ...out, reason: 'not-above-feed' };
+    if (!(waterLeft > 0) || !(targetValue < 100)) return { ...out, reason: 'beyond-limit' };
+    const lnawFeed = inh
+      ? computeSolutionLnaw(saltG, orgG, waterG0, solute, inh).lnaw
+      : computeLnawFromX(solute.xFromSalinity(salinity));
+    const lnaw = inh
+      ? computeSolutionLnaw(saltG, orgG, waterLeft, solute, inh).lnaw
+      : computeLnawFromX(solute.xFromSalinity(mas));
+
+    // The brine's equilibrium temperature is T0 / (1 + β·lnaw·T0)
+    const c = beta * lnaw;
+    let pressure;
+    let T0;
+    if (fixed.kind === 'pressure') {
+      pressure = gasKey === 'CP' ? 0.1 : fixedValue;
+      T0 = getT0AtPressure(gasKey, pressure, fitMethod, gasDef);
+      if (!isFinite(T0)) {
+        throw new CalculationError('t0-unavailable', `no pure-water equilibrium data for ${gasKey}`);
+      }
+    } else {
+      const Tform = fixedValue;
+      if (!(Tform > 0) || c * Tform >= 1) return { ...out, reason: 'temperature' };
+      const T0Needed = Tform / (1 - c * Tform);
+      const ps = (gas.data || []).map((p) => p[1]);
+      if (!ps.length) {
+        throw new CalculationError('t0-unavailable', `no pure-water equilibrium data for ${gasKey}`);
+      }
+      const f = (P) => getT0AtPressure(gasKey, P, fitMethod, gasDef) - T0Needed;
+      let low = Math.min(...ps);
+      let high = Math.max(...ps);
+      if (f(low) > 0 || f(high) < 0) return { ...out, reason: 'pressure-range', T0: T0Needed };
+      for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (f(mid) < 0) low = mid; else high = mid;
+      }
+      pressure = (low + high) / 2;
+      T0 = T0Needed;
+    }
+    const dTTotal = computeDeltaT(beta, lnaw, T0);
+    const dTInit = computeDeltaT(beta, lnawFeed, T0);
+    const formationTemperature = T0 - dTTotal;
+    if (!(formationTemperature > 0) || !(dTTotal < T0)) return { ...out, reason: 'temperature', pressure, T0 };
+    // Same limits calculate() flags: the salt must stay dissolved at Tform and
+    // the brine must not freeze first
+    const solubility = solubilityAt(inputs.salt, formationTemperature);
+    const brineFreezing = brineFreezingPoint(lnaw);
+    const limits = { pressure, T0, formationTemperature, solubility, brineFreezing };
+    if ((saltG / (saltG + waterLeft)) * 100 >= solubility) return { ...out, ...limits, reason: 'saturation' };
+    if (formationTemperature < brineFreezing) return { ...out, ...limits, reason: 'ice' };
+    return {
+      reachable: true,
+      reason: null,
+      mas,
+      mwy,
+      lnaw,
+      pressure,
+      T0,
+      formationTemperature,
+      feedTemperature: T0 - dTInit,
+      dTInit,
+      dTExtra: dTTotal - dTInit,
+      dTTotal,
+      solubility,
+      brineFreezing
+    };
+  }
+
+  /**
+   * Run the MAS/MWY sweep over the extra-supercooling range.
+   *
+   * @param {Object} inputs
+   * @param {string} inputs.gas        gas key ('CH4', 'CO2', …, 'Custom', 'Mix')
+   * @param {Object} [inputs.customGas] { structure, betaX, data } when gas is 'Custom'
+   * @param {Object} [inputs.gasMixture] mixture spec when gas is 'Mix' (see buildGasMixture)
+   * @param {string} inputs.salt       key of saltProps (built-in or registered) or 'Mixed'
+   * @param {Object} [inputs.brine]    composition for 'Mixed' (see brineCoefficients)
+   * @param {number} inputs.salinity   initial salinity (wt%); for 'Mixed' it is taken from the
+   *                                   composition and may be omitted, but must match if given
+   * @param {Object} [inputs.inhibitor] organic inhibitor (see resolveInhibitor); its wt% is of the feed
+   * @param {number} inputs.pressure   operating pressure (MPa); ignored for CP
+   * @param {number} inputs.dTmin      minimum extra supercooling (K)
+   * @param {number} inputs.dTmax      maximum extra supercooling (K)
+   * @param {string} [inputs.fitMethod='poly'] T₀(P) fit: 'poly', 'spline' or 'clapeyron'
+   * @param {boolean} [inputs.useAlpha=true]   apply α_sII to structure II guests
+   * @param {number} [inputs.nPoints=50]
+   * @param {number[]} [inputs.saltCoeffs] overrides [B1, B2, B3]
+   * @param {number} [inputs.betaX]    overrides the gas's nR/ΔH_d (×10⁻³ 1/K)
+   * @param {number} [inputs.t0Offset=0] shift added to T₀(P) (K)
+   * @returns {Object} same shape as the app's currentCalculationData
+   * @throws {CalculationError}
+   */
+  function calculate(inputs) {
+    return runCalculation(withBrineSalinity(inputs));
+  }
+
+  // calculate() without the mixed-brine salinity check, for callers that vary
+  // the total dissolved salt and keep the composition's ratios
+  function runCalculation(inputs) {
+    const gasKey = inputs.gas;
+    const saltKey = inputs.salt;
+    const initialSalinity = Number(inputs.salinity);
+    const pressure = gasKey === 'CP' ? 0.1 : Number(inputs.pressure);
+    let dTmin = Number(inputs.dTmin);
+    let dTmax = Number(inputs.dTmax);
+    const fitMethod = inputs.fitMethod || 'poly';
+    const useAlpha = inputs.useAlpha !== undefined ? !!inputs.useAlpha : true;
+    const nPoints = inputs.nPoints || DEFAULT_POINTS;
+    if (isNaN(initialSalinity) || isNaN(pressure) || isNaN(dTmin) || isNaN(dTmax)) {
+      throw new CalculationError('invalid-input', 'salinity, pressure, dTmin and dTmax must be numbers');
+    }
+    const solute = getSolute(saltKey, inputs.brine);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    if (inh && initialSalinity + inh.wt >= 100) {
+      throw new CalculationError('invalid-input', 'salt and inhibitor must add up to less than 100 wt%');
+    }
+    const saltCoeffs = inputs.saltCoeffs;
+    if (saltCoeffs && (saltCoeffs.length !== 3 || saltCoeffs.some((c) => !isFinite(c)))) {
+      throw new CalculationError('invalid-input', 'saltCoeffs must hold three numbers');
+    }
+    const gasDef = gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const gas = getGasObject(gasKey, gasDef);
+    if (!gas) {
+      throw new CalculationError('invalid-input', `unknown gas: ${gasKey}`);
+    }
+    if (dTmin > dTmax) {
+      // Swap values if user inadvertently enters min > max
+      [dTmin, dTmax] = [dTmax, dTmin];
+    }
+    const beta = computeBeta(inputs.betaX !== undefined ? { ...gas, betaX: Number(inputs.betaX) } : gas, useAlpha);
+
+    // T0 at operating pressure via cubic fit (CP uses fixed atmospheric T0)
+    const T0_op = getT0AtPressure(gasKey, pressure, fitMethod, gasDef) + (Number(inputs.t0Offset) || 0);
+    if (!isFinite(T0_op)) {
+      throw new CalculationError('t0-unavailable', `no pure-water equilibrium data for ${gasKey}`);
+    }
+
+    // Assume initial 100g of solution (salt + inhibitor + water)
+    const initialNaClG = initialSalinity; // For 100g total, this is directly the wt%
+    const inhibitorG = inh ? inh.wt : 0;
+    const initialWaterG = 100 - initialNaClG - inhibitorG; // Rest is water
+
+    // Compute ln(a_w) for initial salinity
+    const X_init = solute.xFromSalinity(initialSalinity);
+    const lnaw_init = inh
+      ? computeSolutionLnaw(initialNaClG, inhibitorG, initialWaterG, solute, inh, saltCoeffs).lnaw
+      : computeLnawFromX(X_init, saltCoeffs);
+    // Compute initial supercooling at operating pressure (relative to pure water)
+    const dT_init_op = computeDeltaT(beta, lnaw_init, T0_op);
+
+    const dTRange = [];
+    const masValues = [];
+    const mwyValues = [];
+    // Additional arrays for detailed parameters
+    const salinityMolValues = [];
+    const xValues = [];
+    const lnawValues = [];
+    const dtT0TValues = [];
+    const thlsValues = [];
+    const tmaxValues = [];
+    const naclGValues = [];
+    const waterGValues = [];
+    const waterSolutionGValues = [];
+    const waterHydrateGValues = [];
+    const maxPureWaterYieldValues = [];
+    const inhibitorValues = [];
+    // Ice line: freezing point of the residual brine and the freeze-desalination yield at T
+    const brineFreezingValues = [];
+    const iceFlags = [];
+    const freezeMwyValues = [];
+    // Solubility cap: MAS past saturation, salt precipitated and water yield beyond saturation
+    const solubilityValues = [];
+    const saturatedFlags = [];
+    const masUncappedValues = [];
+    const precipitatedSaltValues = [];
+    const extraMwyValues = [];
+
+    const step = (dTmax - dTmin) / (nPoints - 1);
+
+    for (let i = 0; i < nPoints; i++) {
+      // Interpret input as extra supercooling relative to initial-salinity equilibrium at P_op
+      const dT_extra = dTmin + step * i;
+      const dT_total = dT_init_op + dT_extra;
+      // ensure dT does not exceed T0
+      if (dT_total >= T0_op) continue;
+      const lnawMas = computeLnawFromDelta(beta, dT_total, T0_op);
+      // Only proceed if lnawMas is negative (physically meaningful)
+      if (!isFinite(lnawMas) || lnawMas >= 0) {
+        continue;
+      }
+      const point = concentrateToLnaw(lnawMas, initialNaClG, inhibitorG, initialWaterG, solute, inh, saltCoeffs);
+      if (!point) continue;
+      const { X: X_mas, mas, mwy, waterInSolution } = point;
+
+      // Salinity in mol% - 엑셀과 일치하도록 계산 방식 개선
+      const molesWater = initialWaterG / WATER_MOLAR_MASS;
+
+      // 이온 기반 표현 (엑셀과 일치)
+      const molesIons = solute.ionMoles(initialNaClG);
+      const totalMolesIons = molesIons + molesWater;
+      const salinityMol = (molesIons / totalMolesIons) * 100;
+
+      // Calculate dT/T0T
+      const dtT0T = dT_total / (T0_op * (T0_op - dT_total));
+
+      // Calculate T_HLS: T0 * (1 + (dT/T0T) * T0)^-1
+      const thls = T0_op * Math.pow(1 + dtT0T * T0_op, -1);
+
+      // T_max (supercooling)
+      const tmax = T0_op - dT_total;
+
+      const finalNaClG = initialNaClG; // Salt mass is conserved
+      const waterInHydrate = initialWaterG - waterInSolution;
+      const maxPureWaterYield = (waterInHydrate / initialWaterG) * 100;
+
+      // Salt wt% on an inhibitor-free basis, compared with the solubility at T
+      const solubility = solubilityAt(saltKey, tmax);
+      const saturated = (initialNaClG / (initialNaClG + waterInSolution)) * 100 >= solubility;
+      let masCapped = mas;
+      let precipitated = 0;
+      let extraMwy = 0;
+      if (saturated) {
+        const dissolved = waterInSolution * solubility / (100 - solubility);
+        precipitated = initialNaClG - dissolved;
+        masCapped = (dissolved / (dissolved + inhibitorG + waterInSolution)) * 100;
+        const waterAtSaturation = initialNaClG * (100 / solubility - 1);
+        extraMwy = Math.max(0, mwy - ((initialWaterG - waterAtSaturation) / initialWaterG) * 100);
+      }
+
+      dTRange.push(dT_extra);
+      masValues.push(masCapped);
+      mwyValues.push(mwy);
+      salinityMolValues.push(salinityMol);
+      xValues.push(X_mas);
+      lnawValues.push(lnawMas);
+      dtT0TValues.push(dtT0T);
+      thlsValues.push(thls);
+      tmaxValues.push(tmax);
+      naclGValues.push(finalNaClG);
+      waterGValues.push(initialWaterG);
+      waterSolutionGValues.push(waterInSolution);
+      waterHydrateGValues.push(waterInHydrate);
+      maxPureWaterYieldValues.push(maxPureWaterYield);
+      const brineFreezing = brineFreezingPoint(lnawMas);
+      brineFreezingValues.push(brineFreezing);
+      iceFlags.push(tmax < brineFreezing);
+      freezeMwyValues.push(freezeDesalinationYield(tmax, lnaw_init, initialNaClG, inhibitorG, initialWaterG, solute, inh, saltCoeffs));
+      solubilityValues.push(solubility);
+      saturatedFlags.push(saturated);
+      masUncappedValues.push(mas);
+      precipitatedSaltValues.push(precipitated);
+      extraMwyValues.push(extraMwy);
+      if (inh) inhibitorValues.push((inhibitorG / (initialNaClG + inhibitorG + waterInSolution)) * 100);
+    }
+    // Derive MAS & MWY at maximum ΔT (last element)
+    if (dTRange.length === 0) {
+      throw new CalculationError('no-points', 'no physically meaningful point in the supercooling range');
+    }
+    const masMax = masValues[masValues.length - 1];
+    const mwyMax = mwyValues[mwyValues.length - 1];
+    const dtExtraMax = dTRange[dTRange.length - 1];
+    const dtTotalAtOp = dT_init_op + dtExtraMax;
+    const tPureOp = T0_op;
+    const tInitOp = T0_op - dT_init_op;
+    const tMasOp = T0_op - dtTotalAtOp;
+
+    const result = {
+      gasKey,
+      saltKey,
+      initialSalinity,
+      pressure,
+      dTRange,
+      masValues,
+      mwyValues,
+      beta,
+      T0_op,
+      dT_init_op,
+      masMax,
+      mwyMax,
+      dtExtraMax,
+      dtTotalAtOp,
+      tPureOp,
+      tInitOp,
+      tMasOp,
+      // Additional detailed data
+      salinityMolValues,
+      xValues,
+      lnawValues,
+      dtT0TValues,
+      thlsValues,
+      tmaxValues,
+      naclGValues,
+      waterGValues,
+      waterSolutionGValues,
+      waterHydrateGValues,
+      maxPureWaterYieldValues,
+      lnawInit: lnaw_init,
+      freezingPoint: brineFreezingPoint(lnaw_init),
+      brineFreezingValues,
+      iceFlags,
+      freezeMwyValues,
+      solubilityValues,
+      saturatedFlags,
+      masUncappedValues,
+      precipitatedSaltValues,
+      extraMwyValues
+    };
+    const firstSaturated = saturatedFlags.indexOf(true);
+    if (firstSaturated >= 0) {
+      result.saturation = {
+        index: firstSaturated,
+        dT: dTRange[firstSaturated],
+        temperature: tmaxValues[firstSaturated],
+        solubility: solubilityValues[firstSaturated],
+        precipitatedMax: precipitatedSaltValues[precipitatedSaltValues.length - 1],
+        extraMwyMax: extraMwyValues[extraMwyValues.length - 1]
+      };
+    }
+    result.gasUptake = gasUptake(waterHydrateGValues, gas, {
+      hydrationNumber: inputs.hydrationNumber,
+      co2Fraction: gasKey === 'CO2' ? 1 : (gasKey === GAS_MIXTURE_KEY ? gas.fractions.CO2 || 0 : 0)
+    });
+    const t0Warning = checkT0Range(gasKey, pressure, fitMethod, gasDef);
+    if (t0Warning) result.t0Warning = t0Warning;
+    if (gasKey === GAS_MIXTURE_KEY) {
+      result.gasMixture = {
+        fractions: gas.fractions,
+        structure: gas.structure,
+        betaX: gas.betaX,
+        estimated: gas.estimated,
+        // Input spec as entered, so a saved result can be restored exactly
+        spec: JSON.parse(JSON.stringify(inputs.gasMixture))
+      };
+    }
+    if (inh) {
+      // estimated: the placeholder class coefficients were used, so the
+      // inhibitor's effect on a_w is approximate
+      result.inhibitor = { key: inh.key, wt: inh.wt, cls: inh.cls, coeffs: inh.coeffs, estimated: inh.estimated };
+      // Inhibitor concentration (wt% of the remaining liquid) at each point
+      result.inhibitorValues = inhibitorValues;
+      result.inhibitorMax = inhibitorValues[inhibitorValues.length - 1];
+    }
+    if (solute.coeffs) {
+      // Ratios are fixed, so each salt (or ion) at MAS scales with the total
+      result.brine = { mode: solute.coeffs.mode, components: { ...inputs.brine.components } };
+      result.masComponents = {};
+      for (const [key, f] of Object.entries(solute.coeffs.fractions)) {
+        result.masComponents[key] = f * masMax;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Guest gas held in hydrate for each point of a calculate() sweep, per 100 g
+   * of feed. The hydration number n (water per guest) comes from the override,
+   * the gas entry, or the structure default; without a molar mass only moles
+   * are reported.
+   *
+   * @param {number[]} waterHydrateG  water in hydrate per point (g / 100 g feed)
+   * @param {Object} gas               gas object (structure, molarMass?, hydrationNumber?)
+   * @param {Object} [options]         { hydrationNumber, co2Fraction }
+   */
+  function gasUptake(waterHydrateG, gas, options) {
+    const opts = options || {};
+    const override = opts.hydrationNumber;
+    if (override !== undefined && !(Number(override) > 0)) {
+      throw new CalculationError('invalid-input', 'hydration number must be positive');
+    }
+    const hydrationNumber = override !== undefined
+      ? Number(override)
+      : (gas.hydrationNumber || HYDRATION_NUMBERS[gas.structure]);
+    const molarMass = Number(gas.molarMass) > 0 ? Number(gas.molarMass) : NaN;
+    const co2Fraction = Number(opts.co2Fraction) || 0;
+    const molValues = waterHydrateG.map((w) => Math.max(0, w) / WATER_MOLAR_MASS / hydrationNumber);
+    const massValues = molValues.map((mol) => mol * molarMass);
+    // Per m³ of product water (the water that went into hydrate, 10⁶ g)
+    const molPerM3 = 1e6 / WATER_MOLAR_MASS / hydrationNumber;
+    const last = molValues.length - 1;
+    return {
+      hydrationNumber,
+      molarMass,
+      hydrationNumberOverride: override !== undefined ? Number(override) : undefined,
+      molValues,
+      massValues,
+      gasToWaterMolar: 1 / hydrationNumber,
+      gasToWaterMass: molarMass / (hydrationNumber * WATER_MOLAR_MASS),
+      perM3: {
+        mol: molPerM3,
+        kg: molPerM3 * molarMass / 1000,
+        standardM3: molPerM3 * STANDARD_MOLAR_VOLUME
+      },
+      atMax: { mol: molValues[last], g: massValues[last] },
+      co2: co2Fraction > 0 ? {
+        fraction: co2Fraction,
+        g: molValues[last] * co2Fraction * gasData.CO2.molarMass,
+        kgPerM3: molPerM3 * co2Fraction * gasData.CO2.molarMass / 1000
+      } : null
+    };
+  }
+
+  // Specific heat of the feed brine, J/(g·K): linear in wt% salt
+  function brineHeatCapacity(salinity) {
+    return Math.max(2.5, 4.184 - 0.045 * salinity);
+  }
+
+  /**
+   * Energy balance on a calculate() result, per kg of product water (the
+   * water taken into hydrate). The formation heat per mol of water follows
+   * from the same correlation: ΔH_d/n = R/|β|, so n drops out. Sensible
+   * cooling takes the whole feed from feedTemperature down to the formation
+   * temperature; gas cooling and losses are not included.
+   *
+   * @param {Object} result  calculate() output
+   * @param {Object} [options] { feedTemperature: K (default 293.15), cop (default 3), cp: J/(g·K) }
+   * @returns {Object} per-point arrays in kJ/kg and kWh/m³ plus the values at maximum ΔT
+   */
+  function energyBalance(result, options) {
+    const opts = options || {};
+    const feedTemperature = opts.feedTemperature !== undefined ? Number(opts.feedTemperature) : 293.15;
+    const cop = opts.cop !== undefined ? Number(opts.cop) : 3;
+    const cp = opts.cp !== undefined ? Number(opts.cp) : brineHeatCapacity(result.initialSalinity);
+    if (!(feedTemperature > 0) || !(cop > 0) || !(cp > 0)) {
+      throw new CalculationError('invalid-input', 'feed temperature, COP and heat capacity must be positive');
+    }
+    // J per mol of water in hydrate; kJ/kg = J/g
+    const formationEnthalpy = GAS_CONSTANT / Math.abs(result.beta);
+    const formationHeat = formationEnthalpy / WATER_MOLAR_MASS;
+    const feedG = 100;
+    const sensibleValues = [];
+    const chillerValues = [];
+    const electricValues = [];
+    const chillerPerFeedValues = [];
+    result.tmaxValues.forEach((T, i) => {
+      const productG = result.waterHydrateGValues[i];
+      const sensibleJ = feedG * cp * Math.max(0, feedTemperature - T);
+      const totalJ = sensibleJ + productG * formationHeat;
+      chillerPerFeedValues.push(totalJ / feedG);
+      if (productG > 0) {
+        sensibleValues.push(sensibleJ / productG);
+        chillerValues.push(totalJ / productG);
+        // kJ/kg of water → kWh/m³ (1 m³ ≈ 1000 kg; 1 kWh = 3600 kJ)
+        electricValues.push(totalJ / productG / cop / 3.6);
+      } else {
+        sensibleValues.push(NaN);
+        chillerValues.push(NaN);
+        electricValues.push(NaN);
+      }
+    });
+    const last = result.tmaxValues.length - 1;
+    return {
+      feedTemperature,
+      cop,
+      cp,
+      formationEnthalpy,
+      formationHeat,
+      sensibleValues,
+      chillerValues,
+      electricValues,
+      chillerPerFeedValues,
+      atMax: {
+        formationHeat,
+        sensible: sensibleValues[last],
+        chiller: chillerValues[last],
+        electric: electricValues[last],
+        chillerPerFeed: chillerPerFeedValues[last]
+      }
+    };
+  }
+
+  // Small seeded PRNG (mulberry32) so uncertainty runs are reproducible
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal deviate (Box–Muller)
+  function randomNormal(random) {
+    let u = 0;
+    while (u === 0) u = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  // q-th percentile (0–1) of an ascending array, linearly interpolated
+  function percentile(sorted, q) {
+    if (!sorted.length) return NaN;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  /**
+   * Monte Carlo propagation of correlation and input scatter through calculate().
+   *
+   * Each entry of `uncertainty` is { sd, relative }: a standard deviation, or a
+   * fraction of the nominal value when `relative` is true. `B` applies to each
+   * of B1..B3 independently (sd may also be a three-element array); `t0` is a
+   * shift of T₀(P) in K and is always absolute.
+   *
+   * @param {Object} inputs   as for calculate()
+   * @param {Object} uncertainty { betaX, B, t0, salinity }
+   * @param {Object} [options] { samples = 500, seed = 1 }
+   * @returns {Object} { samples, failed, dTRange, mas: {p5, p50, p95}, mwy: {p5, p50, p95},
+   *                   masMax, mwyMax } where every percentile array follows dTRange
+   * @throws {CalculationError} when the nominal inputs themselves fail
+   */
+  function monteCarlo(inputs, uncertainty, options) {
+    const samples = Math.max(1, Math.floor((options && options.samples) || 500));
+    const random = createRandom((options && options.seed) || 1);
+    const u = uncertainty || {};
+    inputs = withBrineSalinity(inputs);
+    const nominal = calculate(inputs);
+    const gasDef = inputs.gas === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const betaX0 = inputs.betaX !== undefined ? Number(inputs.betaX) : getGasObject(inputs.gas, gasDef).betaX;
+    const coeffs0 = inputs.saltCoeffs || [B1, B2, B3];
+    const salinity0 = Number(inputs.salinity);
+    const spread = (spec, value, i) => {
+      if (!spec || spec.sd === undefined || spec.sd === null) return 0;
+      const sd = Array.isArray(spec.sd) ? Number(spec.sd[i]) : Number(spec.sd);
+      if (!(sd > 0)) return 0;
+      return spec.relative ? sd * Math.abs(value) : sd;
+    };
+    const draw = (spec, value, i) => value + spread(spec, value, i) * randomNormal(random);
+
+    // Collect every sample's MAS/MWY on the nominal ΔT grid (points match exactly)
+    const index = new Map(nominal.dTRange.map((dT, i) => [dT, i]));
+    const masSamples = nominal.dTRange.map(() => []);
+    const mwySamples = nominal.dTRange.map(() => []);
+    let failed = 0;
+    for (let n = 0; n < samples; n++) {
+      let r;
+      try {
+        r = runCalculation({
+          ...inputs,
+          betaX: draw(u.betaX, betaX0),
+          saltCoeffs: coeffs0.map((c, i) => draw(u.B, c, i)),
+          t0Offset: (Number(inputs.t0Offset) || 0) + spread(u.t0, 0) * randomNormal(random),
+          salinity: Math.max(1e-6, draw(u.salinity, salinity0))
+        });
+      } catch (e) {
+        if (!(e instanceof CalculationError)) throw e;
+        failed++;
+        continue;
+      }
+      r.dTRange.forEach((dT, j) => {
+        const i = index.get(dT);
+        if (i === undefined) return;
+        masSamples[i].push(r.masValues[j]);
+        mwySamples[i].push(r.mwyValues[j]);
+      });
+    }
+    const bands = (perPoint) => {
+      const sorted = perPoint.map((v) => v.slice().sort((a, b) => a - b));
+      return {
+        p5: sorted.map((v) => percentile(v, 0.05)),
+        p50: sorted.map((v) => percentile(v, 0.5)),
+        p95: sorted.map((v) => percentile(v, 0.95))
+      };
+    };
+    const mas = bands(masSamples);
+    const mwy = bands(mwySamples);
+    const last = nominal.dTRange.length - 1;
+    return {
+      samples,
+      failed,
+      dTRange: nominal.dTRange,
+      counts: masSamples.map((v) => v.length),
+      mas,
+      mwy,
+      masMax: { p5: mas.p5[last], p50: mas.p50[last], p95: mas.p95[last] },
+      mwyMax: { p5: mwy.p5[last], p50: mwy.p50[last], p95: mwy.p95[last] }
+    };
+  }
+
+  /**
+   * One-at-a-time sensitivity of MAS and MWY (at the maximum supercooling).
+   *
+   * Continuous inputs are scaled by (1 ± delta) and reported with their
+   * elasticity (Δy/y) / (Δx/x) from the central difference. The α_sII toggle
+   * and the T₀ fit method are switched instead and only report the change;
+   * the fit is switched to each of the other methods among 'poly', 'spline'
+   * and 'clapeyron' (`method` names it).
+   * Factors are sorted by the larger of their relative MAS and MWY swings.
+   *
+   * @param {Object} inputs  as for calculate()
+   * @param {Object} [options] { delta = 0.05 }
+   * @returns {Object} { delta, base: { mas, mwy }, factors: [{ key, kind, method?, low, high, elasticity }] }
+   *                   low/high are { mas, mwy } or null when the perturbed run fails
+   * @throws {CalculationError} when the nominal inputs themselves fail
+   */
+  function sensitivity(inputs, options) {
+    const delta = options && options.delta !== undefined ? Number(options.delta) : 0.05;
+    if (!(delta > 0 && delta < 1)) {
+      throw new CalculationError('invalid-input', 'delta must lie between 0 and 1');
+    }
+    inputs = withBrineSalinity(inputs);
+    const base = calculate(inputs);
+    const y0 = { mas: base.masMax, mwy: base.mwyMax };
+    const gasDef = inputs.gas === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const gas = getGasObject(inputs.gas, gasDef);
+    const betaX0 = inputs.betaX !== undefined ? Number(inputs.betaX) : gas.betaX;
+    const coeffs0 = inputs.saltCoeffs || [B1, B2, B3];
+    const run = (overrides) => {
+      try {
+        const r = runCalculation({ ...inputs, ...overrides });
+        return { mas: r.masMax, mwy: r.mwyMax };
+      } catch (e) {
+        if (!(e instanceof CalculationError)) throw e;
+        return null;
+      }
+    };
+    const scaled = (f) => [run(f(1 - delta)), run(f(1 + delta))];
+    const withCoeff = (i) => (k) => ({ saltCoeffs: coeffs0.map((c, j) => (j === i ? c * k : c)) });
+    const dTmax = Math.max(Number(inputs.dTmin), Number(inputs.dTmax));
+    const dTmin = Math.min(Number(inputs.dTmin), Number(inputs.dTmax));
+
+    const continuous = [
+      ['salinity', (k) => ({ salinity: Number(inputs.salinity) * k })],
+      ['pressure', (k) => ({ pressure: Number(inputs.pressure) * k })],
+      ['supercooling', (k) => ({ dTmin: Math.min(dTmin, dTmax * k), dTmax: dTmax * k })],
+      ['betaX', (k) => ({ betaX: betaX0 * k })],
+      ['B1', withCoeff(0)],
+      ['B2', withCoeff(1)],
+      ['B3', withCoeff(2)]
+    ].filter(([key]) => !(key === 'pressure' && inputs.gas === 'CP'));
+    const factors = continuous.map(([key, f]) => {
+      const [low, high] = scaled(f);
+      const elasticity = {};
+      for (const m of ['mas', 'mwy']) {
+        elasticity[m] = low && high && y0[m] !== 0 ? ((high[m] - low[m]) / y0[m]) / (2 * delta) : null;
+      }
+      return { key, kind: 'continuous', low, high, elasticity };
+    });
+    if (gas.structure === 'sII') {
+      const useAlpha = inputs.useAlpha !== undefined ? !!inputs.useAlpha : true;
+      factors.push({ key: 'alphaSII', kind: 'switch', low: y0, high: run({ useAlpha: !useAlpha }), elasticity: null });
+    }
+    if (inputs.gas !== 'CP') {
+      // One switch per alternative T₀ fit, so every fit calculate() accepts is compared
+      const current = inputs.fitMethod || 'poly';
+      ['poly', 'spline', 'clapeyron'].filter((m) => m !== current).forEach((method) => {
+        factors.push({ key: 'fitMethod', kind: 'switch', method, low: y0, high: run({ fitMethod: method }), elasticity: null });
+      });
+    }
+    const swing = (fa) => Math.max(...['mas', 'mwy'].map((m) => {
+      const values = [fa.low, fa.high].filter(Boolean).map((v) => Math.abs(v[m] - y0[m]));
+      return values.length && y0[m] !== 0 ? Math.max(...values) / Math.abs(y0[m]) : 0;
+    }));
+    factors.sort((a, b) => swing(b) - swing(a));
+    return { delta, base: y0, factors };
+  }
+
+  /**
+   * MAS/MWY versus operating pressure at a fixed formation temperature.
+   *
+   * At each pressure T₀(P) comes from the gas's fit and the available
+   * supercooling is T₀(P) − Tform. Pressures where the feed itself cannot form
+   * hydrate report MAS = feed salinity and MWY = 0, as in the heatmap.
+   *
+   * @param {Object} inputs  gas/customGas/gasMixture/salt/brine/inhibitor/salinity/
+   *                         fitMethod ('poly', 'spline' or 'clapeyron')/useAlpha as for
+   *                         calculate(), plus
+   * @param {number} inputs.formationTemperature  fixed formation temperature (K)
+   * @param {number} [inputs.pMin] lowest pressure (MPa); defaults to the data range
+   * @param {number} [inputs.pMax] highest pressure (MPa); defaults to the data range
+   * @param {number} [inputs.nPoints=50]
+   * @returns {Object} { pressures, T0Values, dTInitValues, dTTotalValues, masValues, mwyValues,
+   *                   saturatedFlags, masUncappedValues, iceFlags, brineFreezingValues, ... }
+   *                   MAS is capped at the solubility at Tform as in calculate()
+   * @throws {CalculationError}
+   */
+  function pressureSweep(inputs) {
+    inputs = withBrineSalinity(inputs);
+    const gasKey = inputs.gas;
+    const salinity = Number(inputs.salinity);
+    const Tform = Number(inputs.formationTemperature);
+    const fitMethod = inputs.fitMethod || 'poly';
+    const useAlpha = inputs.useAlpha !== undefined ? !!inputs.useAlpha : true;
+    const nPoints = inputs.nPoints || DEFAULT_POINTS;
+    if (gasKey === 'CP') {
+      throw new CalculationError('invalid-input', 'CP is only modelled at 0.1 MPa');
+    }
+    if (isNaN(salinity) || !(Tform > 0)) {
+      throw new CalculationError('invalid-input', 'salinity and formation temperature must be numbers');
+    }
+    const solute = getSolute(inputs.salt, inputs.brine);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    if (inh && salinity + inh.wt >= 100) {
+      throw new CalculationError('invalid-input', 'salt and inhibitor must add up to less than 100 wt%');
+    }
+    const gasDef = gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const gas = getGasObject(gasKey, gasDef);
+    if (!gas) throw new CalculationError('invalid-input', `unknown gas: ${gasKey}`);
+    const ps = (gas.data || []).map((p) => p[1]);
+    if (!ps.length) {
+      throw new CalculationError('t0-unavailable', `no pure-water equilibrium data for ${gasKey}`);
+    }
+    let pMin = inputs.pMin !== undefined && inputs.pMin !== null ? Number(inputs.pMin) : Math.min(...ps);
+    let pMax = inputs.pMax !== undefined && inputs.pMax !== null ? Number(inputs.pMax) : Math.max(...ps);
+    if (!(pMin > 0) || !(pMax > 0)) {
+      throw new CalculationError('invalid-input', 'pressure bounds must be positive');
+    }
+    if (pMin > pMax) [pMin, pMax] = [pMax, pMin];
+    const beta = computeBeta(gas, useAlpha);
+
+    const saltG = salinity;
+    const orgG = inh ? inh.wt : 0;
+    const waterG0 = 100 - saltG - orgG;
+    const lnawInit = inh
+      ? computeSolutionLnaw(saltG, orgG, waterG0, solute, inh).lnaw
+      : computeLnawFromX(solute.xFromSalinity(salinity));
+
+    const pressures = [];
+    const T0Values = [];
+    const dTInitValues = [];
+    const dTTotalValues = [];
+    const masValues = [];
+    const mwyValues = [];
+    // Same solubility cap and ice check as calculate(), at the fixed Tform
+    const solubility = solubilityAt(inputs.salt, Tform);
+    const saturatedFlags = [];
+    const masUncappedValues = [];
+    const brineFreezingValues = [];
+    const iceFlags = [];
+    const step = nPoints > 1 ? (pMax - pMin) / (nPoints - 1) : 0;
+    for (let i = 0; i < nPoints; i++) {
+      const P = pMin + step * i;
+      const T0 = getT0AtPressure(gasKey, P, fitMethod, gasDef);
+      if (!isFinite(T0)) continue;
+      const dTInit = computeDeltaT(beta, lnawInit, T0);
+      const dTTotal = T0 - Tform;
+      let mas = salinity;
+      let mwy = 0;
+      let lnaw = lnawInit;
+      let waterLeft = waterG0;
+      if (dTTotal > dTInit && dTTotal < T0) {
+        const lnawMas = computeLnawFromDelta(beta, dTTotal, T0);
+        const point = concentrateToLnaw(lnawMas, saltG, orgG, waterG0, solute, inh);
+        if (point) {
+          ({ mas, mwy } = point);
+          lnaw = lnawMas;
+          waterLeft = point.waterInSolution;
+        }
+      }
+      const saturated = (saltG / (saltG + waterLeft)) * 100 >= solubility;
+      let masCapped = mas;
+      if (saturated) {
+        const dissolved = waterLeft * solubility / (100 - solubility);
+        masCapped = (dissolved / (dissolved + orgG + waterLeft)) * 100;
+      }
+      const brineFreezing = brineFreezingPoint(lnaw);
+      pressures.push(P);
+      T0Values.push(T0);
+      dTInitValues.push(dTInit);
+      dTTotalValues.push(dTTotal);
+      masValues.push(masCapped);
+      mwyValues.push(mwy);
+      saturatedFlags.push(saturated);
+      masUncappedValues.push(mas);
+      brineFreezingValues.push(brineFreezing);
+      iceFlags.push(Tform < brineFreezing);
+    }
+    if (!pressures.length) {
+      throw new CalculationError('no-points', 'no pressure in the range has a T₀');
+    }
+    const t0Warning = checkT0Range(gasKey, pMax, fitMethod, gasDef) || checkT0Range(gasKey, pMin, fitMethod, gasDef);
+    return {
+      t0Warning,
+      gasKey,
+      saltKey: inputs.salt,
+      initialSalinity: salinity,
+      formationTemperature: Tform,
+      beta,
+      pMin,
+      pMax,
+      pressures,
+      T0Values,
+      dTInitValues,
+      dTTotalValues,
+      masValues,
+      mwyValues,
+      solubility,
+      saturatedFlags,
+      masUncappedValues,
+      brineFreezingValues,
+      iceFlags
+    };
+  }
+
+  /**
+   * One brine across several guests, for side-by-side feasibility plots.
+   *
+   * With basis 'pressure' each gas runs calculate() at its own pressure, or
+   * at the median of its P–T data when none is given. With basis
+   * 'temperature' every gas is run at the pressure where the maximum
+   * supercooling ends at the common formation temperature, i.e. where the
+   * feed's equilibrium temperature equals Tform + dTmax; that pressure is
+   * solved on T₀(P) over the gas's data range. A gas that cannot be run
+   * reports `error` instead of `result`, so one bad entry does not hide the
+   * others.
+   *
+   * @param {Object} inputs  salt/brine/inhibitor/salinity/dTmin/dTmax/fitMethod/
+   *                         useAlpha/nPoints as for calculate(), plus
+   * @param {Object[]} inputs.gases  [{ gas, customGas, gasMixture, pressure }]
+   * @param {string} [inputs.basis='pressure']  'pressure' or 'temperature'
+   * @param {number} [inputs.formationTemperature] common formation temperature (K)
+   * @returns {Object} { basis, formationTemperature, entries: [{ gasKey, pressure,
+   *                   pressureSource: 'given'|'median'|'solved'|'fixed', result } | { gasKey, error }] }
+   * @throws {CalculationError} when no gas is given or the basis is invalid
+   */
+  function compareGases(inputs) {
+    inputs = withBrineSalinity(inputs);
+    const gases = inputs.gases || [];
+    const basis = inputs.basis || 'pressure';
+    const Tform = Number(inputs.formationTemperature);
+    if (!gases.length) throw new CalculationError('invalid-input', 'select at least one gas to compare');
+    if (basis !== 'pressure' && basis !== 'temperature') {
+      throw new CalculationError('invalid-input', `unknown comparison basis: ${basis}`);
+    }
+    if (basis === 'temperature' && !(Tform > 0)) {
+      throw new CalculationError('invalid-input', 'formation temperature must be a positive number');
+    }
+    const salinity = Number(inputs.salinity);
+    const dTmax = Math.max(Number(inputs.dTmin), Number(inputs.dTmax));
+    const solute = getSolute(inputs.salt, inputs.brine);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    const lnawInit = inh
+      ? computeSolutionLnaw(salinity, inh.wt, 100 - salinity - inh.wt, solute, inh).lnaw
+      : computeLnawFromX(solute.xFromSalinity(salinity));
+    const useAlpha = inputs.useAlpha !== undefined ? !!inputs.useAlpha : true;
+    const fitMethod = inputs.fitMethod || 'poly';
+
+    // Pressure whose T₀ puts the feed's equilibrium temperature at Tform + dTmax
+    const solvePressure = (gasKey, gas, gasDef) => {
+      const Teq = Tform + dTmax;
+      const c = computeBeta(gas, useAlpha) * lnawInit;
+      if (c * Teq >= 1) throw new CalculationError('no-points', 'no T₀ reaches the formation temperature');
+      const T0Needed = Teq / (1 - c * Teq);
+      const ps = (gas.data || []).map((p) => p[1]);
+      if (!ps.length) throw new CalculationError('t0-unavailable', `no pure-water equilibrium data for ${gasKey}`);
+      const f = (P) => getT0AtPressure(gasKey, P, fitMethod, gasDef) - T0Needed;
+      let low = Math.min(...ps);
+      let high = Math.max(...ps);
+      if (f(low) > 0 || f(high) < 0) {
+        const err = new CalculationError('t0-unavailable', `T₀ = ${T0Needed.toFixed(2)} K lies outside the ${gasKey} data`);
+        err.reason = 'pressure-range';
+        err.T0 = T0Needed;
+        throw err;
+      }
+      for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (f(mid) < 0) low = mid; else high = mid;
+      }
+      return (low + high) / 2;
+    };
+
+    const entries = gases.map((entry) => {
+      const gasKey = entry.gas;
+      try {
+        const gasDef = gasKey === GAS_MIXTURE_KEY ? buildGasMixture(entry.gasMixture) : entry.customGas;
+        const gas = getGasObject(gasKey, gasDef);
+        if (!gas) throw new CalculationError('invalid-input', `unknown gas: ${gasKey}`);
+        let pressure;
+        let pressureSource;
+        if (gasKey === 'CP') {
+          if (basis === 'temperature') {
+            throw new CalculationError('invalid-input', 'CP is only modelled at 0.1 MPa');
+          }
+          pressure = 0.1;
+          pressureSource = 'fixed';
+        } else if (basis === 'temperature') {
+          pressure = solvePressure(gasKey, gas, gasDef);
+          pressureSource = 'solved';
+        } else if (Number(entry.pressure) > 0) {
+          pressure = Number(entry.pressure);
+          pressureSource = 'given';
+        } else {
+          const ps = (gas.data || []).map((p) => p[1]);
+          if (!ps.length) throw new CalculationError('t0-unavailable', `no pure-water equilibrium data for ${gasKey}`);
+          pressure = median(ps);
+          pressureSource = 'median';
+        }
+        const result = calculate({
+          gas: gasKey,
+          customGas: entry.customGas,
+          gasMixture: entry.gasMixture,
+          salt: inputs.salt,
+          brine: inputs.brine,
+          inhibitor: inputs.inhibitor,
+          salinity: inputs.salinity,
+          pressure,
+          dTmin: inputs.dTmin,
+          dTmax: inputs.dTmax,
+          fitMethod,
+          useAlpha,
+          nPoints: inputs.nPoints
+        });
+        return { gasKey, pressure, pressureSource, result };
+      } catch (e) {
+        if (!(e instanceof CalculationError)) throw e;
+        return { gasKey, error: { code: e.code, message: e.message, reason: e.reason, T0: e.T0 } };
+      }
+    });
+    return { basis, formationTemperature: basis === 'temperature' ? Tform : undefined, entries };
+  }
+
+  // Split a liquid stream {mass, salt, inhibitor} (g) into its water and wt%
+  function describeStream(mass, salt, inhibitor) {
+    return {
+      mass,
+      salt,
+      inhibitor,
+      water: mass - salt - inhibitor,
+      salinity: mass > 0 ? (salt / mass) * 100 : 0,
+      inhibitorWt: mass > 0 ? (inhibitor / mass) * 100 : 0
+    };
+  }
+
+  /**
+   * Chain single-batch stages into a staged (cascade) process.
+   *
+   * Each stage runs the same MAS/MWY model as calculate() at its own gas,
+   * pressure and extra supercooling dT (relative to its feed's equilibrium).
+   * Hydrate water leaves as the melted product, optionally carrying entrained
+   * brine; the rest is the concentrated brine. Stage i+1 takes either the
+   * brine or the product of stage i as feed, and the stream that is not passed
+   * on leaves the cascade.
+   *
+   * @param {Object} inputs
+   * @param {string} inputs.salt       salt key or 'Mixed' (ratios are kept through the cascade)
+   * @param {Object} [inputs.brine]    composition for 'Mixed'
+   * @param {number} inputs.salinity   feed salinity (wt%); taken from the composition for 'Mixed'
+   * @param {Object} [inputs.inhibitor] organic inhibitor; stays in the liquid like the salt
+   * @param {number} [inputs.feedMass=100] feed mass (g)
+   * @param {Object[]} inputs.stages   [{ gas, customGas, gasMixture, pressure, dT,
+   *                                   feedFrom: 'brine'|'product', entrainment }]; feedFrom is
+   *                                   ignored for the first stage, entrainment is g of brine
+   *                                   carried per g of hydrate water (default 0)
+   * @param {string} [inputs.fitMethod='poly'] 'poly', 'spline' or 'clapeyron'
+   * @param {boolean} [inputs.useAlpha=true]
+   * @returns {Object} { feed, stages, outlets, recoveredWater, waterRecovery, productSalinity, finalBrineSalinity }
+   * @throws {CalculationError} err.stage holds the 0-based index of the failing stage
+   */
+  function simulateCascade(inputs) {
+    const stages = inputs.stages || [];
+    if (!stages.length) {
+      throw new CalculationError('invalid-input', 'a cascade needs at least one stage');
+    }
+    const feedMass = inputs.feedMass !== undefined ? Number(inputs.feedMass) : 100;
+    const salinity = Number(withBrineSalinity(inputs).salinity);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    if (!(feedMass > 0) || !(salinity >= 0)) {
+      throw new CalculationError('invalid-input', 'feed mass and salinity must be positive numbers');
+    }
+    const feed = describeStream(feedMass, feedMass * salinity / 100, inh ? feedMass * inh.wt / 100 : 0);
+    let stream = feed;
+    const results = [];
+    const outlets = [];
+    stages.forEach((stage, index) => {
+      const entrainment = stage.entrainment !== undefined ? Number(stage.entrainment) : 0;
+      const fail = (code, message) => {
+        const err = new CalculationError(code, `stage ${index + 1}: ${message}`);
+        err.stage = index;
+        return err;
+      };
+      if (!(stream.mass > 0)) throw fail('invalid-input', 'the feed stream is empty');
+      if (!(entrainment >= 0)) throw fail('invalid-input', 'entrainment must be zero or positive');
+      let r;
+      try {
+        // A single point at dT: both ends of the sweep coincide
+        r = runCalculation({
+          gas: stage.gas,
+          customGas: stage.customGas,
+          gasMixture: stage.gasMixture,
+          salt: inputs.salt,
+          brine: inputs.brine,
+          salinity: stream.salinity,
+          inhibitor: inh ? { ...inputs.inhibitor, wt: stream.inhibitorWt } : undefined,
+          pressure: stage.pressure,
+          dTmin: stage.dT,
+          dTmax: stage.dT,
+          fitMethod: inputs.fitMethod,
+          useAlpha: inputs.useAlpha,
+          nPoints: 2
+        });
+      } catch (e) {
+        if (e instanceof CalculationError) throw fail(e.code, e.message);
+        throw e;
+      }
+      // A salt-free feed (product of a stage without entrainment) is fresh
+      // water: no suppression, so it sits at the pure-water equilibrium and
+      // its brine holds no salt, whatever salinity the sweep reports as MAS
+      const saltFree = !(stream.salt > 0);
+      const hydrateWater = stream.water * r.mwyMax / 100;
+      const brineBefore = stream.mass - hydrateWater;
+      const entrained = Math.min(brineBefore, entrainment * hydrateWater);
+      const share = brineBefore > 0 ? entrained / brineBefore : 0;
+      const product = describeStream(hydrateWater + entrained, stream.salt * share, stream.inhibitor * share);
+      const brine = describeStream(brineBefore - entrained, stream.salt - product.salt, stream.inhibitor - product.inhibitor);
+      const next = stages[index + 1];
+      const passOn = next ? (next.feedFrom === 'product' ? 'product' : 'brine') : null;
+      if (passOn !== 'product') outlets.push({ stage: index, kind: 'product', ...product });
+      if (passOn !== 'brine') outlets.push({ stage: index, kind: 'brine', ...brine });
+      results.push({
+        index,
+        gasKey: r.gasKey,
+        pressure: r.pressure,
+        dT: stage.dT,
+        feedFrom: index === 0 ? 'feed' : (stage.feedFrom === 'product' ? 'product' : 'brine'),
+        entrainment,
+        T0_op: r.T0_op,
+        tMasOp: r.tMasOp,
+        mas: saltFree ? 0 : r.masMax,
+        mwy: r.mwyMax,
+        hydrateWater,
+        feed: stream,
+        product,
+        brine
+      });
+      stream = passOn === 'product' ? product : brine;
+    });
+    const productOutlets = outlets.filter((o) => o.kind === 'product');
+    const recoveredMass = productOutlets.reduce((sum, o) => sum + o.mass, 0);
+    const recoveredSalt = productOutlets.reduce((sum, o) => sum + o.salt, 0);
+    const recoveredWater = productOutlets.reduce((sum, o) => sum + o.water, 0);
+    const last = results[results.length - 1];
+    return {
+      feed,
+      stages: results,
+      outlets,
+      recoveredWater,
+      waterRecovery: (recoveredWater / feed.water) * 100,
+      productSalinity: recoveredMass > 0 ? (recoveredSalt / recoveredMass) * 100 : 0,
+      finalBrineSalinity: last.brine.salinity
+    };
+  }
+
+  // Hydrate unit cells: lattice constant (nm) and water molecules per cell
+  const HYDRATE_CELLS = { sI: { a: 1.20, water: 46 }, sII: { a: 1.73, water: 136 } };
+  const AVOGADRO = 6.02214076e23;
+
+  // Peng–Robinson a(T) and b (SI units) for { gasKey: mole fraction }, with
+  // one-fluid mixing and zero binary interaction parameters
+  function pengRobinsonParams(components, T) {
+    const terms = Object.entries(components).map(([key, y]) => {
+      const c = gasData[key] && gasData[key].critical;
+      if (!c) throw new CalculationError('invalid-input', `no critical constants for ${key}`);
+      const Pc = c.Pc * 1e6;
+      const kappa = 0.37464 + 1.54226 * c.omega - 0.26992 * c.omega * c.omega;
+      const alpha = Math.pow(1 + kappa * (1 - Math.sqrt(T / c.Tc)), 2);
+      return {
+        y,
+        a: 0.45724 * GAS_CONSTANT * GAS_CONSTANT * c.Tc * c.Tc / Pc * alpha,
+        b: 0.07780 * GAS_CONSTANT * c.Tc / Pc
+      };
+    });
+    let a = 0;
+    let b = 0;
+    terms.forEach((i) => {
+      b += i.y * i.b;
+      terms.forEach((j) => { a += i.y * j.y * Math.sqrt(i.a * j.a); });
+    });
+    return { a, b };
+  }
+
+  // Pressure (MPa) of n mol of gas in V m³ at T
+  function pengRobinsonPressure(components, n, V, T) {
+    const { a, b } = pengRobinsonParams(components, T);
+    const v = V / n;
+    return (GAS_CONSTANT * T / (v - b) - a / (v * v + 2 * b * v - b * b)) / 1e6;
+  }
+
+  /**
+   * Peng–Robinson compressibility factor at P (MPa) and T (K): the largest
+   * root of the cubic. `liquidStable` is set when the stable phase at these
+   * conditions is a liquid (a liquid root with the lower fugacity, or a single
+   * dense root below the critical temperature), i.e. the guest would condense.
+   */
+  function pengRobinsonZ(components, P, T) {
+    const { a, b } = pengRobinsonParams(components, T);
+    const RT = GAS_CONSTANT * T;
+    const A = a * P * 1e6 / (RT * RT);
+    const B = b * P * 1e6 / RT;
+    // Z³ + c2·Z² + c1·Z + c0 = 0, solved in depressed form t = Z + c2/3
+    const c2 = B - 1;
+    const c1 = A - 3 * B * B - 2 * B;
+    const c0 = -(A * B - B * B - B * B * B);
+    const p = c1 - c2 * c2 / 3;
+    const q = 2 * c2 * c2 * c2 / 27 - c2 * c1 / 3 + c0;
+    const disc = q * q / 4 + p * p * p / 27;
+    let roots;
+    if (disc >= 0) {
+      const s = Math.sqrt(disc);
+      roots = [Math.cbrt(-q / 2 + s) + Math.cbrt(-q / 2 - s)];
+    } else {
+      const r = Math.sqrt(-p / 3);
+      const phi = Math.acos(Math.max(-1, Math.min(1, -q / (2 * r * r * r))));
+      roots = [0, 1, 2].map((k) => 2 * r * Math.cos((phi - 2 * Math.PI * k) / 3));
+    }
+    roots = roots.map((t) => t - c2 / 3).filter((z) => z > B).sort((x, y) => x - y);
+    const lnPhi = (z) => z - 1 - Math.log(z - B)
+      - A / (2 * Math.SQRT2 * B) * Math.log((z + (1 + Math.SQRT2) * B) / (z + (1 - Math.SQRT2) * B));
+    const z = roots[roots.length - 1];
+    // A single root below the pseudo-critical temperature is liquid when it is
+    // denser than the Peng–Robinson critical volume (Z_c = 0.3074)
+    const Tc = Object.entries(components).reduce((sum, [key, y]) => sum + y * gasData[key].critical.Tc, 0);
+    const Pc = Object.entries(components).reduce((sum, [key, y]) => sum + y * gasData[key].critical.Pc, 0);
+    const liquidStable = roots.length > 1
+      ? lnPhi(roots[0]) < lnPhi(z)
+      : T < Tc && z * RT / (P * 1e6) < 0.3074 * GAS_CONSTANT * Tc / (Pc * 1e6);
+    return { z, liquidStable };
+  }
+
+  /**
+   * Batch (closed-vessel) formation: the headspace gas is consumed as hydrate
+   * grows, so the pressure falls until it meets the equilibrium of the
+   * concentrated brine at the formation temperature.
+   *
+   * The charged gas is cooled isochorically from (P₀, T₀) to the formation
+   * temperature without forming hydrate (metastable), then hydrate forms
+   * isothermally. At each trial pressure the HLS balance gives the water in
+   * hydrate, the hydration number turns it into moles of gas, and the
+   * Peng–Robinson equation gives the gas left in the headspace that remains
+   * once the liquid and hydrate volumes are taken out. The final pressure is
+   * where the two add up to the gas charged. Past the salt solubility at the
+   * formation temperature MAS is capped as in calculate() and the excess salt
+   * is left as a solid that takes up liquid volume. Gas solubility in the brine
+   * and any change of mixture composition are neglected.
+   *
+   * @param {Object} inputs  gas/customGas/gasMixture/salt/brine/inhibitor/salinity/
+   *                         fitMethod/useAlpha/hydrationNumber as for calculate(), plus
+   * @param {number} inputs.volume               reactor volume (L)
+   * @param {number} inputs.brineMass            brine charged (g)
+   * @param {number} inputs.initialPressure      charge pressure (MPa)
+   * @param {number} inputs.initialTemperature   charge temperature (K)
+   * @param {number} [inputs.formationTemperature] defaults to the charge temperature
+   * @returns {Object} { cooledPressure, finalPressure, mas, masUncapped, precipitatedSalt,
+   *                     mwy, gasConsumed, path, open, ... }
+   * @throws {CalculationError}
+   */
+  function simulateClosedReactor(inputs) {
+    inputs = withBrineSalinity(inputs);
+    const gasKey = inputs.gas;
+    const salinity = Number(inputs.salinity);
+    const volume = Number(inputs.volume);
+    const brineMass = Number(inputs.brineMass);
+    const P0 = Number(inputs.initialPressure);
+    const Ti = Number(inputs.initialTemperature);
+    const given = inputs.formationTemperature;
+    const Tf = given !== undefined && given !== null && given !== '' ? Number(given) : Ti;
+    const fitMethod = inputs.fitMethod || 'poly';
+    const useAlpha = inputs.useAlpha !== undefined ? !!inputs.useAlpha : true;
+    if (gasKey === 'CP') {
+      throw new CalculationError('invalid-input', 'CP is a liquid guest; the closed-vessel mode needs a gas');
+    }
+    if (!(salinity >= 0) || !(volume > 0) || !(brineMass > 0) || !(P0 > 0) || !(Ti > 0) || !(Tf > 0)) {
+      throw new CalculationError('invalid-input', 'volume, brine mass, pressure and temperatures must be positive numbers');
+    }
+    const solute = getSolute(inputs.salt, inputs.brine);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    if (inh && salinity + inh.wt >= 100) {
+      throw new CalculationError('invalid-input', 'salt and inhibitor must add up to less than 100 wt%');
+    }
+    const gasDef = gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const gas = getGasObject(gasKey, gasDef);
+    if (!gas) throw new CalculationError('invalid-input', `unknown gas: ${gasKey}`);
+    const components = gasKey === GAS_MIXTURE_KEY ? gasDef.fractions : { [gasKey]: 1 };
+    pengRobinsonParams(components, Ti); // fails early without critical constants
+    const override = inputs.hydrationNumber;
+    if (override !== undefined && !(Number(override) > 0)) {
+      throw new CalculationError('invalid-input', 'hydration number must be positive');
+    }
+    const hydrationNumber = override !== undefined
+      ? Number(override)
+      : (gas.hydrationNumber || HYDRATION_NUMBERS[gas.structure]);
+    const molarMass = Number(gas.molarMass);
+    const beta = computeBeta(gas, useAlpha);
+
+    // Per 100 g of brine, scaled to the charge at the end
+    const scale = brineMass / 100;
+    const saltG = salinity;
+    const orgG = inh ? inh.wt : 0;
+    const waterG0 = 100 - saltG - orgG;
+    const lnawInit = inh
+      ? computeSolutionLnaw(saltG, orgG, waterG0, solute, inh).lnaw
+      : computeLnawFromX(solute.xFromSalinity(salinity));
+
+    // Brine density (g/cm³) linear in dissolved wt%; hydrate density from its unit cell
+    const brineDensity = (wt) => 1 + 0.0072 * wt;
+    const cell = HYDRATE_CELLS[gas.structure];
+    const hydrateDensity = (cell.water * WATER_MOLAR_MASS + cell.water / hydrationNumber * molarMass)
+      / (AVOGADRO * Math.pow(cell.a * 1e-7, 3));
+    // Crystalline salt taken as halite (2.165 g/cm³) whatever the electrolyte
+    const solidSaltDensity = 2.165;
+    const solubility = solubilityAt(inputs.salt, Tf);
+    const V = volume * 1e-3;
+    const headspaceInitial = V - brineMass / brineDensity(saltG + orgG) * 1e-6;
+    if (!(headspaceInitial > 0)) {
+      throw new CalculationError('invalid-input', 'the brine fills the reactor: no headspace left');
+    }
+
+    const charge = pengRobinsonZ(components, P0, Ti);
+    const n0 = P0 * 1e6 * headspaceInitial / (charge.z * GAS_CONSTANT * Ti);
+    const path = [];
+    const coolingSteps = Ti === Tf ? 0 : 20;
+    for (let i = 0; i <= coolingSteps; i++) {
+      const T = Ti + (Tf - Ti) * i / (coolingSteps || 1);
+      path.push({ T, P: pengRobinsonPressure(components, n0, headspaceInitial, T), stage: 'cooling', mas: salinity, mwy: 0 });
+    }
+    const cooledPressure = path[path.length - 1].P;
+    const condensesOnCooling = path.some((pt) => pengRobinsonZ(components, pt.P, pt.T).liquidStable);
+
+    // Water in hydrate from the HLS balance at Tf and P, salt precipitated past
+    // the solubility (g, whole charge)
+    const stateAt = (P) => {
+      const T0 = getT0AtPressure(gasKey, P, fitMethod, gasDef);
+      const none = { P, T0, mas: salinity, masUncapped: salinity, mwy: 0, waterHydrate: 0, precipitatedSalt: 0, saturated: (saltG / (saltG + waterG0)) * 100 >= solubility };
+      if (!isFinite(T0)) return none;
+      const dTTotal = T0 - Tf;
+      if (!(dTTotal > computeDeltaT(beta, lnawInit, T0)) || dTTotal >= T0) return none;
+      const point = concentrateToLnaw(computeLnawFromDelta(beta, dTTotal, T0), saltG, orgG, waterG0, solute, inh);
+      if (!point) return none;
+      const water = point.waterInSolution;
+      // Same cap as calculate(): salt wt% on an inhibitor-free basis against the solubility
+      const saturated = (saltG / (saltG + water)) * 100 >= solubility;
+      let mas = point.mas;
+      let precipitated = 0;
+      if (saturated) {
+        const dissolved = water * solubility / (100 - solubility);
+        precipitated = saltG - dissolved;
+        mas = (dissolved / (dissolved + orgG + water)) * 100;
+      }
+      return {
+        P, T0, mas, masUncapped: point.mas, mwy: point.mwy, saturated,
+        waterHydrate: (waterG0 - water) * scale,
+        precipitatedSalt: precipitated * scale
+      };
+    };
+    // Gas balance at P: > 0 when the headspace and hydrate hold less gas than was charged
+    const balance = (P) => {
+      const s = stateAt(P);
+      const consumed = s.waterHydrate / WATER_MOLAR_MASS / hydrationNumber;
+      const hydrateMass = s.waterHydrate + consumed * molarMass;
+      const liquidMass = brineMass - s.waterHydrate - s.precipitatedSalt;
+      const liquidVolume = liquidMass / brineDensity(((saltG + orgG) * scale - s.precipitatedSalt) / liquidMass * 100);
+      const solids = hydrateMass / hydrateDensity + s.precipitatedSalt / solidSaltDensity;
+      const headspace = V - (liquidVolume + solids) * 1e-6;
+      const eos = pengRobinsonZ(components, P, Tf);
+      const headMoles = headspace > 0 ? P * 1e6 * headspace / (eos.z * GAS_CONSTANT * Tf) : 0;
+      return { ...s, consumed, hydrateMass, headspace, z: eos.z, liquidStable: eos.liquidStable, headMoles, residual: n0 - consumed - headMoles };
+    };
+
+    const open = stateAt(cooledPressure);
+    let final = balance(cooledPressure);
+    const noHydrate = !(final.waterHydrate > 0);
+    if (!noHydrate) {
+      // Walk down until the gas balance turns positive, then bisect
+      let hi = cooledPressure;
+      let lo = hi;
+      for (let i = 0; i < 300 && balance(lo).residual < 0; i++) {
+        hi = lo;
+        lo *= 0.97;
+      }
+      for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (balance(mid).residual < 0) hi = mid; else lo = mid;
+      }
+      final = balance((lo + hi) / 2);
+      const formationSteps = 15;
+      for (let i = 1; i <= formationSteps; i++) {
+        const s = i === formationSteps ? final : balance(cooledPressure + (final.P - cooledPressure) * i / formationSteps);
+        path.push({ T: Tf, P: s.P, stage: 'formation', mas: s.mas, mwy: s.mwy });
+      }
+    }
+
+    const finalLnaw = noHydrate ? lnawInit : computeLnawFromDelta(beta, final.T0 - Tf, final.T0);
+    return {
+      gasKey,
+      saltKey: inputs.salt,
+      initialSalinity: salinity,
+      components,
+      structure: gas.structure,
+      beta,
+      hydrationNumber,
+      molarMass,
+      hydrateDensity,
+      volume,
+      brineMass,
+      initialPressure: P0,
+      initialTemperature: Ti,
+      formationTemperature: Tf,
+      initialZ: charge.z,
+      initialMoles: n0,
+      headspaceInitial: headspaceInitial * 1e3,
+      cooledPressure,
+      finalPressure: final.P,
+      finalT0: final.T0,
+      finalZ: final.z,
+      noHydrate,
+      mas: final.mas,
+      masUncapped: final.masUncapped,
+      mwy: final.mwy,
+      waterInHydrate: final.waterHydrate,
+      precipitatedSalt: final.precipitatedSalt,
+      hydrateMass: final.hydrateMass,
+      gasConsumed: final.consumed,
+      gasConsumedMass: final.consumed * molarMass,
+      gasFinal: final.headMoles,
+      headspaceFinal: final.headspace * 1e3,
+      pressureDrop: cooledPressure - final.P,
+      // Same brine held at the cooled pressure with unlimited gas
+      open: { pressure: cooledPressure, mas: open.mas, mwy: open.mwy },
+      lnawInit,
+      finalLnaw,
+      condensation: charge.liquidStable || condensesOnCooling || final.liquidStable,
+      saturated: final.saturated,
+      solubility,
+      ice: Tf < brineFreezingPoint(finalLnaw),
+      t0Warning: checkT0Range(gasKey, cooledPressure, fitMethod, gasDef) || checkT0Range(gasKey, final.P, fitMethod, gasDef),
+      path
+    };
+  }
+
+  // Saved scenarios. Version 1 is a bare calculate() result as saved before
+  // scenarios existed; version 2 adds every input and the coefficients used.
+  const SCENARIO_FORMAT = 'hls-scenario';
+  const SCENARIO_VERSION = 2;
+
+  // Model constants and reference data a calculate() run with these inputs
+  // depends on beyond the inputs themselves
+  function scenarioCoefficients(inputs) {
+    const gasKey = inputs.gas;
+    const gasDef = gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : inputs.customGas;
+    const gas = getGasObject(gasKey, gasDef);
+    if (!gas) throw new CalculationError('invalid-input', `unknown gas: ${gasKey}`);
+    const inh = resolveInhibitor(inputs.inhibitor);
+    const solute = getSolute(inputs.salt, inputs.brine);
+    const salt = saltProps[inputs.salt];
+    return {
+      B: (inputs.saltCoeffs || [B1, B2, B3]).map(Number),
+      alphaSII: ALPHA_SII,
+      betaX: inputs.betaX !== undefined ? Number(inputs.betaX) : gas.betaX,
+      structure: gas.structure,
+      gasData: gas.data ? gas.data.map((p) => [p[0], p[1]]) : null,
+      t0Atm: gas.t0_atm !== undefined ? gas.t0_atm : null,
+      salt: salt ? { molarMass: salt.molarMass, cation: { ...salt.cation }, anion: { ...salt.anion } } : null,
+      brine: solute.coeffs ? { a: solute.coeffs.a, b: solute.coeffs.b } : null,
+      inhibitor: inh ? inh.coeffs.slice() : null
+    };
+  }
+
+  /**
+   * Versioned snapshot of a calculation: the calculate() inputs, any extra
+   * page settings (energy, uncertainty) and the coefficients in force, so a
+   * saved result can be rerun exactly and checked against the current model.
+   *
+   * @param {Object} inputs  calculate() inputs
+   * @param {Object} [extras] other settings stored alongside, e.g. { energy, uncertainty }
+   * @returns {Object} { format, version, inputs, ...extras, coefficients }
+   * @throws {CalculationError}
+   */
+  function describeScenario(inputs, extras) {
+    return {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      inputs: JSON.parse(JSON.stringify(inputs)),
+      ...JSON.parse(JSON.stringify(extras || {})),
+      coefficients: scenarioCoefficients(inputs)
+    };
+  }
+
+  /**
+   * Bring a saved result up to the current scenario version.
+   *
+   * Version 1 entries are rebuilt from their result fields. Settings that were
+   * not stored are inferred where the result pins them down (α_sII from β,
+   * the T₀ fit from T₀ at the operating pressure) and listed in `assumed`
+   * when they had to be guessed. The migrated scenario keeps `migratedFrom`
+   * and `assumed`, so it can be stored in place of the old entry.
+   *
+   * @param {Object} entry  saved result
+   * @returns {Object} { scenario, fromVersion, assumed: string[] }
+   * @throws {CalculationError} for entries from a newer version
+   */
+  function migrateScenario(entry) {
+    const saved = entry && entry.scenario;
+    if (saved && saved.format === SCENARIO_FORMAT) {
+      if (!(saved.version <= SCENARIO_VERSION)) {
+        throw new CalculationError('invalid-input', `scenario version ${saved.version} is newer than ${SCENARIO_VERSION}`);
+      }
+      return { scenario: saved, fromVersion: saved.migratedFrom || saved.version, assumed: saved.assumed || [] };
+    }
+    const r = entry || {};
+    const dT = r.dTRange || [];
+    const assumed = [];
+    const inputs = {
+      gas: r.gasKey,
+      salt: r.saltKey,
+      salinity: r.initialSalinity,
+      pressure: r.pressure,
+      dTmin: dT[0],
+      dTmax: dT[dT.length - 1]
+    };
+    if (r.brine) inputs.brine = r.brine;
+    if (r.inhibitor) inputs.inhibitor = { key: r.inhibitor.key, wt: r.inhibitor.wt, cls: r.inhibitor.cls, coeffs: r.inhibitor.coeffs };
+    if (r.gasMixture) {
+      inputs.gasMixture = r.gasMixture.spec || { components: r.gasMixture.fractions, structure: r.gasMixture.structure };
+    }
+    if (r.gasUptake && r.gasUptake.hydrationNumberOverride !== undefined) {
+      inputs.hydrationNumber = r.gasUptake.hydrationNumberOverride;
+    }
+    if (r.gasKey === 'Custom') assumed.push('customGas');
+
+    let gas = null;
+    try {
+      gas = getGasObject(r.gasKey, r.gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : undefined);
+    } catch (_) { gas = null; }
+    // α_sII only matters for structure II; β = betaX·10⁻³·α tells which was used
+    inputs.useAlpha = true;
+    if (gas && gas.structure === 'sII' && isFinite(r.beta)) {
+      const base = gas.betaX * 1e-3;
+      inputs.useAlpha = Math.abs(r.beta - base * ALPHA_SII) <= Math.abs(r.beta - base);
+    } else if (!gas) {
+      assumed.push('useAlpha');
+    }
+    // The fit whose T₀ at the operating pressure matches the stored one
+    inputs.fitMethod = 'poly';
+    if (gas && r.gasKey !== 'CP') {
+      const match = ['poly', 'spline', 'clapeyron'].find((m) => {
+        const T0 = getT0AtPressure(r.gasKey, r.pressure, m, r.gasKey === GAS_MIXTURE_KEY ? buildGasMixture(inputs.gasMixture) : undefined);
+        return Math.abs(T0 - r.T0_op) <= 1e-9 * Math.abs(r.T0_op);
+      });
+      if (match) inputs.fitMethod = match; else assumed.push('fitMethod');
+    } else if (!gas) {
+      assumed.push('fitMethod');
+    }
+    const scenario = { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, migratedFrom: 1, assumed, inputs, coefficients: null };
+    if (r.energy) scenario.energy = { feedTemperature: r.energy.feedTemperature, cop: r.energy.cop };
+    if (r.uncertainty && r.uncertainty.spec) {
+      scenario.uncertainty = { samples: r.uncertainty.samples, spec: r.uncertainty.spec };
+    }
+    return { scenario, fromVersion: 1, assumed };
+  }
+
+  // Coefficients that differ between a saved scenario and the same inputs now:
+  // [{ field, saved, current }]. Version 1 scenarios carry none to compare.
+  function scenarioChanges(scenario) {
+    if (!scenario || !scenario.coefficients) return [];
+    const current = scenarioCoefficients(scenario.inputs);
+    return Object.keys(current)
+      .filter((field) => JSON.stringify(scenario.coefficients[field]) !== JSON.stringify(current[field]))
+      .map((field) => ({ field, saved: scenario.coefficients[field], current: current[field] }));
+  }
+
+  // JSON with object keys sorted at every level and unset (null/undefined)
+  // keys dropped, so equal values serialize equally
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map((v) => (v === undefined ? 'null' : canonicalJSON(v))).join(',')}]`;
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter((k) => value[k] !== undefined && value[k] !== null)
+        .map((k) => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Fingerprint of what a scenario was run with: its inputs and the energy and
+   * uncertainty settings, ignoring key order, coefficients and migration notes.
+   * A 32-bit hash can collide, so confirm a match with sameScenario().
+   *
+   * @param {Object} scenario  describeScenario()/migrateScenario() scenario
+   * @returns {string} 8 hex digits (FNV-1a of the canonical JSON)
+   */
+  function scenarioFingerprint(scenario) {
+    const text = scenarioIdentity(scenario);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
+
+  // Canonical JSON of what a scenario was run with (see scenarioFingerprint)
+  function scenarioIdentity(scenario) {
+    return canonicalJSON({
+      inputs: scenario.inputs,
+      energy: scenario.energy || null,
+      uncertainty: scenario.uncertainty || null
+    });
+  }
+
+  // Whether two scenarios are the same calculation: the exact check behind a
+  // matching scenarioFingerprint()
+  function sameScenario(a, b) {
+    return scenarioIdentity(a) === scenarioIdentity(b);
+  }
+
+  // Pure-water, initial-salinity and MAS equilibrium curves over a gas's P–T data
+  function equilibriumCurves(gas, beta, lnawInit, lnawMas) {
+    const pureCurve = [];
+    const initCurve = [];
+    const masCurve = [];
+    if (gas && gas.data && gas.data.length) {
+      gas.data.forEach(([T0, P]) => {
+        const dT_init = computeDeltaT(beta, lnawInit, T0);
+        const T_init_eq = T0 - dT_init;
+        const dT_mas = computeDeltaT(beta, lnawMas, T0);
+        const T_mas_eq = T0 - dT_mas;
+        pureCurve.push({ x: T0, y: P });
+        initCurve.push({ x: T_init_eq, y: P });
+        masCurve.push({ x: T_mas_eq, y: P });
+      });
+    }
+    // Sort curves by temperature ascending for better rendering
+    pureCurve.sort((a, b) => a.x - b.x);
+    initCurve.sort((a, b) => a.x - b.x);
+    masCurve.sort((a, b) => a.x - b.x);
+    return { pureCurve, initCurve, masCurve };
+  }
+
+  /**
+   * MAS/MWY for one heatmap cell: initial salinity sInit held at formation
+   * temperature Tform with pure-water equilibrium T0. Cells where hydrate
+   * cannot form return mwy = 0 and mas = sInit; `ice` marks cells below the
+   * brine's freezing point and `saturated` cells where MAS is capped at the
+   * salt's solubility. `brine` is only needed for saltKey 'Mixed'.
+   */
+  function evaluateFormationTemperature(beta, T0, saltKey, sInit, Tform, brine) {
+    const solute = getSolute(saltKey, brine);
+    const X_init = solute.xFromSalinity(sInit);
+    const lnaw_init = computeLnawFromX(X_init);
+    const dT_init_op = computeDeltaT(beta, lnaw_init, T0);
+    let mwy = 0;
+    let mas = sInit;
+    let dmas = 0;
+    let lnawBrine = lnaw_init;
+    const dT_total = Math.max(0, T0 - Tform);
+    if (dT_total >= dT_init_op && dT_total < T0) {
+      const lnawMas = computeLnawFromDelta(beta, dT_total, T0);
+      if (isFinite(lnawMas) && lnawMas < 0) {
+        const X_mas = solveXFromLnaw(lnawMas);
+        const masCalc = solute.salinityFromX(X_mas);
+        if (isFinite(masCalc) && masCalc > 0) {
+          mas = masCalc;
+          dmas = Math.max(0, mas - sInit);
+          mwy = Math.max(0, Math.min(100, ((masCalc - sInit) / masCalc) * 100));
+          lnawBrine = lnawMas;
+        }
+      }
+    }
+    // Below the brine's freezing point ice forms and the balance above no longer holds
+    const ice = Tform < brineFreezingPoint(lnawBrine);
+    // Past saturation the salt precipitates and the brine stays at the solubility
+    const solubility = solubilityAt(saltKey, Tform);
+    const saturated = mas >= solubility;
+    if (saturated && mas > sInit) {
+      mas = Math.max(sInit, solubility);
+      dmas = Math.max(0, mas - sInit);
+    }
+    return { mas, mwy, dmas, ice, saturated };
+  }
+
+  return {
+    B1,
+    B2,
+    B3,
+    WATER_MOLAR_MASS,
+    GAS_CONSTANT,
+    ICE_MELTING_POINT,
+    ICE_FUSION_ENTHALPY,
+    ALPHA_SII,
+    DEFAULT_POINTS,
+    MIXED_SALT_KEY,
+    GAS_MIXTURE_KEY,
+    SII_FORMER_THRESHOLD,
+    SEAWATER_IONS,
+    BUILTIN_SALTS,
+    BUILTIN_GASES,
+    saltProps,
+    ionProps,
+    inhibitorProps,
+    activityCoefficientSets,
+    gasData,
+    CalculationError,
+    median,
+    fitPolynomial,
+    evalPolynomial,
+    buildMonotoneSpline,
+    evalMonotoneSpline,
+    getGasObject,
+    getT0AtPressure,
+    t0DataRange,
+    checkT0Range,
+    t0FitDiagnostics,
+    fitLnPInvT,
+    HYDRATION_NUMBERS,
+    estimateBetaX,
+    buildGasMixture,
+    computeBeta,
+    saltStoichiometry,
+    saltMolarMassFromIons,
+    registerSalt,
+    unregisterSalt,
+    saltSolubility,
+    solubilityAt,
+    registerGas,
+    unregisterGas,
+    parseTPData,
+    iceLnaw,
+    brineFreezingPoint,
+    freezeDesalinationYield,
+    brineHeatCapacity,
+    energyBalance,
+    gasUptake,
+    FULL_OCCUPANCY_HYDRATION,
+    STANDARD_MOLAR_VOLUME,
+    computeXFromSalinity,
+    computeLnawFromX,
+    computeDeltaT,
+    computeLnawFromDelta,
+    solveXFromLnaw,
+    computeSalinityFromX,
+    brineCoefficients,
+    computeXFromBrine,
+    computeSalinityFromBrineX,
+    getSolute,
+    resolveInhibitor,
+    computeSolutionLnaw,
+    solveWaterForLnaw,
+    calculate,
+    monteCarlo,
+    sensitivity,
+    solveOperatingConditions,
+    pressureSweep,
+    compareGases,
+    simulateCascade,
+    pengRobinsonZ,
+    pengRobinsonPressure,
+    simulateClosedReactor,
+    SCENARIO_FORMAT,
+    SCENARIO_VERSION,
+    describeScenario,
+    migrateScenario,
+    scenarioChanges,
+    scenarioFingerprint,
+    sameScenario,
+    equilibriumCurves,
+    evaluateFormationTemperature
+  };
+}));
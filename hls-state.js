@@ -0,0 +1,423 @@
+/*
+ * Saved-result library logic for the hydrate‑based desalination calculator:
+ * ids and storage order, import planning, search and sort, delete and undo;
+ * and the state carried by share links, with its encoding and checks.
+ *
+ * Like hls-core.js this file is pure: it never touches the DOM, storage or
+ * dialogs; app.js does that and calls in here for the decisions. In the
+ * browser it is loaded after hls-core.js and exposed as `window.HLSState`;
+ * in Node it `require()`s the core itself, so the tests can run it directly.
+ *
+ *   const HLSState = require('./hls-state.js');
+ *   const plan = HLSState.planSavedImport(fileEntries, library);
+ *   const { results } = HLSState.mergeSavedImport(library, plan, 'skip');
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./hls-core.js'));
+  else root.HLSState = factory(root.HLSCore);
+}(typeof self !== 'undefined' ? self : this, function (HLSCore) {
+  'use strict';
+
+  const { CalculationError } = HLSCore;
+
+  // =====================
+  // Saved-result ids
+  // =====================
+
+  // Random id that is not in `taken` (a Set of ids)
+  function newSavedResultId(taken) {
+    let id;
+    do {
+      id = `r-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    } while (taken && taken.has(id));
+    return id;
+  }
+
+  // Gives every entry a unique id (results saved before ids existed, or a copy
+  // sharing one) in place; returns whether any entry changed
+  function assignSavedResultIds(list) {
+    const taken = new Set();
+    let changed = false;
+    list.forEach((entry, i) => {
+      if (!entry.id || taken.has(entry.id)) {
+        list[i] = { ...entry, id: newSavedResultId(new Set([...taken, ...list.map((r) => r.id)])) };
+        changed = true;
+      }
+      taken.add(list[i].id);
+    });
+    return changed;
+  }
+
+  // =====================
+  // Import: plan against the library, then merge
+  // =====================
+
+  // Enough of a calculate() result to list, compare and restore
+  function isSavedResult(entry) {
+    return !!entry && typeof entry === 'object'
+      && typeof entry.gasKey === 'string' && typeof entry.saltKey === 'string'
+      && Array.isArray(entry.dTRange) && Array.isArray(entry.masValues) && Array.isArray(entry.mwyValues)
+      && ['initialSalinity', 'pressure', 'masMax', 'mwyMax'].every((k) => Number.isFinite(entry[k]));
+  }
+
+  // Scenario of a saved entry; null when it cannot be read as one
+  function savedResultScenario(entry) {
+    try {
+      return HLSCore.migrateScenario(entry).scenario;
+    } catch (err) {
+      if (!(err instanceof CalculationError)) throw err;
+      return null;
+    }
+  }
+
+  // A gas or salt the results refer to is known when it is built in, a
+  // library entry, or defined by the result itself (Custom, Mix, mixed brine)
+  function defaultHasGas(key) {
+    return key === 'Custom' || key === HLSCore.GAS_MIXTURE_KEY || !!HLSCore.gasData[key];
+  }
+
+  function defaultHasSalt(key) {
+    return key === HLSCore.MIXED_SALT_KEY || !!HLSCore.saltProps[key];
+  }
+
+  /**
+   * Classify incoming entries against the library without changing either. A
+   * matching fingerprint only nominates candidates; sameScenario() decides.
+   *
+   * @param {Object[]} entries   entries read from the import files
+   * @param {Object[]} existing  the saved library, in list order
+   * @param {Object} [options]   { hasGas(key), hasSalt(key) } to check the
+   *   referenced gas and salt; both default to the core's libraries
+   * @returns {Object} { items, counts: { new, duplicate, repeat, invalid } } where
+   *   each item is { status: 'new'|'duplicate'|'repeat'|'invalid', entry, fingerprint?,
+   *   reason?: 'format'|'newer-version', existingIndex?, sameValues?, missing: { gas?, salt? } }
+   */
+  function planSavedImport(entries, existing, options) {
+    const hasGas = (options && options.hasGas) || defaultHasGas;
+    const hasSalt = (options && options.hasSalt) || defaultHasSalt;
+    const known = new Map();
+    const seen = new Map();
+    const remember = (map, fingerprint, candidate) => {
+      if (!map.has(fingerprint)) map.set(fingerprint, []);
+      map.get(fingerprint).push(candidate);
+    };
+    const match = (map, fingerprint, scenario) =>
+      (map.get(fingerprint) || []).find((candidate) => HLSCore.sameScenario(candidate.scenario, scenario));
+    existing.forEach((entry, index) => {
+      const scenario = savedResultScenario(entry);
+      if (scenario) remember(known, HLSCore.scenarioFingerprint(scenario), { index, scenario });
+    });
+    const items = entries.map((entry) => {
+      if (!isSavedResult(entry)) return { status: 'invalid', entry, reason: 'format', missing: {} };
+      let scenario;
+      try {
+        scenario = HLSCore.migrateScenario(entry).scenario;
+      } catch (err) {
+        if (!(err instanceof CalculationError)) throw err;
+        return { status: 'invalid', entry, reason: 'newer-version', missing: {} };
+      }
+      const record = { ...entry, scenario, timestamp: entry.timestamp || new Date().toISOString() };
+      const fingerprint = HLSCore.scenarioFingerprint(scenario);
+      const { gas, salt } = scenario.inputs;
+      const missing = {};
+      if (!hasGas(gas)) missing.gas = gas;
+      if (!hasSalt(salt)) missing.salt = salt;
+      if (match(seen, fingerprint, scenario)) return { status: 'repeat', entry: record, fingerprint, missing };
+      remember(seen, fingerprint, { scenario });
+      const existingMatch = match(known, fingerprint, scenario);
+      if (existingMatch) {
+        const { index } = existingMatch;
+        const sameValues = JSON.stringify(existing[index].masValues) === JSON.stringify(record.masValues)
+          && JSON.stringify(existing[index].mwyValues) === JSON.stringify(record.mwyValues);
+        return { status: 'duplicate', entry: record, fingerprint, existingIndex: index, sameValues, missing };
+      }
+      return { status: 'new', entry: record, fingerprint, missing };
+    });
+    const count = (status) => items.filter((item) => item.status === status).length;
+    return { items, counts: { new: count('new'), duplicate: count('duplicate'), repeat: count('repeat'), invalid: count('invalid') } };
+  }
+
+  /**
+   * Apply an import plan to a copy of the library.
+   *
+   * Duplicates follow `policy`: 'skip' keeps the existing result, 'replace'
+   * overwrites it in place, 'keep' stores both. Added results get a fresh id
+   * unless theirs is free, so a kept copy never shares the selection and undo
+   * key of the result it duplicates; an overwrite keeps the id of the result
+   * it replaces.
+   *
+   * @param {Object[]} existing  the saved library the plan was made against
+   * @param {Object} plan        planSavedImport() output
+   * @param {string} policy      'skip', 'replace' or 'keep'
+   * @returns {Object} { results, added, replaced, skipped }
+   */
+  function mergeSavedImport(existing, plan, policy) {
+    const results = existing.slice();
+    const taken = new Set(results.map((r) => r.id));
+    let added = 0; let replaced = 0; let skipped = 0;
+    plan.items.forEach((item) => {
+      if (item.status === 'new' || (item.status === 'duplicate' && policy === 'keep')) {
+        const keep = item.status === 'new' && item.entry.id && !taken.has(item.entry.id);
+        const id = keep ? item.entry.id : newSavedResultId(taken);
+        taken.add(id);
+        results.push({ ...item.entry, id });
+        added++;
+      } else if (item.status === 'duplicate' && policy === 'replace') {
+        results[item.existingIndex] = { ...item.entry, id: results[item.existingIndex].id };
+        replaced++;
+      } else if (item.status === 'duplicate') {
+        skipped++;
+      }
+    });
+    return { results, added, replaced, skipped };
+  }
+
+  // Entries read back from storage, in the stored id order; any entry the
+  // order does not list goes last, oldest first
+  function orderSavedResults(entries, ids) {
+    const position = new Map((ids || []).map((id, i) => [id, i]));
+    const rank = (entry) => (position.has(entry.id) ? position.get(entry.id) : Infinity);
+    return entries.slice().sort((a, b) => rank(a) - rank(b)
+      || String(a.timestamp).localeCompare(String(b.timestamp)));
+  }
+
+  // =====================
+  // Search, filters and sort
+  // =====================
+
+  // Comparators on { result, index } items; ties fall back to the list order
+  function savedSorts(titleOf) {
+    return {
+      'date-desc': (a, b) => String(b.result.timestamp).localeCompare(String(a.result.timestamp)),
+      'date-asc': (a, b) => String(a.result.timestamp).localeCompare(String(b.result.timestamp)),
+      name: (a, b) => titleOf(a.result, a.index).localeCompare(titleOf(b.result, b.index), 'ko'),
+      gas: (a, b) => String(a.result.gasKey).localeCompare(String(b.result.gasKey)),
+      salt: (a, b) => String(a.result.saltKey).localeCompare(String(b.result.saltKey)),
+      salinity: (a, b) => a.result.initialSalinity - b.result.initialSalinity,
+      pressure: (a, b) => a.result.pressure - b.result.pressure
+    };
+  }
+
+  /**
+   * Saved results that pass a search and filters, in the chosen order.
+   *
+   * The query is matched case-insensitively against the title, notes, tags,
+   * gas and salt keys, the gas label and "<salinity> wt%" / "<pressure> MPa".
+   *
+   * @param {Object[]} savedResults  the library, in list order
+   * @param {Object} criteria  { query, gas, salt, tag, sort }; empty means any. sort is
+   *   'saved' (list order), 'date-desc', 'date-asc', 'name', 'gas', 'salt', 'salinity' or 'pressure'
+   * @param {Object} [options] { titleOf(result, index), labelOf(gasKey) } as the page shows them
+   * @returns {Object[]} [{ result, index }], index being the position in savedResults
+   */
+  function filterSavedResults(savedResults, criteria, options) {
+    const c = criteria || {};
+    const titleOf = (options && options.titleOf) || ((result, index) => result.name || `#${index + 1}`);
+    const labelOf = (options && options.labelOf) || (() => '');
+    const query = String(c.query || '').trim().toLowerCase();
+    const items = savedResults
+      .map((result, index) => ({ result, index }))
+      .filter(({ result, index }) => {
+        if (c.gas && result.gasKey !== c.gas) return false;
+        if (c.salt && result.saltKey !== c.salt) return false;
+        if (c.tag && !(result.tags || []).includes(c.tag)) return false;
+        if (!query) return true;
+        const haystack = [
+          titleOf(result, index), result.notes, ...(result.tags || []),
+          result.gasKey, labelOf(result.gasKey), result.saltKey,
+          `${result.initialSalinity} wt%`, `${result.pressure} MPa`
+        ].filter(Boolean).join('\n').toLowerCase();
+        return haystack.includes(query);
+      });
+    const sort = savedSorts(titleOf)[c.sort];
+    return sort ? items.sort((a, b) => sort(a, b) || a.index - b.index) : items;
+  }
+
+  // =====================
+  // Delete and undo
+  // =====================
+
+  // Library without the result at `index`; `removed` is what undo needs
+  function removeSavedResult(savedResults, index) {
+    const results = savedResults.slice();
+    const [entry] = results.splice(index, 1);
+    return { results, removed: entry ? { entry, index } : null };
+  }
+
+  // Library with a removed result back at its old position (the end if the
+  // list has shrunk since). Deletions are undone most recent first, which
+  // keeps each position valid. An id reused meanwhile gets a fresh one.
+  function restoreSavedResult(savedResults, removed) {
+    const results = savedResults.slice();
+    const taken = new Set(results.map((r) => r.id));
+    const entry = taken.has(removed.entry.id) ? { ...removed.entry, id: newSavedResultId(taken) } : removed.entry;
+    results.splice(Math.min(removed.index, results.length), 0, entry);
+    return results;
+  }
+
+  // =====================
+  // Share links: "#calc=…" and "#param=…"
+  // =====================
+
+  // Heatmap links carry their own version; links made before it count as 1
+  const SHARE_PARAM_VERSION = 1;
+
+  // Field checks. Numbers may be null: JSON turns an empty input's NaN into null.
+  const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  const isString = (v) => typeof v === 'string';
+  const isBoolean = (v) => typeof v === 'boolean';
+  const isNumber = (v) => v === null || typeof v === 'number';
+  const optional = (check) => (v) => v === undefined || check(v);
+  const nullable = (check) => (v) => v === undefined || v === null || check(v);
+  const isNumberMap = (v) => isPlainObject(v) && Object.values(v).every((x) => typeof x === 'number');
+  const isTPData = (v) => Array.isArray(v)
+    && v.every((p) => Array.isArray(p) && p.length === 2 && p.every((x) => typeof x === 'number'));
+  // Checks the listed keys of a plain object; other keys are left to the reader
+  const shape = (fields) => (v) => isPlainObject(v) && Object.keys(fields).every((k) => fields[k](v[k]));
+
+  const isGasDefinition = shape({
+    structure: isString, betaX: isNumber, data: isTPData, source: nullable(isString),
+    molarMass: nullable(isNumber), hydrationNumber: nullable(isNumber)
+  });
+  const isGasMixtureSpec = shape({
+    components: isNumberMap, structure: optional(isString), betaX: optional(isNumber), data: optional(isTPData)
+  });
+  const isBrineSpec = shape({ mode: isString, components: isNumberMap });
+  const isSaltIon = shape({ ion: isString, nu: isNumber, charge: nullable(isNumber), molarMass: nullable(isNumber) });
+  const isSaltDefinition = shape({ cation: isSaltIon, anion: isSaltIon, molarMass: nullable(isNumber) });
+  const isCalcInputs = shape({
+    gas: isString, salt: isString,
+    salinity: isNumber, pressure: isNumber, dTmin: isNumber, dTmax: isNumber,
+    fitMethod: optional(isString), useAlpha: optional(isBoolean), hydrationNumber: optional(isNumber),
+    customGas: optional(isGasDefinition), gasMixture: optional(isGasMixtureSpec), brine: optional(isBrineSpec),
+    inhibitor: optional(shape({
+      key: isString, wt: isNumber, cls: optional(isString),
+      coeffs: (v) => Array.isArray(v) && v.every(isNumber)
+    }))
+  });
+  const isSpread = shape({ sd: isNumber, relative: optional(isBoolean) });
+
+  // Heatmap form fields a link carries (element id → check on its value);
+  // checkboxes are booleans, everything else the input's text
+  const SHARE_PARAM_FIELDS = {
+    paramGas: isString,
+    paramSalt: isString,
+    paramPressure: isString,
+    paramT0FitMethod: isString,
+    paramTMin: isString,
+    paramTMax: isString,
+    paramTStep: isString,
+    paramSMin: isString,
+    paramSMax: isString,
+    paramSStep: isString,
+    paramSiiAlphaToggle: isBoolean,
+    paramMasMin: isString,
+    paramMasMax: isString,
+    paramMasHideZero: isBoolean
+  };
+
+  /**
+   * Input-tab link state: a scenario (see HLSCore.describeScenario) plus the
+   * definitions of library gases and salts the recipient may not have.
+   *
+   * { format, version, inputs, energy?, uncertainty?, gasDefinition?, saltDefinition? }
+   */
+  const isCalcShareState = shape({
+    format: (v) => v === HLSCore.SCENARIO_FORMAT,
+    version: (v) => typeof v === 'number',
+    inputs: isCalcInputs,
+    energy: nullable(shape({ feedTemperature: isNumber, cop: isNumber })),
+    uncertainty: nullable(shape({
+      samples: isNumber,
+      spec: shape({ betaX: isSpread, B: isSpread, t0: isSpread, salinity: isSpread })
+    })),
+    gasDefinition: nullable(isGasDefinition),
+    saltDefinition: nullable(isSaltDefinition)
+  });
+
+  /**
+   * Heatmap link state: the form fields, and the input-tab definitions that
+   * Custom, Mix and mixed brines take theirs from.
+   *
+   * { view: 'param', version?, fields, customGas?, gasMixture?, brine?, gasDefinition?, saltDefinition? }
+   */
+  const isParamShareState = shape({
+    view: (v) => v === 'param',
+    version: optional((v) => typeof v === 'number'),
+    fields: (v) => shape({ paramGas: isString, paramSalt: isString })(v)
+      && Object.keys(SHARE_PARAM_FIELDS).every((k) => optional(SHARE_PARAM_FIELDS[k])(v[k])),
+    customGas: optional(isGasDefinition),
+    gasMixture: optional(isGasMixtureSpec),
+    brine: optional(isBrineSpec),
+    gasDefinition: optional(isGasDefinition),
+    saltDefinition: optional(isSaltDefinition)
+  });
+
+  // JSON → UTF-8 → base64url, so Korean labels and T,P data survive the hash
+  function encodeShareState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Decoded state; null when the text is not base64 JSON
+  function decodeShareState(text) {
+    let binary;
+    try {
+      binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (err) {
+      if (err.name !== 'InvalidCharacterError') throw err;
+      return null;
+    }
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    try {
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      return null;
+    }
+  }
+
+  /**
+   * Read a location hash as a share link.
+   *
+   * The version is checked before the shape, so a link from a newer page is
+   * reported as such rather than as unreadable.
+   *
+   * @param {string} hash  e.g. window.location.hash
+   * @returns {Object|null} null for other hashes, else { kind: 'calc'|'param', state }
+   *   or { kind, error: 'unreadable'|'newer-version' }
+   */
+  function parseShareHash(hash) {
+    const match = /^#(calc|param)=(.+)$/.exec(hash || '');
+    if (!match) return null;
+    const kind = match[1];
+    const state = decodeShareState(match[2]);
+    if (!isPlainObject(state)) return { kind, error: 'unreadable' };
+    const newest = kind === 'calc' ? HLSCore.SCENARIO_VERSION : SHARE_PARAM_VERSION;
+    if (typeof state.version === 'number' && state.version > newest) return { kind, error: 'newer-version' };
+    const valid = kind === 'calc' ? isCalcShareState(state) : isParamShareState(state);
+    return valid ? { kind, state } : { kind, error: 'unreadable' };
+  }
+
+  return {
+    newSavedResultId,
+    assignSavedResultIds,
+    isSavedResult,
+    savedResultScenario,
+    planSavedImport,
+    mergeSavedImport,
+    orderSavedResults,
+    filterSavedResults,
+    removeSavedResult,
+    restoreSavedResult,
+    SHARE_PARAM_VERSION,
+    SHARE_PARAM_FIELDS,
+    isCalcShareState,
+    isParamShareState,
+    encodeShareState,
+    decodeShareState,
+    parseShareHash
+  };
+}));
@@ -0,0 +1,481 @@
+'use strict';
+// Regression tests for the headless HLS core. Pinned values come from the
+// calculation as it ran inside app.js before the core was extracted; a change
+// here means the numbers the page reports have changed.
+//
+// Run with `npm test` (Node's built-in test runner, no dependencies).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HLSCore = require('../hls-core.js');
+
+// Relative tolerance for pinned floating-point values
+const RTOL = 1e-9;
+
+function assertClose(actual, expected, label) {
+  const scale = Math.max(1, Math.abs(expected));
+  assert.ok(Math.abs(actual - expected) <= RTOL * scale, `${label}: expected ${expected}, got ${actual}`);
+}
+
+function baseInputs(overrides) {
+  return {
+    gas: 'CH4', salt: 'NaCl', salinity: 5, pressure: 5.77,
+    dTmin: 0.5, dTmax: 5, fitMethod: 'poly', useAlpha: true,
+    ...overrides
+  };
+}
+
+// [gas, salt, pressure (MPa), masMax, mwyMax, MAS at point 10, MWY at point 10]
+// for 5 wt% feed, ΔT 0.5–5 K, cubic T₀ fit, α_sII on
+const PINNED = [
+  ['CH4', 'NaCl', 5.77, 14.53026536232425, 69.04112227807312, 8.140454691405369, 40.60881002036509],
+  ['CH4', 'KCl', 5.77, 17.017808425752765, 74.33580366049718, 8.957609625665272, 46.50688122404019],
+  ['CH4', 'MgCl2', 5.77, 12.472846327594494, 63.066230613649346, 7.494872375885681, 35.03970870471795],
+  ['C2H6', 'NaCl', 1.5, 14.827283940276065, 69.76671825051938, 8.265674538450563, 41.58828332456723],
+  ['C2H6', 'KCl', 1.5, 17.38802138627552, 74.99428613632568, 9.116828569350897, 47.53301791568083],
+  ['C2H6', 'MgCl2', 1.5, 12.703790069201162, 63.833333676397885, 7.592750228288362, 35.944956498780755],
+  ['C3H8', 'NaCl', 0.3, 14.292501932780166, 68.43854930283122, 8.041248608281489, 39.811159689925184],
+  ['C3H8', 'KCl', 0.3, 16.720369935967906, 73.785637272331, 8.831296007448692, 45.66649291716537],
+  ['C3H8', 'MgCl2', 0.3, 12.28846293868767, 62.43308288049821, 7.417414091007799, 34.30638198657475],
+  ['CO2', 'NaCl', 2.5, 14.6124881548488, 69.24493951219266, 8.174545793796224, 40.87844432776257],
+  ['CO2', 'KCl', 2.5, 17.120117740879593, 74.5206246108131, 9.000845656360683, 46.78912005788655],
+  ['CO2', 'MgCl2', 2.5, 12.53693449310892, 63.281939139627276, 7.521599431970165, 35.28923888535614],
+  ['CP', 'NaCl', 0.1, 13.006151537075517, 64.79647657295145, 7.533244668724629, 35.397407793885684],
+  ['CP', 'KCl', 0.1, 15.106506092200373, 70.42281915185401, 8.186416579406522, 40.97180594989852],
+  ['CP', 'MgCl2', 0.1, 11.290266673773685, 58.646385706683, 7.01902965766964, 30.279033999693468],
+];
+
+test('loads in Node without a DOM', () => {
+  assert.equal(typeof HLSCore.calculate, 'function');
+  assert.equal(typeof globalThis.document, 'undefined');
+});
+
+PINNED.forEach(([gas, salt, pressure, masMax, mwyMax, mas10, mwy10]) => {
+  test(`MAS/MWY for ${gas} / ${salt}`, () => {
+    const r = HLSCore.calculate(baseInputs({ gas, salt, pressure }));
+    assert.equal(r.masValues.length, 50);
+    assert.equal(r.mwyValues.length, 50);
+    assertClose(r.masMax, masMax, 'masMax');
+    assertClose(r.mwyMax, mwyMax, 'mwyMax');
+    assertClose(r.masValues[10], mas10, 'MAS[10]');
+    assertClose(r.mwyValues[10], mwy10, 'MWY[10]');
+  });
+});
+
+test('an unknown gas throws CalculationError with a code', () => {
+  assert.throws(
+    () => HLSCore.calculate(baseInputs({ gas: 'Nope' })),
+    (err) => err instanceof HLSCore.CalculationError && err.code === 'invalid-input'
+  );
+});
+
+test('sensitivity switches the T₀ fit to each other method, including clapeyron', () => {
+  const inputs = baseInputs({ fitMethod: 'clapeyron' });
+  const res = HLSCore.sensitivity(inputs);
+  const fits = res.factors.filter((f) => f.key === 'fitMethod');
+  assert.deepEqual(fits.map((f) => f.method).sort(), ['poly', 'spline']);
+  const nominal = HLSCore.calculate(inputs);
+  assertClose(res.base.mas, nominal.masMax, 'base MAS');
+  const poly = HLSCore.calculate(baseInputs({ fitMethod: 'poly' }));
+  assertClose(fits.find((f) => f.method === 'poly').high.mas, poly.masMax, 'poly switch MAS');
+});
+
+test('solveOperatingConditions rejects a MAS past the salt solubility', () => {
+  const solve = (value) => HLSCore.solveOperatingConditions({
+    gas: 'CH4', salt: 'NaCl', salinity: 3.5,
+    target: { kind: 'mas', value }, fixed: { kind: 'pressure', value: 5.77 }
+  });
+  const over = solve(30);
+  assert.equal(over.reachable, false);
+  assert.equal(over.reason, 'saturation');
+  assert.ok(over.solubility < 30);
+  const ok = solve(14);
+  assert.equal(ok.reachable, true);
+  assert.ok(ok.formationTemperature > ok.brineFreezing);
+});
+
+test('pressureSweep carries saturation and ice flags like calculate', () => {
+  const cold = HLSCore.pressureSweep({ gas: 'CH4', salt: 'NaCl', salinity: 20, formationTemperature: 255 });
+  assert.equal(cold.saturatedFlags.length, cold.pressures.length);
+  assert.ok(cold.saturatedFlags.some(Boolean));
+  cold.masValues.forEach((mas, i) => {
+    if (cold.saturatedFlags[i]) assert.ok(mas <= cold.masUncappedValues[i]);
+  });
+  const mild = HLSCore.pressureSweep({ gas: 'CH4', salt: 'NaCl', salinity: 3.5, formationTemperature: 276 });
+  assert.ok(!mild.saturatedFlags.some(Boolean));
+  assert.ok(!mild.iceFlags.some(Boolean));
+});
+
+
+test('pressureSweep matches calculate at each pressure of the fixed formation temperature', () => {
+  const feed = { gas: 'CH4', salt: 'NaCl', salinity: 3.5 };
+  const sweep = HLSCore.pressureSweep({ ...feed, formationTemperature: 276, nPoints: 12 });
+  assert.equal(sweep.pressures.length, 12);
+  assert.deepEqual([sweep.pressures[0], sweep.pressures[11]], [2.68, 10.5]);
+  assertClose(sweep.masValues[11], 18.198874171023018, 'MAS at 10.5 MPa');
+  assertClose(sweep.mwyValues[11], 83.69745192184656, 'MWY at 10.5 MPa');
+  sweep.pressures.forEach((P, i) => {
+    const extra = sweep.dTTotalValues[i] - sweep.dTInitValues[i];
+    assertClose(sweep.dTTotalValues[i], sweep.T0Values[i] - 276, `available supercooling at ${P} MPa`);
+    if (extra <= 0) {
+      // The feed does not form hydrate at 276 K
+      assert.deepEqual([sweep.masValues[i], sweep.mwyValues[i]], [3.5, 0]);
+      return;
+    }
+    const r = HLSCore.calculate({ ...feed, pressure: P, dTmin: extra, dTmax: extra, nPoints: 2 });
+    assertClose(sweep.masValues[i], r.masMax, `MAS at ${P} MPa`);
+    assertClose(sweep.mwyValues[i], r.mwyMax, `MWY at ${P} MPa`);
+    if (i > 0) assert.ok(sweep.mwyValues[i] >= sweep.mwyValues[i - 1]);
+  });
+  assert.equal(sweep.mwyValues.filter((v) => v === 0).length, 3);
+});
+
+test('solveOperatingConditions round-trips through calculate', () => {
+  const sol = HLSCore.solveOperatingConditions({
+    gas: 'CO2', salt: 'NaCl', salinity: 5,
+    target: { kind: 'mwy', value: 50 }, fixed: { kind: 'pressure', value: 2.5 }
+  });
+  assert.equal(sol.reachable, true);
+  const r = HLSCore.calculate(baseInputs({ gas: 'CO2', pressure: 2.5, dTmin: 0, dTmax: sol.dTExtra }));
+  assert.ok(Math.abs(r.mwyMax - 50) < 1e-6);
+});
+
+test('simulateCascade treats a salt-free product feed as fresh water', () => {
+  const res = HLSCore.simulateCascade({
+    salt: 'NaCl', salinity: 3.5,
+    stages: [
+      { gas: 'CH4', pressure: 5.77, dT: 2 },
+      { gas: 'CH4', pressure: 5.77, dT: 2, feedFrom: 'product', entrainment: 0 }
+    ]
+  });
+  const [first, second] = res.stages;
+  assert.ok(first.mas > 3.5);
+  assert.equal(first.product.salt, 0);
+  assert.equal(second.mas, 0);
+  assert.equal(second.mwy, 100);
+  assertClose(second.tMasOp, second.T0_op - 2, 'fresh-water stage temperature');
+  assertClose(res.productSalinity, 0, 'product salinity');
+});
+
+test('inhibitor results flag the estimated default coefficient sets', () => {
+  const est = HLSCore.calculate(baseInputs({ inhibitor: { key: 'MeOH', wt: 10 } }));
+  assert.equal(est.inhibitor.estimated, true);
+  const fitted = HLSCore.calculate(baseInputs({ inhibitor: { key: 'MeOH', wt: 10, coeffs: [-1.0, 0.2, -0.3] } }));
+  assert.equal(fitted.inhibitor.estimated, false);
+});
+
+test('mixed brine takes its salinity from the composition', () => {
+  const brine = { mode: 'salts', components: { NaCl: 3, KCl: 1 } };
+  const implied = HLSCore.calculate(baseInputs({ salt: 'Mixed', brine, salinity: undefined }));
+  assert.equal(implied.initialSalinity, 4);
+  const matching = HLSCore.calculate(baseInputs({ salt: 'Mixed', brine, salinity: 4 }));
+  assertClose(matching.masMax, implied.masMax, 'matching salinity');
+  assert.throws(
+    () => HLSCore.calculate(baseInputs({ salt: 'Mixed', brine, salinity: 8 })),
+    (err) => err instanceof HLSCore.CalculationError && err.code === 'invalid-input'
+  );
+});
+
+test('registerSalt accepts ions with their own charge and molar mass', () => {
+  const def = {
+    cation: { ion: 'NH4', nu: 1, charge: 1, molarMass: 18.038 },
+    anion: { ion: 'Cl', nu: 1 }
+  };
+  try {
+    const salt = HLSCore.registerSalt('NH4Cl', def);
+    assertClose(salt.molarMass, 18.038 + 35.453, 'NH4Cl molar mass');
+    const r = HLSCore.calculate(baseInputs({ salt: 'NH4Cl' }));
+    assert.ok(r.masMax > 5 && r.mwyMax > 0);
+    assert.throws(() => HLSCore.registerSalt('NH4Cl', def), /already exists/);
+    assert.doesNotThrow(() => HLSCore.registerSalt('NH4Cl', def, { replace: true }));
+    assert.throws(() => HLSCore.registerSalt('NH4Br', { cation: { ion: 'NH4', nu: 1 }, anion: { ion: 'Br', nu: 1 } }),
+      (err) => err instanceof HLSCore.CalculationError && err.code === 'invalid-input');
+  } finally {
+    HLSCore.unregisterSalt('NH4Cl');
+  }
+});
+
+test('registerGas refuses duplicate and malformed names unless asked to replace', () => {
+  const def = { structure: 'sI', betaX: HLSCore.gasData.CH4.betaX, data: HLSCore.gasData.CH4.data };
+  try {
+    HLSCore.registerGas('Methane copy', def);
+    const r = HLSCore.calculate(baseInputs({ gas: 'Methane copy' }));
+    assertClose(r.masMax, PINNED[0][3], 'library gas matches CH4');
+    assert.throws(() => HLSCore.registerGas(' Methane copy ', def), /already exists/);
+    const replaced = HLSCore.registerGas('Methane copy', { ...def, structure: 'sII' }, { replace: true });
+    assert.equal(replaced.structure, 'sII');
+    const invalid = (err) => err instanceof HLSCore.CalculationError && err.code === 'invalid-input';
+    assert.throws(() => HLSCore.registerGas('', def), invalid);
+    assert.throws(() => HLSCore.registerGas('-leading dash', def), invalid);
+    assert.throws(() => HLSCore.registerGas('x'.repeat(41), def), invalid);
+    assert.throws(() => HLSCore.registerGas('CH4', def, { replace: true }), /built-in/);
+    assert.throws(() => HLSCore.registerGas('Custom', def), /built-in/);
+  } finally {
+    HLSCore.unregisterGas('Methane copy');
+  }
+});
+
+test('parseTPData reports unusable lines and sorts the rest by pressure', () => {
+  const text = [
+    '# T (K), P (MPa)',
+    '274, 0.1',
+    '280;0.3',
+    'abc,1',
+    '285 0.2',
+    '280,0.3',
+    '281,0.3',
+    '-5,2',
+    '290,0',
+    '1,2,3',
+    '295 1.0 # last point'
+  ].join('\n');
+  const { points, errors, warnings } = HLSCore.parseTPData(text);
+  assert.deepEqual(points, [[274, 0.1], [285, 0.2], [280, 0.3], [295, 1]]);
+  assert.deepEqual(errors.map((e) => [e.line, e.reason]), [
+    [4, 'format'], [7, 'duplicate-pressure'], [8, 'range'], [9, 'range'], [10, 'format']
+  ]);
+  assert.equal(errors[1].of, 3);
+  assert.deepEqual(warnings.map((w) => [w.line, w.reason]), [
+    [6, 'duplicate'], [undefined, 'sorted'], [3, 'non-monotonic']
+  ]);
+  assert.deepEqual(HLSCore.parseTPData(''), { points: [], errors: [], warnings: [] });
+});
+
+test('custom P–T fits follow the data they were built from', () => {
+  const customGas = { structure: 'sI', betaX: HLSCore.gasData.CH4.betaX, data: [[274, 3], [280, 5], [285, 8]] };
+  const shifted = { ...customGas, data: customGas.data.map(([T, P]) => [T + 1, P]) };
+  for (const fitMethod of ['poly', 'spline', 'clapeyron']) {
+    const a = HLSCore.calculate(baseInputs({ gas: 'Custom', customGas, fitMethod }));
+    const b = HLSCore.calculate(baseInputs({ gas: 'Custom', customGas: shifted, fitMethod }));
+    // A stale fit would give the same T₀ twice
+    assert.ok(Math.abs(b.T0_op - a.T0_op - 1) < 1e-3, `${fitMethod} T₀ after editing the data`);
+  }
+});
+
+test('t0FitDiagnostics needs two points and three for leave-one-out', () => {
+  const def = (data) => ({ structure: 'sI', betaX: -1, data });
+  assert.equal(HLSCore.t0FitDiagnostics('Custom', 'poly', def([[274, 0.1]])), null);
+  assert.equal(HLSCore.t0FitDiagnostics('Custom', 'poly', def([])), null);
+  const two = HLSCore.t0FitDiagnostics('Custom', 'poly', def([[280, 0.3], [274, 0.1]]));
+  assert.equal(two.n, 2);
+  assert.ok(two.rmse < 1e-9);
+  assert.ok(Number.isNaN(two.looRmse));
+  assert.deepEqual(two.residuals.map((r) => r.P), [0.1, 0.3]);
+  assert.deepEqual(two.range, { pMin: 0.1, pMax: 0.3, tMin: 274, tMax: 280 });
+});
+
+test('monteCarlo is reproducible for a seed and collapses without scatter', () => {
+  const uncertainty = { betaX: { sd: 0.05, relative: true }, B: { sd: 0.02, relative: true }, t0: { sd: 0.3 }, salinity: { sd: 0.1 } };
+  const mc = HLSCore.monteCarlo(baseInputs(), uncertainty, { samples: 200, seed: 7 });
+  assert.equal(mc.failed, 0);
+  assert.ok(mc.counts.every((c) => c === 200));
+  assertClose(mc.masMax.p5, 13.914403446006313, 'MAS p5');
+  assertClose(mc.masMax.p50, 14.525995340075125, 'MAS p50');
+  assertClose(mc.masMax.p95, 15.169398562686036, 'MAS p95');
+  assertClose(mc.mwyMax.p5, 67.33595234283094, 'MWY p5');
+  assertClose(mc.mwyMax.p50, 69.06211206643542, 'MWY p50');
+  assertClose(mc.mwyMax.p95, 70.69843234563524, 'MWY p95');
+  ['mas', 'mwy'].forEach((k) => mc[k].p50.forEach((p50, i) => {
+    assert.ok(mc[k].p5[i] <= p50 && p50 <= mc[k].p95[i], `${k} band ${i}`);
+  }));
+
+  const nominal = HLSCore.calculate(baseInputs());
+  const flat = HLSCore.monteCarlo(baseInputs(), { betaX: { sd: 0 }, t0: { sd: 0 } }, { samples: 20, seed: 3 });
+  assert.deepEqual(flat.dTRange, nominal.dTRange);
+  ['p5', 'p50', 'p95'].forEach((q) => {
+    assert.deepEqual(flat.mas[q], nominal.masValues, `MAS ${q}`);
+    assert.deepEqual(flat.mwy[q], nominal.mwyValues, `MWY ${q}`);
+  });
+});
+
+test('energyBalance charges formation heat and sensible cooling per kg of product water', () => {
+  const r = HLSCore.calculate(baseInputs());
+  const e = HLSCore.energyBalance(r, { feedTemperature: 293.15, cop: 3 });
+  assertClose(e.cp, 3.959, 'brine heat capacity');
+  assertClose(e.formationHeat, 506.3333058748766, 'formation heat (kJ/kg)');
+  assertClose(e.atMax.sensible, 116.98315971257664, 'sensible cooling (kJ/kg)');
+  assertClose(e.atMax.chiller, 623.3164655874533, 'chiller duty (kJ/kg)');
+  assertClose(e.atMax.electric, 57.71448755439382, 'electricity (kWh/m³)');
+  assertClose(e.atMax.chillerPerFeed, 408.8274490263173, 'chiller duty per feed (J/g)');
+
+  // No product water: per-kg figures are undefined, cooling the feed still costs energy
+  const none = HLSCore.energyBalance({ ...r, waterHydrateGValues: r.waterHydrateGValues.map(() => 0) });
+  assert.ok(none.chillerValues.every(Number.isNaN));
+  assert.ok(none.electricValues.every(Number.isNaN));
+  assertClose(none.atMax.chillerPerFeed, e.cp * (293.15 - r.tmaxValues[r.tmaxValues.length - 1]), 'sensible heat only');
+  assert.throws(() => HLSCore.energyBalance(r, { cop: 0 }), (err) => err instanceof HLSCore.CalculationError);
+});
+
+test('gasUptake converts water in hydrate to guest moles through the hydration number', () => {
+  const r = HLSCore.calculate(baseInputs());
+  const g = HLSCore.gasUptake(r.waterHydrateGValues, HLSCore.gasData.CH4);
+  assert.equal(g.hydrationNumber, 6);
+  assertClose(g.atMax.mol, 0.6067910699895632, 'CH4 held per 100 g feed (mol)');
+  assertClose(g.atMax.g, 9.732928762632593, 'CH4 held per 100 g feed (g)');
+  assertClose(g.perM3.standardM3, 207.36101057916758, 'CH4 per m³ of product water (Sm³)');
+  assertClose(g.gasToWaterMass, 0.14839254973185725, 'gas-to-water mass ratio');
+  assert.equal(g.co2, null);
+  const mixed = HLSCore.gasUptake(r.waterHydrateGValues, HLSCore.gasData.CH4, { co2Fraction: 0.5 });
+  assertClose(mixed.co2.g, 13.352437495120338, 'CO2 share sequestered (g)');
+  assertClose(HLSCore.gasUptake(r.waterHydrateGValues, HLSCore.gasData.CH4, { hydrationNumber: 12 }).atMax.mol,
+    g.atMax.mol / 2, 'hydration number override');
+
+  // No water in hydrate holds no gas; negative amounts are clamped to zero
+  const none = HLSCore.gasUptake([0, -1], HLSCore.gasData.CH4);
+  assert.deepEqual(none.molValues, [0, 0]);
+  assert.deepEqual(none.atMax, { mol: 0, g: 0 });
+  assert.throws(() => HLSCore.gasUptake([1], HLSCore.gasData.CH4, { hydrationNumber: 0 }),
+    (err) => err instanceof HLSCore.CalculationError);
+});
+
+test('compareGases runs one brine per gas and reports failures per entry', () => {
+  const brine = { salt: 'NaCl', salinity: 5, dTmin: 0.5, dTmax: 5, fitMethod: 'poly', useAlpha: true };
+  const byPressure = HLSCore.compareGases({
+    ...brine, gases: [{ gas: 'CH4', pressure: 5.77 }, { gas: 'CO2' }, { gas: 'CP' }, { gas: 'Nope' }]
+  });
+  const [ch4, co2, cp, unknown] = byPressure.entries;
+  assert.equal(ch4.pressureSource, 'given');
+  assertClose(ch4.result.masMax, PINNED[0][3], 'CH4 at its given pressure');
+  assert.equal(co2.pressureSource, 'median');
+  assert.equal(co2.pressure, 2.55);
+  assert.deepEqual([cp.pressure, cp.pressureSource], [0.1, 'fixed']);
+  assert.equal(unknown.error.code, 'invalid-input');
+
+  const byTemperature = HLSCore.compareGases({
+    ...brine, basis: 'temperature', formationTemperature: 275, gases: [{ gas: 'CH4' }, { gas: 'CO2' }, { gas: 'C3H8' }]
+  });
+  byTemperature.entries.slice(0, 2).forEach((e) => {
+    assert.equal(e.pressureSource, 'solved');
+    const tmax = e.result.tmaxValues;
+    assert.ok(Math.abs(tmax[tmax.length - 1] - 275) < 1e-9, `${e.gasKey} ends at the formation temperature`);
+  });
+  assertClose(byTemperature.entries[0].pressure, 6.535766803735864, 'CH4 pressure for 275 K');
+  assert.equal(byTemperature.entries[2].error.reason, 'pressure-range');
+  assert.throws(() => HLSCore.compareGases({ ...brine, gases: [] }), (err) => err instanceof HLSCore.CalculationError);
+});
+
+test('buildGasMixture picks the lattice and averages the component properties', () => {
+  const sII = HLSCore.buildGasMixture({ components: { CH4: 0.9, C3H8: 0.1 } });
+  assert.equal(sII.structure, 'sII');
+  assert.equal(sII.estimated, true);
+  assertClose(sII.betaX, 0.9 * HLSCore.gasData.CH4.betaX + 0.1 * HLSCore.gasData.C3H8.betaX, 'mole-fraction β');
+  assertClose(sII.molarMass, 0.9 * HLSCore.gasData.CH4.molarMass + 0.1 * HLSCore.gasData.C3H8.molarMass, 'mixture molar mass');
+  // CH₄ sharing the sII lattice with C₃H₈: every cage taken
+  assertClose(sII.hydrationNumber, 136 / 24, 'full-occupancy hydration number');
+  assert.equal(sII.data.length, 12);
+  assertClose(sII.data[0][1], 1.1728051320878563, 'estimated P at the lowest T');
+  assertClose(sII.data[11][1], 7.7522413400152885, 'estimated P at the highest T');
+  assert.equal(HLSCore.buildGasMixture({ components: { CH4: 0.995, C3H8: 0.005 } }).structure, 'sI');
+
+  const sI = HLSCore.buildGasMixture({ components: { CH4: 2, CO2: 2 } });
+  assert.deepEqual(sI.fractions, { CH4: 0.5, CO2: 0.5 });
+  assert.equal(sI.structure, 'sI');
+  assertClose(sI.hydrationNumber, (HLSCore.gasData.CH4.hydrationNumber + HLSCore.gasData.CO2.hydrationNumber) / 2, 'sI hydration number');
+
+  const measured = HLSCore.buildGasMixture({ components: { CH4: 1 }, structure: 'sII', betaX: -0.8, data: [[280, 1], [285, 3]] });
+  assert.deepEqual([measured.structure, measured.betaX, measured.estimated], ['sII', -0.8, false]);
+  assert.deepEqual(measured.data, [[280, 1], [285, 3]]);
+
+  const invalid = (err) => err instanceof HLSCore.CalculationError && err.code === 'invalid-input';
+  assert.throws(() => HLSCore.buildGasMixture({ components: { CP: 1 } }), invalid);
+  assert.throws(() => HLSCore.buildGasMixture({ components: { CH4: -1, CO2: 2 } }), invalid);
+  assert.throws(() => HLSCore.buildGasMixture({ components: {} }), invalid);
+});
+
+test('t0FitDiagnostics scores each fit on the CH4 data and out-of-range pressures are flagged', () => {
+  // [method, R², RMSE, leave-one-out RMSE] over the 11 CH₄ points
+  const expected = [
+    ['poly', 0.9989169909714051, 0.1395387768904466, 0.5059970734508809],
+    ['spline', 1, 0, 0.44988394880181554],
+    ['clapeyron', 0.998353582802944, 0.17204767979393423, 0.2292122701497567]
+  ];
+  for (const [method, r2, rmse, looRmse] of expected) {
+    const d = HLSCore.t0FitDiagnostics('CH4', method);
+    assert.equal(d.n, 11);
+    assertClose(d.r2, r2, `${method} R²`);
+    assertClose(d.rmse, rmse, `${method} RMSE`);
+    assertClose(d.looRmse, looRmse, `${method} leave-one-out RMSE`);
+    assert.ok(d.residuals.every((r) => Math.abs(r.residual) <= d.maxAbs));
+  }
+  assert.equal(HLSCore.t0FitDiagnostics('CP', 'poly'), null);
+
+  assert.equal(HLSCore.calculate(baseInputs()).t0Warning, undefined);
+  const clamped = HLSCore.calculate(baseInputs({ pressure: 15, fitMethod: 'spline' })).t0Warning;
+  assert.deepEqual(clamped, { pressure: 15, pMin: 2.68, pMax: 10.5, method: 'spline', behaviour: 'clamped', T0: 286.4 });
+  const extrapolated = HLSCore.calculate(baseInputs({ pressure: 15 })).t0Warning;
+  assert.equal(extrapolated.behaviour, 'extrapolated');
+  assertClose(extrapolated.T0, 290.89997679408884, 'cubic T₀ at 15 MPa');
+  const sweep = HLSCore.pressureSweep({ gas: 'CH4', salt: 'NaCl', salinity: 5, formationTemperature: 276, pMin: 1, pMax: 12 });
+  assert.equal(sweep.t0Warning.pressure, 12);
+});
+
+test('inhibitor estimate flag survives the 4-decimal coefficients the page shows', () => {
+  const r = HLSCore.calculate(baseInputs({ inhibitor: { key: 'MEG', wt: 10, coeffs: [-1, -1.1, -0.3333] } }));
+  assert.equal(r.inhibitor.estimated, true);
+});
+
+test('sameScenario compares canonical inputs, not the fingerprint alone', () => {
+  const a = HLSCore.describeScenario(baseInputs());
+  const reordered = { ...a, inputs: Object.fromEntries(Object.entries(a.inputs).reverse()) };
+  const other = HLSCore.describeScenario(baseInputs({ pressure: 6 }));
+  assert.equal(HLSCore.sameScenario(a, reordered), true);
+  assert.equal(HLSCore.scenarioFingerprint(a), HLSCore.scenarioFingerprint(reordered));
+  assert.equal(HLSCore.sameScenario(a, other), false);
+});
+
+test('simulateClosedReactor conserves salt and water as the pressure falls', () => {
+  const r = HLSCore.simulateClosedReactor({
+    gas: 'CH4', salt: 'NaCl', salinity: 3.5, volume: 0.3, brineMass: 200,
+    initialPressure: 10, initialTemperature: 285, formationTemperature: 275
+  });
+  assert.equal(r.noHydrate, false);
+  assert.ok(r.cooledPressure < r.initialPressure);
+  assert.ok(r.finalPressure < r.cooledPressure);
+  assert.ok(r.finalT0 > r.formationTemperature);
+  const salt = 200 * 0.035;
+  assertClose(r.mas, (salt / (200 - r.waterInHydrate)) * 100, 'residual brine salinity');
+  assertClose(r.mwy, (r.waterInHydrate / (200 - salt)) * 100, 'water yield');
+  assert.equal(r.saturated, false);
+  assert.equal(r.precipitatedSalt, 0);
+
+  const sat = HLSCore.simulateClosedReactor({
+    gas: 'CH4', salt: 'NaCl', salinity: 20, volume: 0.5, brineMass: 200,
+    initialPressure: 12, initialTemperature: 285, formationTemperature: 265
+  });
+  assert.equal(sat.saturated, true);
+  assertClose(sat.mas, sat.solubility, 'MAS capped at the solubility');
+  assert.ok(sat.masUncapped > sat.mas);
+  const water = 200 * 0.8 - sat.waterInHydrate;
+  const dissolved = (sat.mas / (100 - sat.mas)) * water;
+  assertClose(sat.precipitatedSalt, 200 * 0.2 - dissolved, 'salt precipitated');
+  assertClose(sat.masUncapped, (40 / (40 + water)) * 100, 'uncapped MAS');
+});
+
+test('migrateScenario infers the fit and α of a version-1 result', () => {
+  const inputs = baseInputs({ gas: 'C3H8', salt: 'KCl', salinity: 4, pressure: 0.3, fitMethod: 'spline', useAlpha: false });
+  const legacy = { ...HLSCore.calculate(inputs), timestamp: '2025-01-01T00:00:00.000Z' };
+  const migrated = HLSCore.migrateScenario(legacy);
+  assert.equal(migrated.fromVersion, 1);
+  assert.equal(migrated.scenario.inputs.fitMethod, 'spline');
+  assert.equal(migrated.scenario.inputs.useAlpha, false);
+  assert.equal(HLSCore.sameScenario(migrated.scenario, HLSCore.describeScenario(inputs)), true);
+
+  const current = HLSCore.describeScenario(inputs);
+  assert.equal(HLSCore.migrateScenario({ scenario: current }).fromVersion, HLSCore.SCENARIO_VERSION);
+  assert.deepEqual(HLSCore.scenarioChanges(current), []);
+  assert.throws(
+    () => HLSCore.migrateScenario({ scenario: { ...current, version: HLSCore.SCENARIO_VERSION + 1 } }),
+    (err) => err instanceof HLSCore.CalculationError
+  );
+});
+
+test('calculate flags ice where the brine would freeze before hydrate forms', () => {
+  const cold = HLSCore.calculate(baseInputs({ gas: 'CO2', salinity: 1, pressure: 1.0, nPoints: 10 }));
+  assert.ok(cold.iceFlags.some(Boolean));
+  cold.iceFlags.forEach((flag, i) => {
+    assert.equal(flag, cold.tmaxValues[i] < cold.brineFreezingValues[i], `ice flag ${i}`);
+  });
+  const mild = HLSCore.calculate(baseInputs());
+  assert.ok(!mild.iceFlags.some(Boolean));
+  assert.ok(mild.brineFreezingValues.every((T, i) => i === 0 || T <= mild.brineFreezingValues[i - 1]));
+});
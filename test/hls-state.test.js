@@ -0,0 +1,202 @@
+'use strict';
+// Tests for the saved-library helpers that app.js calls in hls-state.js.
+//
+// Run with `npm test` together with the core tests.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HLSCore = require('../hls-core.js');
+const HLSState = require('../hls-state.js');
+
+// A saved entry as the page stores it: a calculate() result plus id and time
+function savedEntry(overrides, id) {
+  const inputs = {
+    gas: 'CH4', salt: 'NaCl', salinity: 5, pressure: 5.77,
+    dTmin: 0.5, dTmax: 5, fitMethod: 'poly', useAlpha: true,
+    ...overrides
+  };
+  return {
+    ...HLSCore.calculate(inputs),
+    scenario: HLSCore.describeScenario(inputs),
+    id,
+    timestamp: '2025-03-01T00:00:00.000Z'
+  };
+}
+
+test('planSavedImport sorts incoming entries into new, duplicate, repeat and invalid', () => {
+  const library = [savedEntry({}, 'a'), savedEntry({ pressure: 6 }, 'b')];
+  const changed = { ...savedEntry({ pressure: 6 }, 'x'), masValues: [1, 2] };
+  const entries = [
+    savedEntry({ salinity: 3 }, 'c'),
+    changed,
+    savedEntry({ salinity: 3 }, 'd'),
+    { gasKey: 'CH4' },
+    { ...savedEntry({}, 'e'), scenario: { ...library[0].scenario, version: HLSCore.SCENARIO_VERSION + 1 } },
+    savedEntry({ salt: 'KCl' }, 'f')
+  ];
+  const plan = HLSState.planSavedImport(entries, library, { hasGas: () => true, hasSalt: (k) => k !== 'KCl' });
+  assert.deepEqual(plan.items.map((item) => item.status), ['new', 'duplicate', 'repeat', 'invalid', 'invalid', 'new']);
+  assert.deepEqual(plan.counts, { new: 2, duplicate: 1, repeat: 1, invalid: 2 });
+  assert.equal(plan.items[1].existingIndex, 1);
+  assert.equal(plan.items[1].sameValues, false);
+  assert.deepEqual(plan.items.slice(3, 5).map((item) => item.reason), ['format', 'newer-version']);
+  assert.deepEqual(plan.items[5].missing, { salt: 'KCl' });
+  // Planning leaves the library alone
+  assert.deepEqual(library.map((r) => r.id), ['a', 'b']);
+});
+
+test('mergeSavedImport skips, replaces or keeps duplicates', () => {
+  const library = [savedEntry({}, 'a'), savedEntry({ pressure: 6 }, 'b')];
+  const entries = [{ ...savedEntry({ pressure: 6 }, 'b'), name: 'imported' }, savedEntry({ salinity: 3 }, 'a')];
+  const plan = HLSState.planSavedImport(entries, library);
+  assert.deepEqual(plan.items.map((item) => item.status), ['duplicate', 'new']);
+
+  const skip = HLSState.mergeSavedImport(library, plan, 'skip');
+  assert.deepEqual([skip.added, skip.replaced, skip.skipped], [1, 0, 1]);
+  assert.equal(skip.results.length, 3);
+  assert.equal(skip.results[1].name, undefined);
+
+  const replace = HLSState.mergeSavedImport(library, plan, 'replace');
+  assert.deepEqual([replace.added, replace.replaced, replace.skipped], [1, 1, 0]);
+  assert.equal(replace.results[1].name, 'imported');
+  assert.equal(replace.results[1].id, 'b');
+
+  const keep = HLSState.mergeSavedImport(library, plan, 'keep');
+  assert.deepEqual([keep.added, keep.replaced, keep.skipped], [2, 0, 0]);
+  assert.equal(keep.results.length, 4);
+
+  // The new entry's id 'a' is taken, and the kept copy may not reuse 'b'
+  [skip, replace, keep].forEach(({ results }) => {
+    assert.equal(new Set(results.map((r) => r.id)).size, results.length);
+  });
+  assert.deepEqual(library.map((r) => r.id), ['a', 'b']);
+});
+
+test('assignSavedResultIds fills missing and repeated ids only', () => {
+  const list = [{ id: 'a' }, {}, { id: 'a' }, { id: 'b' }];
+  assert.equal(HLSState.assignSavedResultIds(list), true);
+  assert.equal(list[0].id, 'a');
+  assert.equal(list[3].id, 'b');
+  assert.equal(new Set(list.map((r) => r.id)).size, 4);
+  assert.equal(HLSState.assignSavedResultIds(list), false);
+});
+
+test('orderSavedResults follows the stored id order', () => {
+  const entries = [
+    { id: 'b', timestamp: '2025-02-01' },
+    { id: 'x', timestamp: '2025-03-01' },
+    { id: 'a', timestamp: '2025-01-01' },
+    { id: 'y', timestamp: '2025-01-15' }
+  ];
+  assert.deepEqual(HLSState.orderSavedResults(entries, ['a', 'b', 'gone']).map((r) => r.id), ['a', 'b', 'y', 'x']);
+  assert.deepEqual(HLSState.orderSavedResults(entries, []).map((r) => r.id), ['a', 'y', 'b', 'x']);
+});
+
+test('filterSavedResults searches, filters and sorts with stable ties', () => {
+  const library = [
+    { gasKey: 'CH4', saltKey: 'NaCl', initialSalinity: 5, pressure: 5.77, timestamp: '2025-01-02', name: 'Beta run', tags: ['pilot'] },
+    { gasKey: 'CO2', saltKey: 'NaCl', initialSalinity: 3.5, pressure: 2.5, timestamp: '2025-01-03', notes: 'Reactor 2' },
+    { gasKey: 'CH4', saltKey: 'KCl', initialSalinity: 5, pressure: 7, timestamp: '2025-01-01', name: 'alpha', tags: ['pilot', 'S-12'] }
+  ];
+  const indices = (criteria, options) => HLSState.filterSavedResults(library, criteria, options).map((item) => item.index);
+  assert.deepEqual(indices({}), [0, 1, 2]);
+  assert.deepEqual(indices({ gas: 'CH4' }), [0, 2]);
+  assert.deepEqual(indices({ gas: 'CH4', salt: 'KCl' }), [2]);
+  assert.deepEqual(indices({ tag: 'pilot' }), [0, 2]);
+  assert.deepEqual(indices({ query: '  REACTOR ' }), [1]);
+  assert.deepEqual(indices({ query: '2.5 mpa' }), [1]);
+  assert.deepEqual(indices({ query: 's-12' }), [2]);
+  assert.deepEqual(indices({ query: '메탄' }, { labelOf: (k) => (k === 'CH4' ? '메탄' : k) }), [0, 2]);
+  assert.deepEqual(indices({ query: '#2' }), [1]);
+  assert.deepEqual(indices({ sort: 'date-desc' }), [1, 0, 2]);
+  assert.deepEqual(indices({ sort: 'date-asc' }), [2, 0, 1]);
+  assert.deepEqual(indices({ sort: 'name' }), [1, 2, 0]);
+  assert.deepEqual(indices({ sort: 'salinity' }), [1, 0, 2]);
+  assert.deepEqual(indices({ sort: 'pressure', gas: 'CH4' }), [0, 2]);
+  assert.deepEqual(indices({ sort: 'gas' }), [0, 2, 1]);
+  assert.deepEqual(indices({ sort: 'unknown' }), [0, 1, 2]);
+});
+
+test('a deleted result comes back where it was, most recent deletion first', () => {
+  const library = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }];
+  const first = HLSState.removeSavedResult(library, 1);
+  const second = HLSState.removeSavedResult(first.results, 2);
+  assert.deepEqual(second.results.map((r) => r.id), ['a', 'c']);
+  assert.deepEqual(second.removed, { entry: { id: 'd' }, index: 2 });
+  const undone = HLSState.restoreSavedResult(HLSState.restoreSavedResult(second.results, second.removed), first.removed);
+  assert.deepEqual(undone.map((r) => r.id), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(library.map((r) => r.id), ['a', 'b', 'c', 'd']);
+
+  assert.equal(HLSState.removeSavedResult(library, 9).removed, null);
+  // The list shrank meanwhile and the id was taken by an import
+  const restored = HLSState.restoreSavedResult([{ id: 'b' }], first.removed);
+  assert.equal(restored.length, 2);
+  assert.notEqual(restored[1].id, 'b');
+});
+
+// A link state as buildCalcShareState() makes it for a user salt
+function calcShareState(overrides) {
+  return {
+    format: HLSCore.SCENARIO_FORMAT,
+    version: HLSCore.SCENARIO_VERSION,
+    inputs: {
+      gas: 'CH4', salt: 'CaBr2', salinity: 5, pressure: 5.77,
+      dTmin: 0.5, dTmax: 5, fitMethod: 'poly', useAlpha: true,
+      inhibitor: { key: 'MEG', wt: 10, cls: 'glycol', coeffs: [1, 2, null] }
+    },
+    energy: { feedTemperature: 293.15, cop: 3 },
+    uncertainty: null,
+    saltDefinition: { molarMass: 199.89, cation: { ion: 'Ca', nu: 1 }, anion: { ion: 'Br', nu: 2, charge: -1, molarMass: 79.904 } },
+    ...overrides
+  };
+}
+
+test('share links round-trip through the hash', () => {
+  const calc = calcShareState({ gasDefinition: { structure: 'sI', betaX: -1.1, data: [[275, 3.2], [280, 5.4]], source: '실험 데이터' } });
+  assert.deepEqual(HLSState.parseShareHash(`#calc=${HLSState.encodeShareState(calc)}`), { kind: 'calc', state: calc });
+
+  const param = {
+    view: 'param',
+    version: HLSState.SHARE_PARAM_VERSION,
+    fields: { paramGas: 'CH4', paramSalt: 'NaCl', paramTMin: '270', paramSiiAlphaToggle: true },
+    brine: { mode: 'wt', components: { NaCl: 3 } }
+  };
+  const encoded = HLSState.encodeShareState(param);
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(HLSState.parseShareHash(`#param=${encoded}`), { kind: 'param', state: param });
+  // Links made before heatmap states had a version
+  const unversioned = { ...param };
+  delete unversioned.version;
+  assert.equal(HLSState.parseShareHash(`#param=${HLSState.encodeShareState(unversioned)}`).state.version, undefined);
+  assert.equal(HLSState.parseShareHash('#saved'), null);
+  assert.equal(HLSState.parseShareHash(''), null);
+});
+
+test('a malformed share link is unreadable', () => {
+  const parse = (kind, state) => HLSState.parseShareHash(`#${kind}=${HLSState.encodeShareState(state)}`);
+  assert.deepEqual(HLSState.parseShareHash('#calc=%%%'), { kind: 'calc', error: 'unreadable' });
+  assert.deepEqual(HLSState.parseShareHash(`#calc=${Buffer.from('{"format":').toString('base64')}`), { kind: 'calc', error: 'unreadable' });
+  assert.equal(HLSState.decodeShareState('%%%'), null);
+  assert.equal(parse('calc', [1, 2]).error, 'unreadable');
+  // Each of these has the right keys with a value of the wrong type
+  [
+    { inputs: { ...calcShareState().inputs, salinity: '5' } },
+    { inputs: { ...calcShareState().inputs, useAlpha: 'yes' } },
+    { inputs: { ...calcShareState().inputs, customGas: { structure: 'sI', betaX: -1, data: [[275, 'x']] } } },
+    { inputs: { ...calcShareState().inputs, inhibitor: { key: 'MEG', wt: 10, coeffs: 'abc' } } },
+    { energy: { feedTemperature: 293.15, cop: '3' } },
+    { saltDefinition: { cation: { ion: 'Ca', nu: '1' }, anion: { ion: 'Br', nu: 2 } } },
+    { format: 'other' }
+  ].forEach((overrides) => assert.equal(parse('calc', calcShareState(overrides)).error, 'unreadable', JSON.stringify(overrides)));
+  const param = { view: 'param', fields: { paramGas: 'CH4', paramSalt: 'NaCl' } };
+  assert.equal(parse('param', { ...param, fields: { ...param.fields, paramMasHideZero: 'true' } }).error, 'unreadable');
+  assert.equal(parse('param', { ...param, gasMixture: { components: { CH4: '1' } } }).error, 'unreadable');
+  assert.equal(parse('param', { ...param, view: 'calc' }).error, 'unreadable');
+});
+
+test('a share link from a newer version is reported as such', () => {
+  const calc = calcShareState({ version: HLSCore.SCENARIO_VERSION + 1, inputs: { changed: true } });
+  assert.deepEqual(HLSState.parseShareHash(`#calc=${HLSState.encodeShareState(calc)}`), { kind: 'calc', error: 'newer-version' });
+  const param = { view: 'param', version: HLSState.SHARE_PARAM_VERSION + 1, fields: {} };
+  assert.deepEqual(HLSState.parseShareHash(`#param=${HLSState.encodeShareState(param)}`), { kind: 'param', error: 'newer-version' });
+});